@@ -0,0 +1,258 @@
+// English messages, also the fallback for keys another language lacks
+module.exports = {
+  // General
+  error: '❌ An error occurred. Please try again later.',
+  banned: '🚫 You are banned from using this bot.',
+  rate_limited: '⏳ Slow down! You are doing that too often. Try again in {wait}.',
+  rate_banned: '🚫 You have been banned for repeatedly hitting the rate limits.',
+
+  start:
+    '👋 *Welcome to File Store Bot!*\n\n' +
+    '📤 Send me any file and I\'ll give you a shareable link.\n\n' +
+    '💡 Share links with others to distribute your files easily!\n\n' +
+    '📚 Type /help for more information.',
+
+  help:
+    '📚 *Help Menu*\n\n' +
+    '*For Users:*\n' +
+    '1️⃣ Send any file to the bot\n' +
+    '2️⃣ Get a shareable link\n' +
+    '3️⃣ Share the link with others\n' +
+    '4️⃣ Users verify via the shortened link\n' +
+    '5️⃣ Direct access until verification expires\n\n' +
+    '📦 Use /batch, send files, then /done to share many files under one link\n' +
+    '📝 Use /text to store a text or link post\n' +
+    '💎 Use /mypremium to check your premium status\n' +
+    '🤝 Use /referrals to get your invite link\n' +
+    '🌐 Use /language to change the language\n' +
+    '🔍 Use /search or type @{botUsername} in any chat to find files\n\n' +
+    '*Supported Files:*\n' +
+    '{fileTypes}\n\n' +
+    '*Admin Commands:*\n' +
+    '/setadlink - Configure AdLinkFly\n' +
+    '/shorteners - Manage shortener providers\n' +
+    '/setverifyexpiry - Set verification validity\n' +
+    '/autodeletenotice - Toggle auto-delete notice\n' +
+    '/broadcast - Send message to all users\n' +
+    '/staff - List staff roles\n' +
+    '/promote - Give a user a role (owner)\n' +
+    '/restrictuploads - Only uploaders can upload\n' +
+    '/stats - View bot statistics\n' +
+    '/topfiles, /funnel - Download analytics\n' +
+    '/ban - Ban a user\n' +
+    '/unban - Unban a user\n' +
+    '/deletefile - Delete a file\n' +
+    '/audit - Search the admin audit log\n' +
+    '/messages - Edit bot messages per language\n' +
+    '/postchannels - Auto-post uploads to channels\n' +
+    '/clones - Manage clone bots\n' +
+    '/settings - View all settings',
+
+  // Force subscription
+  sub_check_failed: '⚠️ Couldn\'t check your channel subscriptions right now. Please try again in a minute.',
+  sub_restricted: '⚠️ *Access Restricted*\n\n🔒 Please join our channels to access files:',
+  sub_join_button: '📢 Join {channel}',
+  sub_request_button: '📨 Request to join {channel}',
+  sub_optional: '(optional)',
+  sub_verify_button: '✅ I Joined, Verify Now',
+  sub_verified: '✅ Subscription verified!',
+  sub_verified_reply: '✅ Great! You can now use the bot. Click your file link again.',
+  sub_not_joined: '❌ Please join all channels first!',
+  sub_suggested: '💡 *Recommended Channels*\n\nJoin these for more, it\'s optional:',
+
+  // Opening links
+  file_not_found: '❌ File not found or has been removed.',
+  link_expired: '⌛ *Link Expired*\n\nThis link expired on {date} and is no longer available.',
+  link_limit: '🚫 *Download Limit Reached*\n\nThis link allowed {max} downloads and all of them have been used.',
+  password_required: '🔑 *Password Required*\n\nThis file is password protected. Send the password, or /cancel.',
+
+  // Verification
+  verify_unavailable:
+    '⚠️ *Verification Unavailable*\n\n' +
+    '🔁 We couldn\'t create your verification link right now. Please try again in a few minutes.',
+  verify_required: '🔐 *Verification Required*',
+  verify_expired: '⌛ *Verification Expired*',
+  verify_prompt:
+    '👉 Click the button below to verify:\n\n' +
+    '✅ After completing verification, you will be sent back here and get your file automatically.\n\n' +
+    '💡 *Note:* After verifying, you\'ll get direct access to all files!',
+  verify_button: '🔗 Click Here to Verify & Access',
+  verify_invalid:
+    '❌ *Invalid or Used Verification Link*\n\n' +
+    '🔁 Open your file link again to get a new verification link.',
+  verify_success: '✅ *Congratulations!*\n\n🎉 You are now verified and can access all files directly.',
+  verify_valid_for: '⏳ Your verification is valid for {duration}.',
+  verify_use_link: '🔗 Please complete verification through the link. You will be verified automatically.',
+
+  // Uploads
+  upload_restricted: '🔒 Uploads are restricted to approved uploaders.',
+  upload_error: '❌ Error uploading file. Please try again.',
+  upload_removed: '❌ This file was removed by an admin and can\'t be shared again.',
+  upload_deactivated: '❌ This file was deactivated and can\'t be shared again.',
+  upload_success: '✅ *File Uploaded Successfully!*',
+  upload_duplicate: '♻️ *File Already Stored*',
+  upload_duplicate_footer: '💡 This file is already in the library, so no new copy was stored.',
+  share_details:
+    '📄 *File:* {fileName}\n' +
+    '📦 *Size:* {fileSize}\n\n' +
+    '📎 *Share Link:*\n`{shareLink}`\n\n' +
+    '🔑 *Code:* `{code}`',
+  share_footer: '💡 Share this link to let others access your file.',
+  share_button: '🔗 Share Link',
+  link_options_button: '⚙️ Link Options',
+  batch_full: '❌ A batch can hold at most {max} files. Send /done to create the link.',
+  batch_added: '📥 Added to batch ({count} file(s)). Send /done when finished.',
+  text_prompt: '📝 Send the text or link post you want to store, or /cancel.',
+  text_private: '📝 Text posts can only be stored in a private chat with the bot.',
+
+  // Sending files
+  send_error: '❌ Error sending file. Please contact admin.',
+  batch_sending: '📦 Sending {count} files...',
+  batch_send_failed: '❌ {count} file(s) could not be sent. Please contact admin.',
+  password_wrong: '❌ Wrong password. Try again, or /cancel.',
+  password_locked: '❌ Too many wrong attempts. Try again in {wait}.',
+  password_accepted: '🔓 Password accepted!',
+  delete_notice: '⚠️ This file will be deleted in {duration}. Save it somewhere else before then.',
+  delete_notice_many: '⚠️ These files will be deleted in {duration}. Save them somewhere else before then.',
+  file_deleted: '🗑 *File Deleted*\n\n🔁 Tap below if you need it again.',
+  file_deleted_button: '♻️ Get It Again',
+
+  // Batches
+  batch_open: '📦 A batch is already open. Send files, then /done or /cancel.',
+  batch_started:
+    '📦 *Batch Mode Started*\n\n' +
+    '📤 Send or forward all files you want to share.\n\n' +
+    '✅ Send /done to get one link for all of them.\n' +
+    '❌ Send /cancel to discard the batch.',
+  batch_none: '❌ No batch open. Send /batch to start one.',
+  batch_empty: '❌ Your batch is empty. Send some files first, or /cancel.',
+  batch_created:
+    '✅ *Batch Created Successfully!*\n\n' +
+    '📁 *Files:* {count}\n\n' +
+    '📎 *Share Link:*\n`{shareLink}`\n\n' +
+    '🔑 *Code:* `{code}`\n\n' +
+    '💡 Share this link to let others get all files at once.',
+  batch_error: '❌ Error creating batch. Please try again.',
+  batch_cancelled: '🗑 Batch cancelled. Files you sent are still available individually.',
+  cancel_nothing: '❌ Nothing to cancel.',
+  cancelled: '❌ Cancelled.',
+
+  // My Files
+  unknown_name: 'Unknown',
+  this_file: 'this file',
+  page_prev: '⬅️ Prev',
+  page_next: 'Next ➡️',
+  back_button: '⬅️ Back',
+  myfiles_title: '📁 *My Files*',
+  myfiles_title_of: '📁 *Files of* `{userId}`',
+  myfiles_empty: '📭 No files yet. Send me any file to get a link.',
+  myfiles_summary: '📊 Total: {total} | Page {page}/{pages}\n\n👇 Tap a file to manage it:',
+  mf_not_yours: '❌ You can only manage your own files.',
+  file_details:
+    '📄 *{name}*\n\n' +
+    '📦 Size: {size}\n' +
+    '📎 Type: {type}\n' +
+    '🔑 Code: `{code}`\n' +
+    '🔗 Link: `{shareLink}`\n' +
+    '📅 Uploaded: {date}',
+  file_details_alias: '♻️ This link points to a file that was already stored.',
+  mf_rename_button: '✏️ Rename',
+  mf_caption_button: '📝 Edit Caption',
+  mf_stats_button: '📊 Stats',
+  mf_deactivate_button: '🚫 Deactivate',
+  mf_stats: '📊 {name}\n\n👁 Views: {views}\n📥 Downloads: {downloads}\n♻️ Re-uploads: {duplicates}',
+  mf_rename_prompt: '✏️ Send the new name for *{name}*, or /cancel.',
+  mf_text_prompt: '📝 Send the new text for this post, or /cancel. Formatting is kept.',
+  mf_caption_prompt: '📝 Send the new caption, or /cancel. Formatting is kept.',
+  mf_deactivate_confirm: '⚠️ *Deactivate {name}?*\n\nThe link `{code}` will stop working.',
+  mf_deactivate_yes: '✅ Yes, deactivate',
+  mf_deactivate_no: '❌ No',
+  mf_deactivated: '🚫 File deactivated.',
+  input_retry: '❌ {error} Try again, or /cancel.',
+  name_too_long: 'Name is too long (max 100 characters).',
+  caption_too_long: 'Caption is too long (max 1024 characters).',
+  renamed: '✅ Renamed!',
+  caption_updated: '✅ Caption updated!',
+  link_options:
+    '⚙️ *Link Options*\n\n' +
+    '📄 {name}\n' +
+    '🔑 Code: `{code}`\n\n' +
+    '⏳ Expires: {expires}\n' +
+    '🔢 Max Downloads: {max}\n' +
+    '🔒 Password: {password}',
+  link_never: 'Never',
+  link_max_used: '{max} ({used} used)',
+  link_unlimited: 'Unlimited',
+  link_password_set: 'Set',
+  link_password_none: 'None',
+  link_expiry_button: '⏳ Expiry',
+  link_max_button: '🔢 Download Limit',
+  link_password_button: '🔒 Password',
+  link_clear_button: '🧹 Clear All',
+  link_cleared: '🧹 Link options cleared.',
+  link_prompt_expiry:
+    '⏳ Send how long the link should stay valid (e.g. `24h`, `7d`), or `off` for no expiry.\n\n' +
+    'Send /cancel to keep the current value.',
+  link_prompt_max: '🔢 Send the maximum number of downloads, or `0` for unlimited.\n\nSend /cancel to keep the current value.',
+  link_prompt_password: '🔒 Send the password for this link, or `off` to remove it.\n\nSend /cancel to keep the current value.',
+  invalid_duration: 'Invalid duration.',
+  invalid_number: 'Send a number.',
+  password_too_long: 'Password is too long (max 64 characters).',
+  link_updated: '✅ Link options updated!',
+
+  // Search
+  private_only: '❌ Use this command in private chat.',
+  search_usage:
+    '🔍 *Search Files*\n\n' +
+    '*Usage:* `/search <words>`\n' +
+    'Start with `mine` to only search your uploads, e.g. `/search mine report`.\n\n' +
+    '💡 You can also search from any chat by typing `@{botUsername} <words>`.',
+  search_title: '🔍 *Search:* {query}',
+  search_title_mine: '🔍 *My files:* {query}',
+  search_all: 'all files',
+  search_none: '📭 No files found.',
+  search_summary: '📊 Found: {total} | Page {page}/{pages}\n\n👇 Tap a file to get it:',
+  search_expired: '⌛ This search has expired, send /search again.',
+  inline_description: '📦 {size} | 📥 {downloads} downloads',
+  inline_card: '{icon} *{name}*\n\n📦 *Size:* {size}\n📎 *Link:* `{shareLink}`',
+  inline_get_button: '📥 Get File',
+
+  // Premium and referrals
+  premium_granted: '💎 *Premium Activated!*\n\nYou get files without verification until {date}.\n\nUse /mypremium to check your status.',
+  premium_removed: '💎 Your premium has been removed.',
+  premium_ending: '⏳ *Premium Ending Soon*\n\nYour premium expires in {duration} ({date}). Contact an admin to renew it.',
+  premium_expired: '⌛ *Premium Expired*\n\nYou\'ll need to verify through the shortener again to get files.',
+  mypremium_expired: '⌛ Your premium expired on {date}.',
+  mypremium_none: '💎 You don\'t have premium. Contact an admin to get it.',
+  mypremium_active:
+    '💎 *Premium Active*\n\n' +
+    '⏳ Expires: {date}\n' +
+    '⌛ Remaining: {remaining}\n\n' +
+    '✅ No shortener verification\n' +
+    '✅ No channels to join',
+  mypremium_perks: '✅ Files can be forwarded and saved\n✅ Files are never auto-deleted',
+  referrals:
+    '🤝 *Your Referrals*\n\n' +
+    '🔗 Link: {link}\n\n' +
+    '✅ Counted: {counted}\n' +
+    '⏳ Not counted yet: {pending}\n' +
+    '🎁 Reward per referral: {reward}{bypass}\n\n' +
+    'A referral counts once the new user verifies or first gets a file.',
+  referrals_bypass: '🎁 Verification-free until {date}',
+  reward_verify: '{duration} of verification-free access',
+  reward_premium: '{duration} of premium',
+  reward_none: 'none',
+  referral_new: '🤝 *New Referral!*\n\n{name} joined through your link and can now get files.',
+  referral_someone: 'A user',
+  referral_premium: '💎 You got premium until {date}.',
+  referral_bypass: '🎁 You get files without verification until {date}.',
+
+  // Channel posts
+  post_get_button: '📥 Get File',
+  post_review: '📮 *Post to {channel}?*',
+
+  // Language picker
+  language_pick: '🌐 *Language*\n\nCurrent: {language}. Choose the language for the bot\'s messages:',
+  language_auto: '🌐 Automatic (from Telegram)',
+  language_set: '✅ Language set to {language}.'
+};
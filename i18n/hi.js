@@ -0,0 +1,258 @@
+// Hindi
+module.exports = {
+  // General
+  error: '❌ कोई गड़बड़ी हुई। कृपया बाद में फिर से कोशिश करें।',
+  banned: '🚫 आपको इस बॉट का उपयोग करने से प्रतिबंधित किया गया है।',
+  rate_limited: '⏳ थोड़ा धीरे! आप यह बहुत बार कर रहे हैं। {wait} बाद फिर कोशिश करें।',
+  rate_banned: '🚫 बार-बार सीमा पार करने के कारण आपको प्रतिबंधित कर दिया गया है।',
+
+  start:
+    '👋 *File Store Bot में आपका स्वागत है!*\n\n' +
+    '📤 मुझे कोई भी फ़ाइल भेजें और मैं आपको एक शेयर करने योग्य लिंक दूँगा।\n\n' +
+    '💡 लिंक शेयर करके अपनी फ़ाइलें आसानी से दूसरों तक पहुँचाएँ!\n\n' +
+    '📚 अधिक जानकारी के लिए /help लिखें।',
+
+  help:
+    '📚 *सहायता*\n\n' +
+    '*उपयोगकर्ताओं के लिए:*\n' +
+    '1️⃣ बॉट को कोई भी फ़ाइल भेजें\n' +
+    '2️⃣ शेयर करने योग्य लिंक पाएँ\n' +
+    '3️⃣ लिंक दूसरों के साथ शेयर करें\n' +
+    '4️⃣ उपयोगकर्ता छोटे लिंक से सत्यापन करते हैं\n' +
+    '5️⃣ सत्यापन की अवधि तक सीधी पहुँच\n\n' +
+    '📦 /batch लिखें, फ़ाइलें भेजें, फिर /done से कई फ़ाइलें एक लिंक में शेयर करें\n' +
+    '📝 टेक्स्ट या लिंक पोस्ट सेव करने के लिए /text लिखें\n' +
+    '💎 अपना प्रीमियम स्टेटस देखने के लिए /mypremium\n' +
+    '🤝 अपना आमंत्रण लिंक पाने के लिए /referrals\n' +
+    '🌐 भाषा बदलने के लिए /language\n' +
+    '🔍 फ़ाइलें खोजने के लिए /search या किसी भी चैट में @{botUsername} लिखें\n\n' +
+    '*समर्थित फ़ाइलें:*\n' +
+    '{fileTypes}\n\n' +
+    '*एडमिन कमांड:*\n' +
+    '/setadlink - AdLinkFly सेट करें\n' +
+    '/shorteners - शॉर्टनर प्रबंधित करें\n' +
+    '/setverifyexpiry - सत्यापन की अवधि सेट करें\n' +
+    '/autodeletenotice - ऑटो-डिलीट सूचना चालू/बंद करें\n' +
+    '/broadcast - सभी उपयोगकर्ताओं को संदेश भेजें\n' +
+    '/staff - स्टाफ़ की भूमिकाएँ देखें\n' +
+    '/promote - किसी उपयोगकर्ता को भूमिका दें (मालिक)\n' +
+    '/restrictuploads - केवल अपलोडर अपलोड कर सकें\n' +
+    '/stats - बॉट के आँकड़े देखें\n' +
+    '/topfiles, /funnel - डाउनलोड विश्लेषण\n' +
+    '/ban - उपयोगकर्ता को प्रतिबंधित करें\n' +
+    '/unban - प्रतिबंध हटाएँ\n' +
+    '/deletefile - फ़ाइल हटाएँ\n' +
+    '/audit - एडमिन ऑडिट लॉग खोजें\n' +
+    '/messages - हर भाषा के लिए बॉट संदेश बदलें\n' +
+    '/postchannels - अपलोड अपने आप चैनलों में पोस्ट करें\n' +
+    '/clones - क्लोन बॉट प्रबंधित करें\n' +
+    '/settings - सभी सेटिंग्स देखें',
+
+  // Force subscription
+  sub_check_failed: '⚠️ अभी आपके चैनल सब्सक्रिप्शन की जाँच नहीं हो सकी। कृपया एक मिनट बाद फिर कोशिश करें।',
+  sub_restricted: '⚠️ *पहुँच प्रतिबंधित*\n\n🔒 फ़ाइलें पाने के लिए कृपया हमारे चैनल जॉइन करें:',
+  sub_join_button: '📢 {channel} जॉइन करें',
+  sub_request_button: '📨 {channel} में जुड़ने का अनुरोध करें',
+  sub_optional: '(वैकल्पिक)',
+  sub_verify_button: '✅ मैंने जॉइन कर लिया, जाँचें',
+  sub_verified: '✅ सब्सक्रिप्शन की पुष्टि हो गई!',
+  sub_verified_reply: '✅ बढ़िया! अब आप बॉट का उपयोग कर सकते हैं। अपने फ़ाइल लिंक पर फिर से क्लिक करें।',
+  sub_not_joined: '❌ कृपया पहले सभी चैनल जॉइन करें!',
+  sub_suggested: '💡 *सुझाए गए चैनल*\n\nऔर पाने के लिए इन्हें जॉइन करें, यह वैकल्पिक है:',
+
+  // Opening links
+  file_not_found: '❌ फ़ाइल नहीं मिली या हटा दी गई है।',
+  link_expired: '⌛ *लिंक की अवधि समाप्त*\n\nयह लिंक {date} को समाप्त हो गया और अब उपलब्ध नहीं है।',
+  link_limit: '🚫 *डाउनलोड सीमा पूरी*\n\nइस लिंक से {max} डाउनलोड की अनुमति थी और सभी उपयोग हो चुके हैं।',
+  password_required: '🔑 *पासवर्ड आवश्यक*\n\nयह फ़ाइल पासवर्ड से सुरक्षित है। पासवर्ड भेजें, या /cancel लिखें।',
+
+  // Verification
+  verify_unavailable:
+    '⚠️ *सत्यापन उपलब्ध नहीं*\n\n' +
+    '🔁 अभी आपका सत्यापन लिंक नहीं बन सका। कृपया कुछ मिनट बाद फिर कोशिश करें।',
+  verify_required: '🔐 *सत्यापन आवश्यक*',
+  verify_expired: '⌛ *सत्यापन की अवधि समाप्त*',
+  verify_prompt:
+    '👉 सत्यापन के लिए नीचे दिए बटन पर क्लिक करें:\n\n' +
+    '✅ सत्यापन पूरा होने के बाद आप यहाँ वापस आएँगे और आपकी फ़ाइल अपने आप मिल जाएगी।\n\n' +
+    '💡 *ध्यान दें:* सत्यापन के बाद आपको सभी फ़ाइलों तक सीधी पहुँच मिलेगी!',
+  verify_button: '🔗 सत्यापन और पहुँच के लिए यहाँ क्लिक करें',
+  verify_invalid:
+    '❌ *अमान्य या उपयोग किया हुआ सत्यापन लिंक*\n\n' +
+    '🔁 नया सत्यापन लिंक पाने के लिए अपना फ़ाइल लिंक फिर से खोलें।',
+  verify_success: '✅ *बधाई हो!*\n\n🎉 आपका सत्यापन हो गया है और अब आप सभी फ़ाइलें सीधे पा सकते हैं।',
+  verify_valid_for: '⏳ आपका सत्यापन {duration} तक मान्य है।',
+  verify_use_link: '🔗 कृपया लिंक के ज़रिए सत्यापन पूरा करें। आपका सत्यापन अपने आप हो जाएगा।',
+
+  // Uploads
+  upload_restricted: '🔒 अपलोड केवल स्वीकृत अपलोडर ही कर सकते हैं।',
+  upload_error: '❌ फ़ाइल अपलोड करने में गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+  upload_removed: '❌ यह फ़ाइल एडमिन द्वारा हटा दी गई थी और फिर से शेयर नहीं की जा सकती।',
+  upload_deactivated: '❌ यह फ़ाइल निष्क्रिय कर दी गई थी और फिर से शेयर नहीं की जा सकती।',
+  upload_success: '✅ *फ़ाइल सफलतापूर्वक अपलोड हुई!*',
+  upload_duplicate: '♻️ *फ़ाइल पहले से मौजूद है*',
+  upload_duplicate_footer: '💡 यह फ़ाइल पहले से लाइब्रेरी में है, इसलिए नई कॉपी नहीं रखी गई।',
+  share_details:
+    '📄 *फ़ाइल:* {fileName}\n' +
+    '📦 *आकार:* {fileSize}\n\n' +
+    '📎 *शेयर लिंक:*\n`{shareLink}`\n\n' +
+    '🔑 *कोड:* `{code}`',
+  share_footer: '💡 दूसरों को अपनी फ़ाइल देने के लिए यह लिंक शेयर करें।',
+  share_button: '🔗 लिंक शेयर करें',
+  link_options_button: '⚙️ लिंक विकल्प',
+  batch_full: '❌ एक बैच में अधिकतम {max} फ़ाइलें हो सकती हैं। लिंक बनाने के लिए /done भेजें।',
+  batch_added: '📥 बैच में जोड़ा गया ({count} फ़ाइल)। पूरा होने पर /done भेजें।',
+  text_prompt: '📝 जो टेक्स्ट या लिंक पोस्ट सेव करनी है उसे भेजें, या /cancel।',
+  text_private: '📝 टेक्स्ट पोस्ट केवल बॉट के साथ निजी चैट में सेव की जा सकती हैं।',
+
+  // Sending files
+  send_error: '❌ फ़ाइल भेजने में गड़बड़ी हुई। कृपया एडमिन से संपर्क करें।',
+  batch_sending: '📦 {count} फ़ाइलें भेजी जा रही हैं...',
+  batch_send_failed: '❌ {count} फ़ाइल नहीं भेजी जा सकीं। कृपया एडमिन से संपर्क करें।',
+  password_wrong: '❌ गलत पासवर्ड। फिर से कोशिश करें, या /cancel लिखें।',
+  password_locked: '❌ बहुत सारे गलत प्रयास। {wait} बाद फिर से कोशिश करें।',
+  password_accepted: '🔓 पासवर्ड स्वीकार हुआ!',
+  delete_notice: '⚠️ यह फ़ाइल {duration} में हटा दी जाएगी। उससे पहले इसे कहीं और सेव कर लें।',
+  delete_notice_many: '⚠️ ये फ़ाइलें {duration} में हटा दी जाएँगी। उससे पहले इन्हें कहीं और सेव कर लें।',
+  file_deleted: '🗑 *फ़ाइल हटा दी गई*\n\n🔁 ज़रूरत हो तो नीचे टैप करके फिर से पाएँ।',
+  file_deleted_button: '♻️ फिर से पाएँ',
+
+  // Batches
+  batch_open: '📦 एक बैच पहले से खुला है। फ़ाइलें भेजें, फिर /done या /cancel लिखें।',
+  batch_started:
+    '📦 *बैच मोड शुरू*\n\n' +
+    '📤 जो भी फ़ाइलें शेयर करनी हैं, उन्हें भेजें या फ़ॉरवर्ड करें।\n\n' +
+    '✅ सभी के लिए एक लिंक पाने के लिए /done भेजें।\n' +
+    '❌ बैच रद्द करने के लिए /cancel भेजें।',
+  batch_none: '❌ कोई बैच खुला नहीं है। शुरू करने के लिए /batch भेजें।',
+  batch_empty: '❌ आपका बैच खाली है। पहले कुछ फ़ाइलें भेजें, या /cancel लिखें।',
+  batch_created:
+    '✅ *बैच सफलतापूर्वक बना!*\n\n' +
+    '📁 *फ़ाइलें:* {count}\n\n' +
+    '📎 *शेयर लिंक:*\n`{shareLink}`\n\n' +
+    '🔑 *कोड:* `{code}`\n\n' +
+    '💡 यह लिंक शेयर करें ताकि दूसरे सभी फ़ाइलें एक साथ पा सकें।',
+  batch_error: '❌ बैच बनाने में गड़बड़ी हुई। कृपया फिर से कोशिश करें।',
+  batch_cancelled: '🗑 बैच रद्द किया गया। आपकी भेजी फ़ाइलें अलग-अलग अब भी उपलब्ध हैं।',
+  cancel_nothing: '❌ रद्द करने के लिए कुछ नहीं है।',
+  cancelled: '❌ रद्द किया गया।',
+
+  // My Files
+  unknown_name: 'अज्ञात',
+  this_file: 'यह फ़ाइल',
+  page_prev: '⬅️ पिछला',
+  page_next: 'अगला ➡️',
+  back_button: '⬅️ वापस',
+  myfiles_title: '📁 *मेरी फ़ाइलें*',
+  myfiles_title_of: '📁 *फ़ाइलें:* `{userId}`',
+  myfiles_empty: '📭 अभी कोई फ़ाइल नहीं। लिंक पाने के लिए मुझे कोई भी फ़ाइल भेजें।',
+  myfiles_summary: '📊 कुल: {total} | पेज {page}/{pages}\n\n👇 प्रबंधित करने के लिए किसी फ़ाइल पर टैप करें:',
+  mf_not_yours: '❌ आप केवल अपनी फ़ाइलें प्रबंधित कर सकते हैं।',
+  file_details:
+    '📄 *{name}*\n\n' +
+    '📦 आकार: {size}\n' +
+    '📎 प्रकार: {type}\n' +
+    '🔑 कोड: `{code}`\n' +
+    '🔗 लिंक: `{shareLink}`\n' +
+    '📅 अपलोड: {date}',
+  file_details_alias: '♻️ यह लिंक पहले से रखी गई फ़ाइल की ओर इशारा करता है।',
+  mf_rename_button: '✏️ नाम बदलें',
+  mf_caption_button: '📝 कैप्शन बदलें',
+  mf_stats_button: '📊 आँकड़े',
+  mf_deactivate_button: '🚫 निष्क्रिय करें',
+  mf_stats: '📊 {name}\n\n👁 व्यू: {views}\n📥 डाउनलोड: {downloads}\n♻️ दोबारा अपलोड: {duplicates}',
+  mf_rename_prompt: '✏️ *{name}* का नया नाम भेजें, या /cancel लिखें।',
+  mf_text_prompt: '📝 इस पोस्ट का नया टेक्स्ट भेजें, या /cancel लिखें। फ़ॉर्मैटिंग बनी रहती है।',
+  mf_caption_prompt: '📝 नया कैप्शन भेजें, या /cancel लिखें। फ़ॉर्मैटिंग बनी रहती है।',
+  mf_deactivate_confirm: '⚠️ *{name} को निष्क्रिय करें?*\n\nलिंक `{code}` काम करना बंद कर देगा।',
+  mf_deactivate_yes: '✅ हाँ, निष्क्रिय करें',
+  mf_deactivate_no: '❌ नहीं',
+  mf_deactivated: '🚫 फ़ाइल निष्क्रिय की गई।',
+  input_retry: '❌ {error} फिर से कोशिश करें, या /cancel लिखें।',
+  name_too_long: 'नाम बहुत लंबा है (अधिकतम 100 अक्षर)।',
+  caption_too_long: 'कैप्शन बहुत लंबा है (अधिकतम 1024 अक्षर)।',
+  renamed: '✅ नाम बदल दिया गया!',
+  caption_updated: '✅ कैप्शन बदल दिया गया!',
+  link_options:
+    '⚙️ *लिंक विकल्प*\n\n' +
+    '📄 {name}\n' +
+    '🔑 कोड: `{code}`\n\n' +
+    '⏳ समाप्ति: {expires}\n' +
+    '🔢 अधिकतम डाउनलोड: {max}\n' +
+    '🔒 पासवर्ड: {password}',
+  link_never: 'कभी नहीं',
+  link_max_used: '{max} ({used} उपयोग हुए)',
+  link_unlimited: 'असीमित',
+  link_password_set: 'सेट है',
+  link_password_none: 'नहीं',
+  link_expiry_button: '⏳ समाप्ति',
+  link_max_button: '🔢 डाउनलोड सीमा',
+  link_password_button: '🔒 पासवर्ड',
+  link_clear_button: '🧹 सब हटाएँ',
+  link_cleared: '🧹 लिंक विकल्प हटा दिए गए।',
+  link_prompt_expiry:
+    '⏳ लिंक कितने समय तक मान्य रहे, यह भेजें (जैसे `24h`, `7d`), या समाप्ति हटाने के लिए `off`।\n\n' +
+    'मौजूदा मान रखने के लिए /cancel भेजें।',
+  link_prompt_max: '🔢 अधिकतम डाउनलोड की संख्या भेजें, या असीमित के लिए `0`।\n\nमौजूदा मान रखने के लिए /cancel भेजें।',
+  link_prompt_password: '🔒 इस लिंक का पासवर्ड भेजें, या हटाने के लिए `off`।\n\nमौजूदा मान रखने के लिए /cancel भेजें।',
+  invalid_duration: 'अमान्य अवधि।',
+  invalid_number: 'एक संख्या भेजें।',
+  password_too_long: 'पासवर्ड बहुत लंबा है (अधिकतम 64 अक्षर)।',
+  link_updated: '✅ लिंक विकल्प अपडेट हुए!',
+
+  // Search
+  private_only: '❌ यह कमांड निजी चैट में इस्तेमाल करें।',
+  search_usage:
+    '🔍 *फ़ाइलें खोजें*\n\n' +
+    '*उपयोग:* `/search <शब्द>`\n' +
+    'केवल अपने अपलोड खोजने के लिए `mine` से शुरू करें, जैसे `/search mine report`।\n\n' +
+    '💡 आप किसी भी चैट में `@{botUsername} <शब्द>` लिखकर भी खोज सकते हैं।',
+  search_title: '🔍 *खोज:* {query}',
+  search_title_mine: '🔍 *मेरी फ़ाइलें:* {query}',
+  search_all: 'सभी फ़ाइलें',
+  search_none: '📭 कोई फ़ाइल नहीं मिली।',
+  search_summary: '📊 मिलीं: {total} | पेज {page}/{pages}\n\n👇 फ़ाइल पाने के लिए उस पर टैप करें:',
+  search_expired: '⌛ यह खोज पुरानी हो गई है, /search फिर से भेजें।',
+  inline_description: '📦 {size} | 📥 {downloads} डाउनलोड',
+  inline_card: '{icon} *{name}*\n\n📦 *आकार:* {size}\n📎 *लिंक:* `{shareLink}`',
+  inline_get_button: '📥 फ़ाइल पाएँ',
+
+  // Premium and referrals
+  premium_granted: '💎 *प्रीमियम सक्रिय!*\n\nआपको {date} तक बिना सत्यापन के फ़ाइलें मिलेंगी।\n\nअपनी स्थिति देखने के लिए /mypremium इस्तेमाल करें।',
+  premium_removed: '💎 आपका प्रीमियम हटा दिया गया है।',
+  premium_ending: '⏳ *प्रीमियम जल्द समाप्त होगा*\n\nआपका प्रीमियम {duration} ({date}) में समाप्त होगा। नवीनीकरण के लिए एडमिन से संपर्क करें।',
+  premium_expired: '⌛ *प्रीमियम समाप्त*\n\nफ़ाइलें पाने के लिए आपको फिर से शॉर्टनर के ज़रिए सत्यापन करना होगा।',
+  mypremium_expired: '⌛ आपका प्रीमियम {date} को समाप्त हो गया।',
+  mypremium_none: '💎 आपके पास प्रीमियम नहीं है। पाने के लिए एडमिन से संपर्क करें।',
+  mypremium_active:
+    '💎 *प्रीमियम सक्रिय*\n\n' +
+    '⏳ समाप्ति: {date}\n' +
+    '⌛ बाकी: {remaining}\n\n' +
+    '✅ शॉर्टनर सत्यापन नहीं\n' +
+    '✅ कोई चैनल जॉइन नहीं करना',
+  mypremium_perks: '✅ फ़ाइलें फ़ॉरवर्ड और सेव की जा सकती हैं\n✅ फ़ाइलें कभी अपने आप नहीं हटतीं',
+  referrals:
+    '🤝 *आपके रेफ़रल*\n\n' +
+    '🔗 लिंक: {link}\n\n' +
+    '✅ गिने गए: {counted}\n' +
+    '⏳ अभी नहीं गिने गए: {pending}\n' +
+    '🎁 प्रति रेफ़रल इनाम: {reward}{bypass}\n\n' +
+    'नया उपयोगकर्ता सत्यापन करे या पहली फ़ाइल पाए, तब रेफ़रल गिना जाता है।',
+  referrals_bypass: '🎁 {date} तक बिना सत्यापन',
+  reward_verify: '{duration} बिना सत्यापन पहुँच',
+  reward_premium: '{duration} प्रीमियम',
+  reward_none: 'कोई नहीं',
+  referral_new: '🤝 *नया रेफ़रल!*\n\n{name} आपके लिंक से जुड़े और अब फ़ाइलें पा सकते हैं।',
+  referral_someone: 'एक उपयोगकर्ता',
+  referral_premium: '💎 आपको {date} तक प्रीमियम मिला।',
+  referral_bypass: '🎁 आपको {date} तक बिना सत्यापन के फ़ाइलें मिलेंगी।',
+
+  // Channel posts
+  post_get_button: '📥 फ़ाइल पाएँ',
+  post_review: '📮 *{channel} में पोस्ट करें?*',
+
+  // Language picker
+  language_pick: '🌐 *भाषा*\n\nवर्तमान: {language}। बॉट के संदेशों के लिए भाषा चुनें:',
+  language_auto: '🌐 अपने आप (Telegram से)',
+  language_set: '✅ भाषा {language} पर सेट की गई।'
+};
@@ -0,0 +1,258 @@
+// Indonesian
+module.exports = {
+  // General
+  error: '❌ Terjadi kesalahan. Silakan coba lagi nanti.',
+  banned: '🚫 Kamu diblokir dari bot ini.',
+  rate_limited: '⏳ Pelan-pelan! Kamu melakukannya terlalu sering. Coba lagi dalam {wait}.',
+  rate_banned: '🚫 Kamu diblokir karena berulang kali melewati batas penggunaan.',
+
+  start:
+    '👋 *Selamat datang di File Store Bot!*\n\n' +
+    '📤 Kirim file apa saja dan aku akan memberimu link untuk dibagikan.\n\n' +
+    '💡 Bagikan link ke orang lain untuk menyebarkan file dengan mudah!\n\n' +
+    '📚 Ketik /help untuk info lebih lanjut.',
+
+  help:
+    '📚 *Menu Bantuan*\n\n' +
+    '*Untuk Pengguna:*\n' +
+    '1️⃣ Kirim file apa saja ke bot\n' +
+    '2️⃣ Dapatkan link untuk dibagikan\n' +
+    '3️⃣ Bagikan link ke orang lain\n' +
+    '4️⃣ Pengguna verifikasi lewat link pendek\n' +
+    '5️⃣ Akses langsung sampai verifikasi berakhir\n\n' +
+    '📦 Ketik /batch, kirim file, lalu /done untuk membagikan banyak file dalam satu link\n' +
+    '📝 Ketik /text untuk menyimpan postingan teks atau link\n' +
+    '💎 Ketik /mypremium untuk melihat status premium\n' +
+    '🤝 Ketik /referrals untuk mendapatkan link undanganmu\n' +
+    '🌐 Ketik /language untuk mengganti bahasa\n' +
+    '🔍 Ketik /search atau @{botUsername} di chat mana pun untuk mencari file\n\n' +
+    '*File yang Didukung:*\n' +
+    '{fileTypes}\n\n' +
+    '*Perintah Admin:*\n' +
+    '/setadlink - Atur AdLinkFly\n' +
+    '/shorteners - Kelola penyedia shortener\n' +
+    '/setverifyexpiry - Atur masa berlaku verifikasi\n' +
+    '/autodeletenotice - Nyalakan/matikan pemberitahuan hapus otomatis\n' +
+    '/broadcast - Kirim pesan ke semua pengguna\n' +
+    '/staff - Lihat peran staf\n' +
+    '/promote - Beri pengguna sebuah peran (pemilik)\n' +
+    '/restrictuploads - Hanya uploader yang boleh mengunggah\n' +
+    '/stats - Lihat statistik bot\n' +
+    '/topfiles, /funnel - Analitik unduhan\n' +
+    '/ban - Blokir pengguna\n' +
+    '/unban - Buka blokir pengguna\n' +
+    '/deletefile - Hapus file\n' +
+    '/audit - Cari log audit admin\n' +
+    '/messages - Ubah pesan bot per bahasa\n' +
+    '/postchannels - Posting unggahan otomatis ke channel\n' +
+    '/clones - Kelola bot klon\n' +
+    '/settings - Lihat semua pengaturan',
+
+  // Force subscription
+  sub_check_failed: '⚠️ Langganan channel kamu belum bisa dicek sekarang. Silakan coba lagi sebentar lagi.',
+  sub_restricted: '⚠️ *Akses Dibatasi*\n\n🔒 Silakan gabung ke channel kami untuk mengakses file:',
+  sub_join_button: '📢 Gabung {channel}',
+  sub_request_button: '📨 Minta gabung {channel}',
+  sub_optional: '(opsional)',
+  sub_verify_button: '✅ Sudah Gabung, Cek Sekarang',
+  sub_verified: '✅ Langganan terverifikasi!',
+  sub_verified_reply: '✅ Mantap! Sekarang kamu bisa memakai bot. Klik lagi link file kamu.',
+  sub_not_joined: '❌ Silakan gabung ke semua channel dulu!',
+  sub_suggested: '💡 *Channel Rekomendasi*\n\nGabung untuk lebih banyak lagi, ini opsional:',
+
+  // Opening links
+  file_not_found: '❌ File tidak ditemukan atau sudah dihapus.',
+  link_expired: '⌛ *Link Kedaluwarsa*\n\nLink ini kedaluwarsa pada {date} dan sudah tidak tersedia.',
+  link_limit: '🚫 *Batas Unduhan Tercapai*\n\nLink ini hanya untuk {max} unduhan dan semuanya sudah terpakai.',
+  password_required: '🔑 *Perlu Kata Sandi*\n\nFile ini dilindungi kata sandi. Kirim kata sandinya, atau /cancel.',
+
+  // Verification
+  verify_unavailable:
+    '⚠️ *Verifikasi Tidak Tersedia*\n\n' +
+    '🔁 Link verifikasi kamu belum bisa dibuat sekarang. Silakan coba lagi beberapa menit lagi.',
+  verify_required: '🔐 *Perlu Verifikasi*',
+  verify_expired: '⌛ *Verifikasi Kedaluwarsa*',
+  verify_prompt:
+    '👉 Klik tombol di bawah untuk verifikasi:\n\n' +
+    '✅ Setelah verifikasi selesai, kamu akan kembali ke sini dan langsung menerima file.\n\n' +
+    '💡 *Catatan:* Setelah verifikasi, kamu bisa langsung mengakses semua file!',
+  verify_button: '🔗 Klik di Sini untuk Verifikasi & Akses',
+  verify_invalid:
+    '❌ *Link Verifikasi Tidak Valid atau Sudah Dipakai*\n\n' +
+    '🔁 Buka lagi link file kamu untuk mendapatkan link verifikasi baru.',
+  verify_success: '✅ *Selamat!*\n\n🎉 Kamu sudah terverifikasi dan bisa mengakses semua file secara langsung.',
+  verify_valid_for: '⏳ Verifikasi kamu berlaku selama {duration}.',
+  verify_use_link: '🔗 Silakan selesaikan verifikasi lewat link. Kamu akan terverifikasi otomatis.',
+
+  // Uploads
+  upload_restricted: '🔒 Unggahan hanya untuk uploader yang disetujui.',
+  upload_error: '❌ Gagal mengunggah file. Silakan coba lagi.',
+  upload_removed: '❌ File ini sudah dihapus oleh admin dan tidak bisa dibagikan lagi.',
+  upload_deactivated: '❌ File ini sudah dinonaktifkan dan tidak bisa dibagikan lagi.',
+  upload_success: '✅ *File Berhasil Diunggah!*',
+  upload_duplicate: '♻️ *File Sudah Tersimpan*',
+  upload_duplicate_footer: '💡 File ini sudah ada di perpustakaan, jadi tidak disimpan salinan baru.',
+  share_details:
+    '📄 *File:* {fileName}\n' +
+    '📦 *Ukuran:* {fileSize}\n\n' +
+    '📎 *Link Berbagi:*\n`{shareLink}`\n\n' +
+    '🔑 *Kode:* `{code}`',
+  share_footer: '💡 Bagikan link ini agar orang lain bisa mengakses file kamu.',
+  share_button: '🔗 Bagikan Link',
+  link_options_button: '⚙️ Opsi Link',
+  batch_full: '❌ Satu batch maksimal berisi {max} file. Kirim /done untuk membuat link.',
+  batch_added: '📥 Ditambahkan ke batch ({count} file). Kirim /done jika sudah selesai.',
+  text_prompt: '📝 Kirim teks atau postingan link yang ingin disimpan, atau /cancel.',
+  text_private: '📝 Postingan teks hanya bisa disimpan di chat pribadi dengan bot.',
+
+  // Sending files
+  send_error: '❌ Gagal mengirim file. Silakan hubungi admin.',
+  batch_sending: '📦 Mengirim {count} file...',
+  batch_send_failed: '❌ {count} file tidak bisa dikirim. Silakan hubungi admin.',
+  password_wrong: '❌ Password salah. Coba lagi, atau /cancel.',
+  password_locked: '❌ Terlalu banyak percobaan salah. Coba lagi dalam {wait}.',
+  password_accepted: '🔓 Password diterima!',
+  delete_notice: '⚠️ File ini akan dihapus dalam {duration}. Simpan di tempat lain sebelum itu.',
+  delete_notice_many: '⚠️ File-file ini akan dihapus dalam {duration}. Simpan di tempat lain sebelum itu.',
+  file_deleted: '🗑 *File Dihapus*\n\n🔁 Ketuk di bawah jika kamu membutuhkannya lagi.',
+  file_deleted_button: '♻️ Ambil Lagi',
+
+  // Batches
+  batch_open: '📦 Batch sudah dibuka. Kirim file, lalu /done atau /cancel.',
+  batch_started:
+    '📦 *Mode Batch Dimulai*\n\n' +
+    '📤 Kirim atau teruskan semua file yang ingin kamu bagikan.\n\n' +
+    '✅ Kirim /done untuk mendapatkan satu link untuk semuanya.\n' +
+    '❌ Kirim /cancel untuk membatalkan batch.',
+  batch_none: '❌ Tidak ada batch yang dibuka. Kirim /batch untuk memulai.',
+  batch_empty: '❌ Batch kamu kosong. Kirim beberapa file dulu, atau /cancel.',
+  batch_created:
+    '✅ *Batch Berhasil Dibuat!*\n\n' +
+    '📁 *File:* {count}\n\n' +
+    '📎 *Link Berbagi:*\n`{shareLink}`\n\n' +
+    '🔑 *Kode:* `{code}`\n\n' +
+    '💡 Bagikan link ini agar orang lain bisa mendapatkan semua file sekaligus.',
+  batch_error: '❌ Gagal membuat batch. Silakan coba lagi.',
+  batch_cancelled: '🗑 Batch dibatalkan. File yang kamu kirim tetap tersedia satu per satu.',
+  cancel_nothing: '❌ Tidak ada yang perlu dibatalkan.',
+  cancelled: '❌ Dibatalkan.',
+
+  // My Files
+  unknown_name: 'Tanpa nama',
+  this_file: 'file ini',
+  page_prev: '⬅️ Sebelumnya',
+  page_next: 'Berikutnya ➡️',
+  back_button: '⬅️ Kembali',
+  myfiles_title: '📁 *File Saya*',
+  myfiles_title_of: '📁 *File milik* `{userId}`',
+  myfiles_empty: '📭 Belum ada file. Kirim file apa saja untuk mendapatkan link.',
+  myfiles_summary: '📊 Total: {total} | Halaman {page}/{pages}\n\n👇 Ketuk file untuk mengelolanya:',
+  mf_not_yours: '❌ Kamu hanya bisa mengelola file milikmu sendiri.',
+  file_details:
+    '📄 *{name}*\n\n' +
+    '📦 Ukuran: {size}\n' +
+    '📎 Jenis: {type}\n' +
+    '🔑 Kode: `{code}`\n' +
+    '🔗 Link: `{shareLink}`\n' +
+    '📅 Diunggah: {date}',
+  file_details_alias: '♻️ Link ini mengarah ke file yang sudah tersimpan sebelumnya.',
+  mf_rename_button: '✏️ Ganti Nama',
+  mf_caption_button: '📝 Ubah Keterangan',
+  mf_stats_button: '📊 Statistik',
+  mf_deactivate_button: '🚫 Nonaktifkan',
+  mf_stats: '📊 {name}\n\n👁 Dilihat: {views}\n📥 Diunduh: {downloads}\n♻️ Unggah ulang: {duplicates}',
+  mf_rename_prompt: '✏️ Kirim nama baru untuk *{name}*, atau /cancel.',
+  mf_text_prompt: '📝 Kirim teks baru untuk postingan ini, atau /cancel. Format tetap dipertahankan.',
+  mf_caption_prompt: '📝 Kirim keterangan baru, atau /cancel. Format tetap dipertahankan.',
+  mf_deactivate_confirm: '⚠️ *Nonaktifkan {name}?*\n\nLink `{code}` tidak akan berfungsi lagi.',
+  mf_deactivate_yes: '✅ Ya, nonaktifkan',
+  mf_deactivate_no: '❌ Tidak',
+  mf_deactivated: '🚫 File dinonaktifkan.',
+  input_retry: '❌ {error} Coba lagi, atau /cancel.',
+  name_too_long: 'Nama terlalu panjang (maks. 100 karakter).',
+  caption_too_long: 'Keterangan terlalu panjang (maks. 1024 karakter).',
+  renamed: '✅ Nama diganti!',
+  caption_updated: '✅ Keterangan diperbarui!',
+  link_options:
+    '⚙️ *Opsi Link*\n\n' +
+    '📄 {name}\n' +
+    '🔑 Kode: `{code}`\n\n' +
+    '⏳ Kedaluwarsa: {expires}\n' +
+    '🔢 Maks. Unduhan: {max}\n' +
+    '🔒 Password: {password}',
+  link_never: 'Tidak pernah',
+  link_max_used: '{max} ({used} terpakai)',
+  link_unlimited: 'Tanpa batas',
+  link_password_set: 'Ada',
+  link_password_none: 'Tidak ada',
+  link_expiry_button: '⏳ Kedaluwarsa',
+  link_max_button: '🔢 Batas Unduhan',
+  link_password_button: '🔒 Password',
+  link_clear_button: '🧹 Hapus Semua',
+  link_cleared: '🧹 Opsi link dihapus.',
+  link_prompt_expiry:
+    '⏳ Kirim berapa lama link tetap berlaku (mis. `24h`, `7d`), atau `off` agar tidak kedaluwarsa.\n\n' +
+    'Kirim /cancel untuk mempertahankan nilai sekarang.',
+  link_prompt_max: '🔢 Kirim jumlah unduhan maksimum, atau `0` untuk tanpa batas.\n\nKirim /cancel untuk mempertahankan nilai sekarang.',
+  link_prompt_password: '🔒 Kirim password untuk link ini, atau `off` untuk menghapusnya.\n\nKirim /cancel untuk mempertahankan nilai sekarang.',
+  invalid_duration: 'Durasi tidak valid.',
+  invalid_number: 'Kirim sebuah angka.',
+  password_too_long: 'Password terlalu panjang (maks. 64 karakter).',
+  link_updated: '✅ Opsi link diperbarui!',
+
+  // Search
+  private_only: '❌ Gunakan perintah ini di chat pribadi.',
+  search_usage:
+    '🔍 *Cari File*\n\n' +
+    '*Penggunaan:* `/search <kata>`\n' +
+    'Awali dengan `mine` untuk hanya mencari unggahanmu, mis. `/search mine laporan`.\n\n' +
+    '💡 Kamu juga bisa mencari dari chat mana pun dengan mengetik `@{botUsername} <kata>`.',
+  search_title: '🔍 *Cari:* {query}',
+  search_title_mine: '🔍 *File saya:* {query}',
+  search_all: 'semua file',
+  search_none: '📭 Tidak ada file yang ditemukan.',
+  search_summary: '📊 Ditemukan: {total} | Halaman {page}/{pages}\n\n👇 Ketuk file untuk mendapatkannya:',
+  search_expired: '⌛ Pencarian ini sudah kedaluwarsa, kirim /search lagi.',
+  inline_description: '📦 {size} | 📥 {downloads} unduhan',
+  inline_card: '{icon} *{name}*\n\n📦 *Ukuran:* {size}\n📎 *Link:* `{shareLink}`',
+  inline_get_button: '📥 Ambil File',
+
+  // Premium and referrals
+  premium_granted: '💎 *Premium Aktif!*\n\nKamu mendapatkan file tanpa verifikasi sampai {date}.\n\nGunakan /mypremium untuk melihat statusmu.',
+  premium_removed: '💎 Premium kamu telah dicabut.',
+  premium_ending: '⏳ *Premium Segera Berakhir*\n\nPremium kamu berakhir dalam {duration} ({date}). Hubungi admin untuk memperpanjang.',
+  premium_expired: '⌛ *Premium Berakhir*\n\nKamu perlu verifikasi lewat shortener lagi untuk mendapatkan file.',
+  mypremium_expired: '⌛ Premium kamu berakhir pada {date}.',
+  mypremium_none: '💎 Kamu tidak punya premium. Hubungi admin untuk mendapatkannya.',
+  mypremium_active:
+    '💎 *Premium Aktif*\n\n' +
+    '⏳ Berakhir: {date}\n' +
+    '⌛ Sisa: {remaining}\n\n' +
+    '✅ Tanpa verifikasi shortener\n' +
+    '✅ Tidak perlu bergabung ke channel',
+  mypremium_perks: '✅ File bisa diteruskan dan disimpan\n✅ File tidak pernah dihapus otomatis',
+  referrals:
+    '🤝 *Referral Kamu*\n\n' +
+    '🔗 Link: {link}\n\n' +
+    '✅ Terhitung: {counted}\n' +
+    '⏳ Belum terhitung: {pending}\n' +
+    '🎁 Hadiah per referral: {reward}{bypass}\n\n' +
+    'Referral dihitung setelah pengguna baru verifikasi atau mendapatkan file pertamanya.',
+  referrals_bypass: '🎁 Bebas verifikasi sampai {date}',
+  reward_verify: 'akses tanpa verifikasi selama {duration}',
+  reward_premium: 'premium selama {duration}',
+  reward_none: 'tidak ada',
+  referral_new: '🤝 *Referral Baru!*\n\n{name} bergabung lewat link kamu dan sekarang bisa mendapatkan file.',
+  referral_someone: 'Seorang pengguna',
+  referral_premium: '💎 Kamu mendapat premium sampai {date}.',
+  referral_bypass: '🎁 Kamu mendapatkan file tanpa verifikasi sampai {date}.',
+
+  // Channel posts
+  post_get_button: '📥 Ambil File',
+  post_review: '📮 *Posting ke {channel}?*',
+
+  // Language picker
+  language_pick: '🌐 *Bahasa*\n\nSaat ini: {language}. Pilih bahasa untuk pesan bot:',
+  language_auto: '🌐 Otomatis (dari Telegram)',
+  language_set: '✅ Bahasa diatur ke {language}.'
+};
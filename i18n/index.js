@@ -0,0 +1,35 @@
+// Message catalog. Each language module maps message keys to Markdown
+// templates with {placeholders}; keys a language lacks fall back to English.
+// A new language only needs a module here and an entry in LANGUAGES.
+const catalogs = {
+  en: require('./en'),
+  hi: require('./hi'),
+  id: require('./id')
+};
+
+const LANGUAGES = {
+  en: { flag: '🇬🇧', name: 'English' },
+  hi: { flag: '🇮🇳', name: 'हिन्दी' },
+  id: { flag: '🇮🇩', name: 'Bahasa Indonesia' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Telegram sends IETF tags like "en-US", only the language part matters
+const detectLanguage = (languageCode) => {
+  const lang = (languageCode || '').toLowerCase().split('-')[0];
+  return catalogs[lang] ? lang : DEFAULT_LANGUAGE;
+};
+
+const getTemplate = (lang, key) => {
+  const catalog = catalogs[lang] || catalogs[DEFAULT_LANGUAGE];
+  return key in catalog ? catalog[key] : catalogs[DEFAULT_LANGUAGE][key];
+};
+
+// Unknown placeholders are left as they are
+const format = (template, vars = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+
+const messageKeys = Object.keys(catalogs[DEFAULT_LANGUAGE]);
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, detectLanguage, getTemplate, format, messageKeys };
@@ -1,10 +1,15 @@
 require('dotenv').config();
-const { Telegraf } = require('telegraf');
-const mongoose = require('mongoose');
+const { Telegraf, Telegram } = require('telegraf');
 const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
+const { isDeepStrictEqual } = require('util');
+const { createMongoStorage, createBackup, readBackup, restoreBackup } = require('./storage');
+const { LANGUAGES, DEFAULT_LANGUAGE, detectLanguage, getTemplate, format, messageKeys } = require('./i18n');
 
 // Config
-const config = {
+const baseConfig = {
   token: process.env.BOT_TOKEN,
   mongodb: process.env.MONGODB_URI,
   apiId: process.env.API_ID,
@@ -12,66 +17,118 @@ const config = {
   logChannel: process.env.LOG_CHANNEL,
   ownerId: parseInt(process.env.OWNER_ID),
   admins: process.env.ADMIN_IDS.split(',').map(id => parseInt(id)),
-  botUsername: process.env.BOT_USERNAME
-};
-
-// Database Schemas
-const UserSchema = new mongoose.Schema({
-  userId: { type: Number, unique: true, required: true, index: true },
-  firstName: String,
-  username: String,
-  isVerified: { type: Boolean, default: false },
-  isBanned: { type: Boolean, default: false },
-  verifiedAt: Date,
-  lastActive: { type: Date, default: Date.now },
-  filesShared: { type: Number, default: 0 },
-  filesAccessed: { type: Number, default: 0 },
-  joinedAt: { type: Date, default: Date.now }
-});
-
-const FileSchema = new mongoose.Schema({
-  fileId: { type: String, required: true },
-  fileUniqueId: { type: String, unique: true },
-  fileType: String,
-  fileName: String,
-  fileSize: Number,
-  caption: String,
-  shortCode: { type: String, unique: true, required: true, index: true },
-  uploadedBy: { type: Number, required: true },
-  views: { type: Number, default: 0 },
-  downloads: { type: Number, default: 0 },
-  isActive: { type: Boolean, default: true },
-  createdAt: { type: Date, default: Date.now, index: true }
-});
-
-const SettingSchema = new mongoose.Schema({
-  key: { type: String, unique: true, required: true },
-  value: mongoose.Schema.Types.Mixed,
-  updatedAt: { type: Date, default: Date.now }
-});
-
-const ChannelSchema = new mongoose.Schema({
-  channelId: { type: String, unique: true, required: true },
-  username: String,
-  title: String,
-  addedAt: { type: Date, default: Date.now }
-});
-
-const User = mongoose.model('User', UserSchema);
-const File = mongoose.model('File', FileSchema);
-const Setting = mongoose.model('Setting', SettingSchema);
-const Channel = mongoose.model('Channel', ChannelSchema);
+  botUsername: process.env.BOT_USERNAME,
+  dbChannel: process.env.DB_CHANNEL,
+  httpPort: process.env.API_PORT || process.env.PORT,
+  webhookUrl: process.env.WEBHOOK_URL,
+  publicUrl: process.env.PUBLIC_URL || process.env.WEBHOOK_URL,
+  webhookSecret: process.env.WEBHOOK_SECRET
+};
+
+// Clone bots run through the same handlers as this bot. While an update or
+// worker pass of a clone runs, botContext holds that clone and `config`, `db`
+// and currentTelegram() resolve to its own values.
+const botContext = new AsyncLocalStorage();
+const currentClone = () => botContext.getStore() || null;
+const currentBotKey = () => (currentClone() ? String(currentClone().botId) : 'main');
+
+const config = new Proxy(baseConfig, {
+  get: (target, key) => {
+    const clone = currentClone();
+    return clone && key in clone.config ? clone.config[key] : target[key];
+  }
+});
+
+// Storage: MongoDB in production, tests swap in the in-memory backend
+let rootDb = createMongoStorage();
+const useStorage = (storage) => {
+  rootDb = storage;
+};
+const db = new Proxy({}, {
+  get: (target, name) => (currentClone() ? currentClone().db : rootDb)[name]
+});
+
+// Per-user state kept in memory, separate for every bot
+const botScoped = () => {
+  const maps = new Map();
+  return () => {
+    const key = currentBotKey();
+    if (!maps.has(key)) maps.set(key, new Map());
+    return maps.get(key);
+  };
+};
 
 // Initialize Bot
 const bot = new Telegraf(config.token);
+const currentTelegram = () => (currentClone() ? currentClone().bot.telegram : bot.telegram);
+
+// Counters for /metrics and /healthz, reset on restart
+const metrics = {
+  startedAt: Date.now(),
+  lastUpdateAt: null,
+  updates: 0,
+  uploads: 0,
+  deliveries: 0,
+  verifications: 0,
+  shortenerFailures: {},
+  handlerErrors: 0
+};
+
+bot.use((ctx, next) => {
+  metrics.updates++;
+  metrics.lastUpdateAt = Date.now();
+  return next();
+});
 
 // Helper Functions
 const isOwner = (userId) => userId === config.ownerId;
-const isAdmin = (userId) => config.admins.includes(userId) || isOwner(userId);
+
+// Alerts and post approval requests go to the log channel. Clones have none
+// and send them to their owner.
+const getAlertChat = () => config.logChannel || config.ownerId;
+
+// Roles and what they may do. The owner comes from OWNER_ID and ADMIN_IDS
+// are admins until the owner gives them another role. `upload` only matters
+// while uploads are restricted, everyone can upload otherwise.
+const ROLES = {
+  owner: { icon: '👑', label: 'Owner', permissions: ['settings', 'ban', 'delete', 'broadcast', 'upload'] },
+  admin: { icon: '🛡', label: 'Admin', permissions: ['settings', 'ban', 'delete', 'upload'] },
+  moderator: { icon: '🔨', label: 'Moderator', permissions: ['ban', 'delete', 'upload'] },
+  uploader: { icon: '📤', label: 'Uploader', permissions: ['upload'] },
+  user: { icon: '👤', label: 'User', permissions: [] }
+};
+
+const getRole = async (userId) => {
+  if (isOwner(userId)) return 'owner';
+  const user = await db.users.findOne({ userId });
+  if (user && ROLES[user.role]) return user.role;
+  return config.admins.includes(userId) ? 'admin' : 'user';
+};
+
+const hasPermission = async (userId, permission) => ROLES[await getRole(userId)].permissions.includes(permission);
+
+// Command middleware: only continue if the sender's role has the permission
+const requirePermission = (permission) => async (ctx, next) => {
+  if (!(await hasPermission(ctx.from.id, permission))) {
+    return ctx.reply('❌ You don\'t have permission to use this command.');
+  }
+  return next();
+};
+
+// Shared clones serve the main bot's library. Their staff don't manage it,
+// that is left to the main bot's staff.
+const usesSharedLibrary = () => Boolean(currentClone() && currentClone().record.shareFiles);
+
+const ownLibraryOnly = (ctx, next) => {
+  if (usesSharedLibrary()) {
+    return ctx.reply(`📁 This bot uses the library of @${baseConfig.botUsername}, manage files there.`);
+  }
+  return next();
+};
 
 const getSetting = async (key, defaultValue = null) => {
   try {
-    const setting = await Setting.findOne({ key });
+    const setting = await db.settings.findOne({ key });
     return setting ? setting.value : defaultValue;
   } catch (err) {
     return defaultValue;
@@ -79,14 +136,226 @@ const getSetting = async (key, defaultValue = null) => {
 };
 
 const setSetting = async (key, value) => {
-  await Setting.findOneAndUpdate(
+  await db.settings.findOneAndUpdate(
     { key },
     { value, updatedAt: new Date() },
-    { upsert: true, new: true }
+    { upsert: true }
   );
 };
 
+// Languages
+// Users get the language they picked with /language, or else the one their
+// Telegram app uses. Admin overrides of any message key are stored per
+// language in the `messages_<lang>` setting; the older start_msg and help_msg
+// settings, set with /setstart and /sethelp, still apply where a language has
+// no override of its own.
+const LEGACY_MESSAGES = { start: 'start_msg', help: 'help_msg' };
+
+// Earlier versions stored these defaults at every boot. Nobody chose them, so
+// they don't hide the translated catalog texts.
+const SEEDED_LEGACY_MESSAGES = [
+  '👋 *Welcome to File Store Bot!*\n\n' +
+  '📤 Send me any file and I\'ll give you a shareable link.\n\n' +
+  '💡 Share links with others to distribute your files easily!',
+  '📚 *Help Menu*\n\n' +
+  '1️⃣ Send file to bot\n' +
+  '2️⃣ Get shareable link\n' +
+  '3️⃣ Share with others\n' +
+  '4️⃣ First-time users verify\n' +
+  '5️⃣ Direct access after'
+];
+
+const getLanguage = async (ctx) => {
+  if (!ctx.state.language) {
+    const user = ctx.from && await db.users.findOne({ userId: ctx.from.id });
+    ctx.state.language = (user && user.language) || detectLanguage(ctx.from && ctx.from.language_code);
+  }
+  return ctx.state.language;
+};
+
+// Workers have no update to read the language from, so they go by what was
+// stored for the user
+const userLanguage = (user) => (user && user.language) || detectLanguage(user && user.languageCode);
+const translateFor = async (userId, key, vars) =>
+  translate(userLanguage(await db.users.findOne({ userId })), key, vars);
+
+// An emptied override object isn't stored, so the setting may have no value
+const getMessageOverrides = async (lang) => (await getSetting(`messages_${lang}`, null)) || {};
+
+const translate = async (lang, key, vars) => {
+  let template = (await getMessageOverrides(lang))[key];
+  if (!template && LEGACY_MESSAGES[key]) {
+    const legacy = await getSetting(LEGACY_MESSAGES[key], null);
+    if (!SEEDED_LEGACY_MESSAGES.includes(legacy)) template = legacy;
+  }
+  return format(template || getTemplate(lang, key), vars);
+};
+
+// ctx.t(key, vars) renders a catalog message in the sender's language
+bot.use((ctx, next) => {
+  ctx.t = async (key, vars) => translate(await getLanguage(ctx), key, vars);
+  return next();
+});
+
 const generateCode = () => Math.random().toString(36).substr(2, 8);
+const generateToken = () => crypto.randomBytes(12).toString('hex');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Passwords are stored as "salt:hash" using scrypt
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+};
+
+const checkPassword = (password, stored) => {
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, salt, 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+// Generate a share code not used by any file or batch
+const generateUniqueCode = async () => {
+  while (true) {
+    const code = generateCode();
+    const exists = await db.files.exists({ shortCode: code }) || await db.batches.exists({ shortCode: code });
+    if (!exists) return code;
+  }
+};
+
+// Parse durations like "30m", "24h", "7d" into seconds ("0"/"off" disables)
+const parseDuration = (str) => {
+  if (!str) return null;
+  if (['0', 'off', 'never'].includes(str.toLowerCase())) return 0;
+  const match = str.toLowerCase().match(/^(\d+)\s*(s|m|h|d)?$/);
+  if (!match) return null;
+  const units = { s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1]) * units[match[2] || 's'];
+};
+
+const formatDuration = (seconds) => {
+  if (!seconds) return 'Never';
+  const parts = [];
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  for (const [label, size] of units) {
+    if (seconds >= size) {
+      parts.push(Math.floor(seconds / size) + label);
+      seconds %= size;
+    }
+  }
+  return parts.join(' ');
+};
+
+// File type registry: how each kind of message is recognised, stored and
+// re-sent by file_id. Order matters, animations also carry a `document`.
+// `captions` marks types whose caption can be replaced when delivering,
+// `inline` builds the cached inline query result for types that have one.
+const withCaption = (file, extra) => ({
+  ...extra,
+  caption: file.caption,
+  caption_entities: file.captionEntities && file.captionEntities.length ? file.captionEntities : undefined
+});
+
+const fromMedia = (media, fileName) => ({
+  fileId: media.file_id,
+  fileUniqueId: media.file_unique_id,
+  fileName,
+  fileSize: media.file_size,
+  thumbFileId: media.thumbnail ? media.thumbnail.file_id : undefined
+});
+
+const FILE_TYPES = {
+  animation: {
+    icon: '🎞',
+    label: 'GIFs & Animations',
+    captions: true,
+    extract: (m) => fromMedia(m.animation, m.animation.file_name || 'GIF'),
+    send: (ctx, file, extra) => ctx.replyWithAnimation(file.fileId, withCaption(file, extra)),
+    inline: (file) => withCaption(file, { type: 'gif', title: file.fileName, gif_file_id: file.fileId })
+  },
+  document: {
+    icon: '📄',
+    label: 'Documents (PDF, ZIP, etc.)',
+    captions: true,
+    extract: (m) => fromMedia(m.document, m.document.file_name || 'Document'),
+    send: (ctx, file, extra) => ctx.replyWithDocument(file.fileId, withCaption(file, extra)),
+    inline: (file) => withCaption(file, { type: 'document', title: file.fileName, document_file_id: file.fileId })
+  },
+  video: {
+    icon: '🎥',
+    label: 'Videos',
+    captions: true,
+    extract: (m) => fromMedia(m.video, m.video.file_name || 'Video'),
+    send: (ctx, file, extra) => ctx.replyWithVideo(file.fileId, withCaption(file, extra)),
+    inline: (file) => withCaption(file, { type: 'video', title: file.fileName, video_file_id: file.fileId })
+  },
+  audio: {
+    icon: '🎵',
+    label: 'Audio',
+    captions: true,
+    extract: (m) => fromMedia(m.audio, m.audio.title || m.audio.file_name || 'Audio'),
+    send: (ctx, file, extra) => ctx.replyWithAudio(file.fileId, withCaption(file, extra)),
+    inline: (file) => withCaption(file, { type: 'audio', audio_file_id: file.fileId })
+  },
+  photo: {
+    icon: '🖼',
+    label: 'Photos',
+    captions: true,
+    extract: (m) => fromMedia(m.photo[m.photo.length - 1], 'Photo'),
+    send: (ctx, file, extra) => ctx.replyWithPhoto(file.fileId, withCaption(file, extra)),
+    inline: (file) => withCaption(file, { type: 'photo', title: file.fileName, photo_file_id: file.fileId })
+  },
+  voice: {
+    icon: '🎙',
+    label: 'Voice Notes',
+    captions: true,
+    extract: (m) => fromMedia(m.voice, 'Voice Note'),
+    send: (ctx, file, extra) => ctx.replyWithVoice(file.fileId, withCaption(file, extra)),
+    inline: (file) => withCaption(file, { type: 'voice', title: file.fileName, voice_file_id: file.fileId })
+  },
+  video_note: {
+    icon: '📹',
+    label: 'Video Notes',
+    extract: (m) => fromMedia(m.video_note, 'Video Note'),
+    send: (ctx, file, extra) => ctx.replyWithVideoNote(file.fileId, extra)
+  },
+  sticker: {
+    icon: '🎭',
+    label: 'Stickers',
+    extract: (m) => fromMedia(m.sticker, `${m.sticker.emoji || ''} Sticker`.trim()),
+    send: (ctx, file, extra) => ctx.replyWithSticker(file.fileId, extra),
+    inline: (file) => ({ type: 'sticker', sticker_file_id: file.fileId })
+  },
+  text: {
+    icon: '📝',
+    label: 'Text & Link Posts',
+    // Text lives entirely in the database, no need to copy it from storage
+    copyFromStorage: false,
+    // Commands are handled elsewhere, never stored
+    extract: (m) => m.text.startsWith('/') ? null : {
+      fileName: m.text.split('\n')[0].substr(0, 50),
+      fileSize: Buffer.byteLength(m.text)
+    },
+    send: (ctx, file, extra) => ctx.reply(file.caption, {
+      ...extra,
+      entities: file.captionEntities && file.captionEntities.length ? file.captionEntities : undefined
+    }),
+    inline: (file) => ({
+      type: 'article',
+      title: file.fileName,
+      description: (file.caption || '').substr(0, 100),
+      input_message_content: {
+        message_text: file.caption,
+        entities: file.captionEntities && file.captionEntities.length ? file.captionEntities : undefined
+      }
+    })
+  }
+};
+
+// file_ids only work with the token of the bot that received them. Uploads
+// through a shared clone land in the main library and record that clone in
+// `uploadBot`; everything else was received by the bot that stores it.
+const canUseFileId = (file) => Boolean(file.fileId) &&
+  (file.uploadBot ? String(file.uploadBot) === currentBotKey() : !usesSharedLibrary());
 
 const formatFileSize = (bytes) => {
   if (bytes === 0) return '0 Bytes';
@@ -96,744 +365,4858 @@ const formatFileSize = (bytes) => {
   return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 };
 
-// AdLinkFly Shortener
-const createShortLink = async (url) => {
-  try {
-    const domain = await getSetting('adlink_domain');
-    const api = await getSetting('adlink_api');
-    
-    if (!domain || !api) {
-      console.log('⚠️ AdLinkFly not configured');
-      return url;
+// Escape user-provided text for legacy Markdown messages
+const escapeMarkdown = (text) => String(text).replace(/([_*`\[])/g, '\\$1');
+// Wrap text in a Markdown code span, which can't contain backticks
+const inlineCode = (text) => `\`${String(text).replace(/`/g, '\'')}\``;
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Shortener providers. Each configured provider is stored in the
+// `shorteners` setting as { name, type, domain, api, template, path, enabled }
+// and tried in list order until one returns a link.
+const SHORTENER_TIMEOUT = 10000;
+
+const isUrl = (value) => typeof value === 'string' && /^https?:\/\//.test(value.trim());
+
+const SHORTENER_PROVIDERS = {
+  // AdLinkFly and compatible panels: JSON { status, shortenedUrl }
+  adlinkfly: {
+    usage: '<name> adlinkfly <domain> <api_key>',
+    shorten: async (provider, url) => {
+      const { data } = await axios.get(`${provider.domain}/api`, {
+        params: { api: provider.api, url },
+        timeout: SHORTENER_TIMEOUT
+      });
+      if (data.status === 'error' || !isUrl(data.shortenedUrl)) {
+        throw new Error([].concat(data.message || 'No shortened URL').join(', '));
+      }
+      return data.shortenedUrl;
+    }
+  },
+  // GPLinks, Shrinkme and similar: plain text response with format=text
+  gplinks: {
+    usage: '<name> gplinks <domain> <api_key>',
+    shorten: async (provider, url) => {
+      const { data } = await axios.get(`${provider.domain}/api`, {
+        params: { api: provider.api, url, format: 'text' },
+        responseType: 'text',
+        timeout: SHORTENER_TIMEOUT
+      });
+      if (!isUrl(data)) throw new Error(`Unexpected response: ${String(data).substr(0, 100)}`);
+      return data.trim();
     }
+  },
+  // Any HTTP API: {url} and {key} are filled into the template, the result is
+  // read from the JSON path (e.g. data.short_url) or the plain text body
+  template: {
+    usage: '<name> template <url_template> [json_path] [api_key]',
+    shorten: async (provider, url) => {
+      const target = provider.template
+        .replace(/\{url\}/g, encodeURIComponent(url))
+        .replace(/\{key\}/g, encodeURIComponent(provider.api || ''));
+      const { data } = await axios.get(target, {
+        responseType: provider.path ? 'json' : 'text',
+        timeout: SHORTENER_TIMEOUT
+      });
+      const result = provider.path
+        ? provider.path.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), data)
+        : data;
+      if (!isUrl(result)) throw new Error(`Unexpected response: ${JSON.stringify(data).substr(0, 100)}`);
+      return result.trim();
+    }
+  }
+};
 
-    const encodedUrl = encodeURIComponent(url);
-    const apiUrl = `${domain}/api?api=${api}&url=${encodedUrl}`;
-    
-    const response = await axios.get(apiUrl, { timeout: 10000 });
-    
-    if (response.data.status === 'error') {
-      console.error('AdLinkFly error:', response.data.message);
-      return url;
+// Configured providers in priority order. Bots set up before providers
+// existed keep working from the old adlink_domain/adlink_api settings.
+const getShorteners = async () => {
+  const shorteners = await getSetting('shorteners');
+  if (shorteners) return shorteners;
+
+  const domain = await getSetting('adlink_domain');
+  const api = await getSetting('adlink_api');
+  return domain && api ? [{ name: 'adlinkfly', type: 'adlinkfly', domain, api, enabled: true }] : [];
+};
+
+const recordShortenerResult = (name, ok) => db.settings.updateOne(
+  { key: 'shortener_stats' },
+  { $inc: { [`value.${name}.${ok ? 'success' : 'failure'}`]: 1 }, updatedAt: new Date() },
+  { upsert: true }
+).catch(err => console.error('Shortener stats error:', err.message));
+
+// Bot key -> next rotation start / time of the last "all failed" alert
+const shortenerRotation = new Map();
+const lastShortenerAlert = new Map();
+const SHORTENER_ALERT_INTERVAL = 10 * 60 * 1000;
+
+// Shorten a URL through the provider chain. Returns { url, provider }, or
+// null when no provider could do it and the caller decides what that means.
+const createShortLink = async (url) => {
+  const providers = (await getShorteners()).filter(p => p.enabled !== false && SHORTENER_PROVIDERS[p.type]);
+  if (providers.length === 0) {
+    console.log('⚠️ No shortener configured');
+    return null;
+  }
+
+  // Round-robin rotation starts the chain at a different provider each time
+  let start = 0;
+  if (await getSetting('shortener_rotation', false)) {
+    const rotation = shortenerRotation.get(currentBotKey()) || 0;
+    shortenerRotation.set(currentBotKey(), rotation + 1);
+    start = rotation % providers.length;
+  }
+
+  for (let i = 0; i < providers.length; i++) {
+    const provider = providers[(start + i) % providers.length];
+    try {
+      const shortUrl = await SHORTENER_PROVIDERS[provider.type].shorten(provider, url);
+      recordShortenerResult(provider.name, true);
+      return { url: shortUrl, provider: provider.name };
+    } catch (err) {
+      console.error(`Shortener ${provider.name} error:`, err.message);
+      recordShortenerResult(provider.name, false);
+      metrics.shortenerFailures[provider.name] = (metrics.shortenerFailures[provider.name] || 0) + 1;
     }
-    
-    return response.data.shortenedUrl;
+  }
+
+  if (Date.now() - (lastShortenerAlert.get(currentBotKey()) || 0) > SHORTENER_ALERT_INTERVAL) {
+    lastShortenerAlert.set(currentBotKey(), Date.now());
+    currentTelegram().sendMessage(
+      getAlertChat(),
+      `⚠️ *All Shorteners Failed*\n\n` +
+      `🔗 Tried: ${providers.map(p => p.name).join(', ')}\n` +
+      `⏰ Time: ${new Date().toLocaleString()}`,
+      { parse_mode: 'Markdown' }
+    ).catch(() => {});
+  }
+  return null;
+};
+
+// Force subscription
+// Membership is cached for a while once confirmed, users who haven't joined
+// are checked again each time. A channel where the bot can't see members is
+// skipped for everyone and reported to the log channel once.
+const MEMBERSHIP_CACHE_TTL = 10 * 60 * 1000;
+const CHANNEL_MODES = {
+  required: '🔒 Required',
+  request: '📨 Join request',
+  optional: '💡 Optional'
+};
+const membershipCache = botScoped();
+
+const cacheMembership = (channelId, userId) => {
+  membershipCache().set(`${channelId}:${userId}`, Date.now() + MEMBERSHIP_CACHE_TTL);
+};
+
+const isMembershipCached = (channelId, userId) => (membershipCache().get(`${channelId}:${userId}`) || 0) > Date.now();
+
+// Errors that mean the bot itself can't check the channel any more
+const isChannelAccessError = (err) => err.response && (
+  err.response.error_code === 403 ||
+  /chat not found|member list is inaccessible|not enough rights/i.test(err.response.description)
+);
+
+const alertChannelAccess = async (channel, reason) => {
+  if (channel.lostAccessAt) return;
+  await db.channels.updateOne({ _id: channel._id }, { lostAccessAt: new Date() });
+  currentTelegram().sendMessage(
+    getAlertChat(),
+    `🚨 *Force Subscription Channel Unavailable*\n\n` +
+    `📺 Channel: ${escapeMarkdown(channel.title || channel.username || channel.channelId)} (\`${channel.channelId}\`)\n` +
+    `❗ ${escapeMarkdown(reason)}\n\n` +
+    'Users are let through until the bot is an admin there again.',
+    { parse_mode: 'Markdown' }
+  ).catch(() => {});
+};
+
+const restoreChannelAccess = async (channel) => {
+  if (!channel.lostAccessAt) return;
+  await db.channels.updateOne({ _id: channel._id }, { $unset: { lostAccessAt: 1 } });
+  currentTelegram().sendMessage(
+    getAlertChat(),
+    `✅ *Force Subscription Channel Restored*\n\n📺 Channel: ${escapeMarkdown(channel.title || channel.username || channel.channelId)}`,
+    { parse_mode: 'Markdown' }
+  ).catch(() => {});
+};
+
+const hasJoined = async (telegram, channel, userId) => {
+  if (isMembershipCached(channel.channelId, userId)) return true;
+  if (channel.mode === 'request' && await db.joinRequests.exists({ channelId: channel.channelId, userId })) {
+    cacheMembership(channel.channelId, userId);
+    return true;
+  }
+
+  try {
+    const member = await telegram.getChatMember(channel.channelId, userId);
+    await restoreChannelAccess(channel);
+    const joined = ['member', 'administrator', 'creator'].includes(member.status) ||
+      (member.status === 'restricted' && member.is_member);
+    if (joined) cacheMembership(channel.channelId, userId);
+    return joined;
   } catch (err) {
-    console.error('Shortening error:', err.message);
-    return url;
+    if (isChannelAccessError(err)) {
+      await alertChannelAccess(channel, err.response.description);
+      return true;
+    }
+    throw err;
+  }
+};
+
+// Force subscription channels the user hasn't joined yet, optional ones included
+const getMissingChannels = async (telegram, userId) => {
+  const channels = await db.channels.find();
+  const notJoined = [];
+  for (const ch of channels) {
+    if (!(await hasJoined(telegram, ch, userId))) notJoined.push(ch);
+  }
+  return notJoined;
+};
+
+const isBlocking = (channels) => channels.some(ch => ch.mode !== 'optional');
+
+const channelJoinUrl = (ch) => ch.inviteLink || `https://t.me/${ch.username.replace('@', '')}`;
+
+const channelButtons = async (ctx, channels) => {
+  const buttons = [];
+  for (const ch of channels) {
+    const text = await ctx.t(ch.mode === 'request' ? 'sub_request_button' : 'sub_join_button', { channel: ch.title || ch.username });
+    buttons.push([{
+      text: ch.mode === 'optional' ? `${text} ${await ctx.t('sub_optional')}` : text,
+      url: channelJoinUrl(ch)
+    }]);
   }
+  return buttons;
+};
+
+// Optional channels alone don't hold anything up. They are suggested next to
+// the file, at most once a day so every download doesn't repeat them.
+const OPTIONAL_HINT_INTERVAL = 24 * 3600 * 1000;
+// userId -> when the optional channels were last suggested
+const optionalHints = botScoped();
+
+const suggestOptionalChannels = async (ctx, channels) => {
+  if (Date.now() - (optionalHints().get(ctx.from.id) || 0) < OPTIONAL_HINT_INTERVAL) return;
+  optionalHints().set(ctx.from.id, Date.now());
+  await ctx.reply(await ctx.t('sub_suggested'), {
+    reply_markup: { inline_keyboard: await channelButtons(ctx, channels) },
+    parse_mode: 'Markdown'
+  }).catch(err => console.error('Channel hint error:', err.message));
 };
 
 // Check Force Subscription
 const checkSubscription = async (ctx) => {
+  let notJoined;
   try {
-    const channels = await Channel.find();
-    if (channels.length === 0) return true;
+    notJoined = await getMissingChannels(ctx.telegram, ctx.from.id);
+  } catch (err) {
+    console.error('Check subscription error:', err);
+    await ctx.reply(await ctx.t('sub_check_failed'));
+    return false;
+  }
+  if (!isBlocking(notJoined)) {
+    if (notJoined.length > 0) await suggestOptionalChannels(ctx, notJoined);
+    return true;
+  }
 
-    const notJoined = [];
-    for (const ch of channels) {
-      try {
-        const member = await ctx.telegram.getChatMember(ch.channelId, ctx.from.id);
-        if (!['member', 'administrator', 'creator'].includes(member.status)) {
-          notJoined.push(ch);
-        }
-      } catch (err) {
-        console.error('Subscription check error:', err.message);
-      }
+  const buttons = await channelButtons(ctx, notJoined);
+  buttons.push([{ text: await ctx.t('sub_verify_button'), callback_data: 'verify_sub' }]);
+
+  await ctx.reply(
+    await ctx.t('sub_restricted'),
+    {
+      reply_markup: { inline_keyboard: buttons },
+      parse_mode: 'Markdown'
     }
+  );
+  return false;
+};
 
-    if (notJoined.length > 0) {
-      const buttons = notJoined.map(ch => [{
-        text: `📢 Join ${ch.username}`,
-        url: `https://t.me/${ch.username.replace('@', '')}`
-      }]);
-      buttons.push([{ text: '✅ I Joined, Verify Now', callback_data: 'verify_sub' }]);
-      
-      await ctx.reply(
-        '⚠️ *Access Restricted*\n\n' +
-        '🔒 Please join our channels to access files:',
-        { 
-          reply_markup: { inline_keyboard: buttons },
-          parse_mode: 'Markdown'
-        }
-      );
-      return false;
+// Telegram rate limit: returns seconds to wait, or null for other errors
+const getRetryAfter = (err) => {
+  if (err.response && err.response.error_code === 429) {
+    return (err.response.parameters && err.response.parameters.retry_after) || 5;
+  }
+  return null;
+};
+
+// Run a Telegram call, waiting out rate limits a few times before giving up
+const withRetry = async (fn, attempts = 3) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const retryAfter = getRetryAfter(err);
+      if (retryAfter === null || attempt >= attempts) throw err;
+      await sleep(retryAfter * 1000);
     }
-    return true;
-  } catch (err) {
-    console.error('Check subscription error:', err);
-    return true;
   }
 };
 
 // Auto Delete
-const autoDelete = async (ctx, msgId) => {
+const DELETE_POLL_INTERVAL = 15 * 1000;
+const DELETE_MAX_ATTEMPTS = 5;
+
+// Schedules deletion of the given messages; the "get it again" offer is
+// attached to the last one so a batch only gets a single notice
+const autoDelete = async (ctx, msgIds, shortCode) => {
   try {
     const seconds = await getSetting('auto_delete', 0);
-    if (seconds > 0) {
-      setTimeout(() => {
-        ctx.deleteMessage(msgId).catch(() => {});
-      }, seconds * 1000);
+    if (seconds > 0 && msgIds.length > 0) {
+      const lastId = msgIds[msgIds.length - 1];
+      let noticeMessageId;
+      if (await getSetting('auto_delete_notice', true)) {
+        const notice = await ctx.reply(
+          await ctx.t(msgIds.length > 1 ? 'delete_notice_many' : 'delete_notice', { duration: formatDuration(seconds) }),
+          { reply_to_message_id: lastId }
+        ).catch(() => null);
+        noticeMessageId = notice && notice.message_id;
+      }
+
+      const dueAt = new Date(Date.now() + seconds * 1000);
+      await db.deleteJobs.insertMany(msgIds.map(messageId => ({
+        chatId: ctx.chat.id,
+        messageId,
+        noticeMessageId: messageId === lastId ? noticeMessageId : undefined,
+        shortCode: messageId === lastId ? shortCode : undefined,
+        dueAt
+      })));
     }
   } catch (err) {
     console.error('Auto delete error:', err);
   }
 };
 
+// Delete a scheduled message and offer the file again
+const processDeleteJob = async (job) => {
+  try {
+    await currentTelegram().deleteMessage(job.chatId, job.messageId);
+  } catch (err) {
+    const retryAfter = getRetryAfter(err);
+    if (retryAfter !== null || (!err.response && job.attempts < DELETE_MAX_ATTEMPTS)) {
+      const delay = retryAfter !== null ? retryAfter : 30 * (job.attempts + 1);
+      await db.deleteJobs.updateOne(
+        { _id: job._id },
+        { dueAt: new Date(Date.now() + delay * 1000), $inc: { attempts: 1 } }
+      );
+      return;
+    }
+    // Message already gone or can't be deleted, nothing left to do
+  }
+
+  await db.deleteJobs.deleteOne({ _id: job._id });
+
+  if (!job.shortCode) return;
+  const text = await translateFor(job.chatId, 'file_deleted');
+  const extra = {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [[{ text: await translateFor(job.chatId, 'file_deleted_button'), url: `https://t.me/${config.botUsername}?start=${job.shortCode}` }]]
+    }
+  };
+
+  if (job.noticeMessageId) {
+    await currentTelegram().editMessageText(job.chatId, job.noticeMessageId, null, text, extra)
+      .catch(() => currentTelegram().sendMessage(job.chatId, text, extra).catch(() => {}));
+  } else {
+    await currentTelegram().sendMessage(job.chatId, text, extra).catch(() => {});
+  }
+};
+
+const deleteWorkerBusy = new Set();
+const runDeleteWorker = async () => {
+  if (deleteWorkerBusy.has(currentBotKey())) return;
+  deleteWorkerBusy.add(currentBotKey());
+  try {
+    const jobs = await db.deleteJobs.find({ dueAt: { $lte: new Date() } }, { sort: { dueAt: 1 }, limit: 100 });
+    for (const job of jobs) {
+      await processDeleteJob(job);
+    }
+  } catch (err) {
+    console.error('Delete worker error:', err);
+  } finally {
+    deleteWorkerBusy.delete(currentBotKey());
+  }
+};
+
 // Update user activity
 const updateUserActivity = async (userId, data = {}) => {
   try {
-    await User.findOneAndUpdate(
+    await db.users.findOneAndUpdate(
       { userId },
       { 
         ...data,
+        isBlocked: false,
         lastActive: new Date()
       },
-      { upsert: true, new: true }
+      { upsert: true }
     );
   } catch (err) {
     console.error('Update user error:', err);
   }
 };
 
-// START Command
-bot.start(async (ctx) => {
+// Analytics events, see EventSchema. Failing to record one never fails
+// the request itself.
+const linkFields = (link) => ({ code: link.shortCode, uploadedBy: link.createdBy || link.uploadedBy });
+
+const trackEvent = async (type, userId, fields = {}) => {
   try {
-    const args = ctx.message.text.split(' ')[1];
-    
-    // Update user info
-    await updateUserActivity(ctx.from.id, {
-      firstName: ctx.from.first_name,
-      username: ctx.from.username
-    });
+    return await db.events.create({ type, userId, day: new Date().toISOString().substr(0, 10), ...fields });
+  } catch (err) {
+    console.error('Event error:', err.message);
+    return null;
+  }
+};
 
-    if (args) {
-      // File request
-      const file = await File.findOne({ shortCode: args, isActive: true });
-      if (!file) {
-        return ctx.reply('❌ File not found or has been removed.');
-      }
+// Rate limiting
+// Per user and action: at most `limit` hits per window, staff are exempt.
+// Going over the limit earns a strike and one cooldown message, further hits
+// in the same cooldown are dropped silently. `autoban` strikes within a day
+// ban the user. Counters live in memory and start over on restart.
+const RATE_LIMIT_DEFAULTS = { upload: 30, open: 20, callback: 30, autoban: 5 };
+const RATE_WINDOWS = { upload: 3600, open: 60, callback: 60 };
+const STRIKE_WINDOW = 24 * 3600 * 1000;
+const RATE_SWEEP_INTERVAL = 10 * 60 * 1000;
+const RATE_LIMIT_ACTOR = { id: 0, name: 'rate limit', source: 'bot' };
 
-      // Check if user is banned
-      const user = await User.findOne({ userId: ctx.from.id });
-      if (user && user.isBanned) {
-        return ctx.reply('🚫 You are banned from using this bot.');
-      }
+// `${action}:${userId}` -> { hits: [timestamp], warned }, per bot
+const rateBuckets = botScoped();
+// userId -> [timestamp] of limit hits, per bot
+const rateStrikes = botScoped();
+// Bot key -> time of the last sweep
+const lastRateSweep = new Map();
 
-      // Check subscription
-      if (!(await checkSubscription(ctx))) return;
-
-      // Check verification
-      if (!user || !user.isVerified) {
-        const fileUrl = `https://t.me/${config.botUsername}?start=${args}`;
-        const shortUrl = await createShortLink(fileUrl);
-        
-        // Update file views
-        file.views += 1;
-        await file.save();
-        
-        const keyboard = {
-          inline_keyboard: [
-            [{ text: '🔗 Click Here to Verify & Access', url: shortUrl }],
-            [{ text: '✅ I Have Verified', callback_data: `verify_${args}` }]
-          ]
-        };
-        
-        return ctx.reply(
-          '🔐 *Verification Required*\n\n' +
-          '👉 Click the button below to verify:\n\n' +
-          '✅ After completing verification, click "I Have Verified"\n\n' +
-          '💡 *Note:* You only need to verify once. After that, you\'ll get direct access to all files!',
-          { 
-            reply_markup: keyboard,
-            parse_mode: 'Markdown'
-          }
-        );
-      }
+const getRateLimits = async () => ({ ...RATE_LIMIT_DEFAULTS, ...(await getSetting('rate_limits', null)) });
 
-      // Send file
-      try {
-        const protectContent = await getSetting('protect_content', false);
-        let sentMsg;
-        
-        if (file.fileType === 'document') {
-          sentMsg = await ctx.replyWithDocument(file.fileId, {
-            caption: file.caption,
-            protect_content: protectContent
-          });
-        } else if (file.fileType === 'video') {
-          sentMsg = await ctx.replyWithVideo(file.fileId, {
-            caption: file.caption,
-            protect_content: protectContent
-          });
-        } else if (file.fileType === 'audio') {
-          sentMsg = await ctx.replyWithAudio(file.fileId, {
-            caption: file.caption,
-            protect_content: protectContent
-          });
-        } else if (file.fileType === 'photo') {
-          sentMsg = await ctx.replyWithPhoto(file.fileId, {
-            caption: file.caption,
-            protect_content: protectContent
-          });
-        }
-        
-        // Update stats
-        file.downloads += 1;
-        await file.save();
-        
-        user.filesAccessed += 1;
-        await user.save();
-        
-        autoDelete(ctx, sentMsg.message_id);
-        
-        // Log download
-        await ctx.telegram.sendMessage(
-          config.logChannel,
-          `📥 *File Downloaded*\n\n` +
-          `👤 User: ${ctx.from.first_name} (${ctx.from.id})\n` +
-          `📝 Username: @${ctx.from.username || 'none'}\n` +
-          `📄 File: ${file.fileName || file.caption || 'Unknown'}\n` +
-          `🔑 Code: \`${args}\`\n` +
-          `📊 Views: ${file.views} | Downloads: ${file.downloads}\n` +
-          `⏰ Time: ${new Date().toLocaleString()}`,
-          { parse_mode: 'Markdown' }
-        ).catch(() => {});
-        
-      } catch (err) {
-        console.error('Send file error:', err);
-        ctx.reply('❌ Error sending file. Please contact admin.');
-      }
-    } else {
-      // Regular start
-      const startMsg = await getSetting('start_msg', 
-        '👋 *Welcome to File Store Bot!*\n\n' +
-        '📤 Send me any file and I\'ll give you a shareable link.\n\n' +
-        '💡 Share links with others to distribute your files easily!\n\n' +
-        '📚 Type /help for more information.'
-      );
-      await ctx.reply(startMsg, { parse_mode: 'Markdown' });
-    }
-  } catch (err) {
-    console.error('Start command error:', err);
-    ctx.reply('❌ An error occurred. Please try again later.');
+const sweepRateLimits = (now) => {
+  if (now - (lastRateSweep.get(currentBotKey()) || 0) < RATE_SWEEP_INTERVAL) return;
+  lastRateSweep.set(currentBotKey(), now);
+  const longestWindow = Math.max(...Object.values(RATE_WINDOWS)) * 1000;
+  for (const [key, bucket] of rateBuckets()) {
+    if (bucket.hits[bucket.hits.length - 1] <= now - longestWindow) rateBuckets().delete(key);
   }
-});
+  for (const [userId, times] of rateStrikes()) {
+    if (times[times.length - 1] <= now - STRIKE_WINDOW) rateStrikes().delete(userId);
+  }
+};
 
-// HELP Command
-bot.help(async (ctx) => {
-  const helpMsg = await getSetting('help_msg',
-    '📚 *Help Menu*\n\n' +
-    '*For Users:*\n' +
-    '1️⃣ Send any file to the bot\n' +
-    '2️⃣ Get a shareable link\n' +
-    '3️⃣ Share the link with others\n' +
-    '4️⃣ First-time users verify via link\n' +
-    '5️⃣ Direct access after verification\n\n' +
-    '*Supported Files:*\n' +
-    '📄 Documents (PDF, ZIP, etc.)\n' +
-    '🎥 Videos\n' +
-    '🎵 Audio\n' +
-    '🖼 Photos\n\n' +
-    '*Admin Commands:*\n' +
-    '/setadlink - Configure AdLinkFly\n' +
-    '/broadcast - Send message to all users\n' +
-    '/stats - View bot statistics\n' +
-    '/ban - Ban a user\n' +
-    '/unban - Unban a user\n' +
-    '/deletefile - Delete a file\n' +
-    '/settings - View all settings'
-  );
-  ctx.reply(helpMsg, { parse_mode: 'Markdown' });
-});
+// Records a strike, banning the user once they reach `autoban` of them
+const addStrike = async (userId, action, autoban) => {
+  const now = Date.now();
+  const times = (rateStrikes().get(userId) || []).filter(time => time > now - STRIKE_WINDOW);
+  times.push(now);
+  rateStrikes().set(userId, times);
+  if (!autoban || times.length < autoban) return false;
 
-// Verify Callback
-bot.action(/verify_(.+)/, async (ctx) => {
-  try {
-    const code = ctx.match[1];
-    const userId = ctx.from.id;
-    
-    await User.findOneAndUpdate(
-      { userId },
-      { 
-        verified: true,
-        verifiedAt: new Date(),
-        firstName: ctx.from.first_name,
-        username: ctx.from.username
-      },
-      { upsert: true, new: true }
-    );
-    
-    await ctx.answerCbQuery('✅ Verification successful!');
-    await ctx.reply(
-      '✅ *Congratulations!*\n\n' +
-      '🎉 You are now verified and can access all files directly.\n\n' +
-      '📥 Click your original link again to download the file.',
-      { parse_mode: 'Markdown' }
-    );
-    
-    // Log verification
-    await ctx.telegram.sendMessage(
-      config.logChannel,
-      `✅ *New User Verified*\n\n` +
-      `👤 User: ${ctx.from.first_name} (${userId})\n` +
-      `📝 Username: @${ctx.from.username || 'none'}\n` +
-      `⏰ Time: ${new Date().toLocaleString()}`,
-      { parse_mode: 'Markdown' }
-    ).catch(() => {});
-  } catch (err) {
-    console.error('Verify callback error:', err);
-    ctx.answerCbQuery('❌ Verification failed. Please try again.');
-  }
-});
+  rateStrikes().delete(userId);
+  await setUserBan(RATE_LIMIT_ACTOR, userId, true, `Rate limit: ${times.length} strikes in 24h (last: ${action})`);
+  return true;
+};
 
-// Subscription Verify Callback
-bot.action('verify_sub', async (ctx) => {
-  if (await checkSubscription(ctx)) {
-    await ctx.answerCbQuery('✅ Subscription verified!');
-    await ctx.reply('✅ Great! You can now use the bot. Click your file link again.');
-  } else {
-    await ctx.answerCbQuery('❌ Please join all channels first!', { show_alert: true });
+// Counts one `action` for the sender, replying with a cooldown when over the limit
+const checkRateLimit = async (ctx, action) => {
+  const limits = await getRateLimits();
+  const limit = limits[action];
+  if (!limit || (await getRole(ctx.from.id)) !== 'user') return true;
+
+  const now = Date.now();
+  sweepRateLimits(now);
+  const windowMs = RATE_WINDOWS[action] * 1000;
+  const key = `${action}:${ctx.from.id}`;
+  const bucket = rateBuckets().get(key) || { hits: [], warned: false };
+  bucket.hits = bucket.hits.filter(time => time > now - windowMs);
+  rateBuckets().set(key, bucket);
+
+  if (bucket.hits.length < limit) {
+    bucket.hits.push(now);
+    bucket.warned = false;
+    return true;
   }
+  if (bucket.warned) return false;
+  bucket.warned = true;
+
+  const banned = await addStrike(ctx.from.id, action, limits.autoban);
+  const text = banned
+    ? await ctx.t('rate_banned')
+    : await ctx.t('rate_limited', { wait: formatDuration(Math.ceil((bucket.hits[0] + windowMs - now) / 1000)) });
+  if (ctx.callbackQuery) await ctx.answerCbQuery(text, { show_alert: true }).catch(() => {});
+  else await ctx.reply(text);
+  return false;
+};
+
+// Every button press counts, whichever handler it is for
+bot.on('callback_query', async (ctx, next) => {
+  if (await checkRateLimit(ctx, 'callback')) return next();
 });
 
-// File Handler
-bot.on(['document', 'video', 'audio', 'photo'], async (ctx) => {
-  try {
-    let fileId, fileType, fileName, fileSize, caption;
+// Pending text input: userId -> { action, ... }. Sections register a handler
+// in inputHandlers for their action; the next text message is routed there.
+const pendingInputs = botScoped();
+const inputHandlers = {};
 
-    if (ctx.message.document) {
-      fileId = ctx.message.document.file_id;
-      fileType = 'document';
-      fileName = ctx.message.document.file_name;
-      fileSize = ctx.message.document.file_size;
-    } else if (ctx.message.video) {
-      fileId = ctx.message.video.file_id;
-      fileType = 'video';
-      fileName = ctx.message.video.file_name || 'Video';
-      fileSize = ctx.message.video.file_size;
-    } else if (ctx.message.audio) {
-      fileId = ctx.message.audio.file_id;
-      fileType = 'audio';
-      fileName = ctx.message.audio.title || ctx.message.audio.file_name || 'Audio';
-      fileSize = ctx.message.audio.file_size;
-    } else if (ctx.message.photo) {
-      const photo = ctx.message.photo[ctx.message.photo.length - 1];
-      fileId = photo.file_id;
-      fileType = 'photo';
-      fileName = 'Photo';
-      fileSize = photo.file_size;
-    }
+// Verification
+const isVerificationValid = async (user) => {
+  if (user && user.verifyBypassUntil && user.verifyBypassUntil > new Date()) return true;
+  if (!user || !user.isVerified || !user.verifiedAt) return false;
+  const expiry = await getSetting('verify_expiry', 0);
+  if (!expiry) return true;
+  return Date.now() - user.verifiedAt.getTime() < expiry * 1000;
+};
 
-    caption = ctx.message.caption || fileName;
+// Premium
+// Premium users skip verification and force subscription. With the
+// `premium_perks` setting (on by default) their files are also unprotected
+// and never auto-deleted. Premium ends by itself at premiumUntil, the worker
+// only sends the reminder before that and the notice after.
+const PREMIUM_REMINDER_BEFORE = 3 * 86400 * 1000;
+const PREMIUM_POLL_INTERVAL = 10 * 60 * 1000;
 
-    // Generate unique code
-    let shortCode;
-    let isUnique = false;
-    while (!isUnique) {
-      shortCode = generateCode();
-      const exists = await File.findOne({ shortCode });
-      if (!exists) isUnique = true;
-    }
+const isPremium = (user) => !!(user && user.premiumUntil && user.premiumUntil > new Date());
+const hasPremiumPerks = async (user) => isPremium(user) && await getSetting('premium_perks', true);
 
-    // Save to database
-    const file = new File({
-      fileId,
-      fileType,
-      fileName,
-      fileSize,
-      caption,
-      shortCode,
-      uploadedBy: ctx.from.id
+// Grants or extends premium, returning the expiry before and after
+const grantPremium = async (userId, seconds) => {
+  const user = await db.users.findOne({ userId });
+  const from = isPremium(user) ? user.premiumUntil.getTime() : Date.now();
+  const premiumUntil = new Date(from + seconds * 1000);
+  // Short grants would get the reminder right away, skip it for them
+  const notice = premiumUntil - Date.now() <= PREMIUM_REMINDER_BEFORE
+    ? { premiumNotice: 'reminder' }
+    : { $unset: { premiumNotice: 1 } };
+  await db.users.updateOne({ userId }, { premiumUntil, ...notice }, { upsert: true });
+  return { before: (user && user.premiumUntil) || null, premiumUntil };
+};
+
+const premiumWorkerBusy = new Set();
+const runPremiumWorker = async () => {
+  if (premiumWorkerBusy.has(currentBotKey())) return;
+  premiumWorkerBusy.add(currentBotKey());
+  try {
+    const now = new Date();
+    const ending = await db.users.find({
+      premiumUntil: { $gt: now, $lte: new Date(now.getTime() + PREMIUM_REMINDER_BEFORE) },
+      premiumNotice: null
     });
-    await file.save();
+    for (const user of ending) {
+      await currentTelegram().sendMessage(
+        user.userId,
+        await translate(userLanguage(user), 'premium_ending', {
+          duration: formatDuration(Math.round((user.premiumUntil - now) / 1000)),
+          date: user.premiumUntil.toLocaleString()
+        }),
+        { parse_mode: 'Markdown' }
+      ).catch(() => {});
+      await db.users.updateOne({ userId: user.userId }, { premiumNotice: 'reminder' });
+    }
 
-    // Update user stats
-    await User.findOneAndUpdate(
+    const expired = await db.users.find({ premiumUntil: { $lte: now }, premiumNotice: { $ne: 'expired' } });
+    for (const user of expired) {
+      await currentTelegram().sendMessage(
+        user.userId,
+        await translate(userLanguage(user), 'premium_expired'),
+        { parse_mode: 'Markdown' }
+      ).catch(() => {});
+      await db.users.updateOne({ userId: user.userId }, { premiumNotice: 'expired' });
+    }
+  } catch (err) {
+    console.error('Premium worker error:', err);
+  } finally {
+    premiumWorkerBusy.delete(currentBotKey());
+  }
+};
+
+// Referrals
+// `?start=ref_<id>` stores the referrer on a new user. The referral counts,
+// and the referrer gets the `referral_reward` setting ({ type, seconds },
+// type `verify` or `premium`), once the new user verifies.
+const referralLink = (userId) => `https://t.me/${config.botUsername}?start=ref_${userId}`;
+
+const describeReward = (reward) => reward
+  ? `${formatDuration(reward.seconds)} of ${reward.type === 'premium' ? 'premium' : 'verification-free access'}`
+  : 'none';
+
+// Only users the bot hasn't seen before can be referred, and not by themselves
+const recordReferral = async (userId, referrerId, isNewUser) => {
+  if (!isNewUser || !referrerId || referrerId === userId) return false;
+  const referrer = await db.users.findOne({ userId: referrerId });
+  if (!referrer || referrer.isBanned) return false;
+  await db.users.updateOne({ userId }, { referredBy: referrerId });
+  return true;
+};
+
+const creditReferral = async (telegram, user) => {
+  if (!user.referredBy || user.referralCountedAt) return;
+  // Claim the referral first so a repeated verification can't count it twice
+  const claimed = await db.users.updateOne(
+    { userId: user.userId, referralCountedAt: null },
+    { referralCountedAt: new Date() }
+  );
+  if (claimed.modifiedCount === 0) return;
+
+  const reward = await getSetting('referral_reward', null);
+  let rewardText = '';
+  if (reward && reward.type === 'premium') {
+    const { premiumUntil } = await grantPremium(user.referredBy, reward.seconds);
+    rewardText = `\n\n${await translateFor(user.referredBy, 'referral_premium', { date: premiumUntil.toLocaleString() })}`;
+  } else if (reward) {
+    const referrer = await db.users.findOne({ userId: user.referredBy });
+    const from = referrer && referrer.verifyBypassUntil > new Date() ? referrer.verifyBypassUntil.getTime() : Date.now();
+    const verifyBypassUntil = new Date(from + reward.seconds * 1000);
+    await db.users.updateOne({ userId: user.referredBy }, { verifyBypassUntil });
+    rewardText = `\n\n${await translateFor(user.referredBy, 'referral_bypass', { date: verifyBypassUntil.toLocaleString() })}`;
+  }
+
+  await telegram.sendMessage(
+    user.referredBy,
+    await translateFor(user.referredBy, 'referral_new', {
+      name: escapeMarkdown(user.firstName || await translateFor(user.referredBy, 'referral_someone'))
+    }) + rewardText,
+    { parse_mode: 'Markdown' }
+  ).catch(() => {});
+};
+
+// Verification tokens are only accepted for a day after they were created
+const VERIFY_TOKEN_TTL = 24 * 60 * 60 * 1000;
+
+const isVerifyTokenFresh = (user) =>
+  Boolean(user.verifyToken && user.verifyTokenAt && Date.now() - user.verifyTokenAt < VERIFY_TOKEN_TTL);
+
+// Returns the user's pending verification token, creating a new one if
+// there is none or it is too old
+const getVerifyToken = async (user, code) => {
+  const fresh = isVerifyTokenFresh(user);
+  const token = fresh ? user.verifyToken : generateToken();
+  await db.users.updateOne(
+    { userId: user.userId },
+    { verifyToken: token, verifyTokenAt: fresh ? user.verifyTokenAt : new Date(), pendingCode: code }
+  );
+  return token;
+};
+
+// Send a stored file to the user and update stats. Batch deliveries pass
+// { batch: true } and handle auto-delete and logging themselves; aliases
+// pass { link } so their own counters are updated.
+const sendFile = async (ctx, file, user, options = {}) => {
+  try {
+    const protectContent = (await getSetting('protect_content', false)) && !(await hasPremiumPerks(user));
+    const type = FILE_TYPES[file.fileType];
+    if (!type) throw new Error(`Unsupported file type: ${file.fileType}`);
+    const extra = { protect_content: protectContent };
+    let sentMsg;
+    
+    // Prefer the storage channel copy, it survives bot token changes
+    let storageError;
+    if (file.storageChatId && file.storageMessageId && type.copyFromStorage !== false) {
+      try {
+        sentMsg = await ctx.telegram.copyMessage(
+          ctx.chat.id,
+          file.storageChatId,
+          file.storageMessageId,
+          type.captions ? withCaption(file, extra) : extra
+        );
+      } catch (err) {
+        if (getRetryAfter(err) !== null) throw err;
+        console.error('Storage channel copy error:', err.message);
+        storageError = err;
+      }
+    }
+
+    if (!sentMsg) {
+      // Another bot's file_id can't work with this token, only the storage copy could
+      if (type.copyFromStorage !== false && !canUseFileId(file)) {
+        const err = new Error(`No storage copy this bot can send${storageError ? `: ${storageError.description || storageError.message}` : ''}`);
+        alertDeliveryFailure(file, err);
+        throw err;
+      }
+      sentMsg = await type.send(ctx, file, extra);
+    }
+    
+    metrics.deliveries++;
+    
+    // Update stats on the opened link, which may be an alias of the file
+    const link = options.link || file;
+    link.downloads += 1;
+    await db.files.updateOne({ _id: link._id }, { $inc: { downloads: 1 } });
+    await db.users.updateOne({ userId: user.userId }, { $inc: { filesAccessed: 1 } });
+    
+    if (options.batch) return sentMsg;
+
+    await trackEvent('delivered', user.userId, linkFields(link));
+
+    if (!(await hasPremiumPerks(user))) autoDelete(ctx, [sentMsg.message_id], link.shortCode);
+    
+    // Log download
+    await ctx.telegram.sendMessage(
+      config.logChannel,
+      `📥 *File Downloaded*\n\n` +
+      `👤 User: ${ctx.from.first_name} (${ctx.from.id})\n` +
+      `📝 Username: @${ctx.from.username || 'none'}\n` +
+      `📄 File: ${file.fileName || file.caption || 'Unknown'}\n` +
+      `🔑 Code: \`${link.shortCode}\`\n` +
+      `📊 Views: ${link.views} | Downloads: ${link.downloads}\n` +
+      `⏰ Time: ${new Date().toLocaleString()}`,
+      { parse_mode: 'Markdown' }
+    ).catch(() => {});
+    
+    return sentMsg;
+  } catch (err) {
+    if (options.batch) throw err;
+    metrics.handlerErrors++;
+    console.error('Send file error:', err);
+    await trackEvent('failed', user.userId, { ...linkFields(options.link || file), reason: 'error' });
+    ctx.reply(await ctx.t('send_error'));
+    return null;
+  }
+};
+
+// Send every file of a batch in order
+const BATCH_SEND_DELAY = 500;
+
+const sendBatch = async (ctx, batch, files, user) => {
+  await ctx.reply(await ctx.t('batch_sending', { count: files.length }));
+
+  const sentIds = [];
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const sentMsg = await withRetry(() => sendFile(ctx, file, user, { batch: true }));
+      if (sentMsg) sentIds.push(sentMsg.message_id);
+    } catch (err) {
+      metrics.handlerErrors++;
+      console.error('Send batch file error:', err);
+      failed++;
+    }
+    await sleep(BATCH_SEND_DELAY);
+  }
+
+  if (failed > 0) {
+    await trackEvent('failed', user.userId, { ...linkFields(batch), reason: 'error' });
+    await ctx.reply(await ctx.t('batch_send_failed', { count: failed }));
+  }
+
+  batch.downloads += 1;
+  await db.batches.updateOne({ _id: batch._id }, { $inc: { downloads: 1 } });
+  if (sentIds.length > 0) await trackEvent('delivered', user.userId, linkFields(batch));
+
+  if (!(await hasPremiumPerks(user))) autoDelete(ctx, sentIds, batch.shortCode);
+
+  // Log download
+  await ctx.telegram.sendMessage(
+    config.logChannel,
+    `📦 *Batch Downloaded*\n\n` +
+    `👤 User: ${ctx.from.first_name} (${ctx.from.id})\n` +
+    `📝 Username: @${ctx.from.username || 'none'}\n` +
+    `📁 Files: ${sentIds.length}/${files.length}\n` +
+    `🔑 Code: \`${batch.shortCode}\`\n` +
+    `📊 Views: ${batch.views} | Downloads: ${batch.downloads}\n` +
+    `⏰ Time: ${new Date().toLocaleString()}`,
+    { parse_mode: 'Markdown' }
+  ).catch(() => {});
+};
+
+// Resolve a share code to a single file or a batch of files. For files,
+// `link` is the record the code belongs to and `file` the one to send.
+const resolveCode = async (code) => {
+  const link = await db.files.findOne({ shortCode: code, isActive: true });
+  if (link) {
+    const file = link.aliasOf ? await db.files.findOne({ _id: link.aliasOf, isActive: true }) : link;
+    return file ? { link, file, files: [file] } : null;
+  }
+
+  const batch = await db.batches.findOne({ shortCode: code, isActive: true });
+  if (!batch) return null;
+
+  const docs = await db.files.find({ _id: { $in: batch.files }, isActive: true });
+  const files = batch.files
+    .map(id => docs.find(doc => doc._id.equals(id)))
+    .filter(Boolean);
+  if (files.length === 0) return null;
+  return { batch, files };
+};
+
+const deliver = (ctx, target, user) => {
+  if (target.batch) return sendBatch(ctx, target.batch, target.files, user);
+  return sendFile(ctx, target.file, user, { link: target.link });
+};
+
+// Returns why a link can no longer be opened, or null if it can
+const getLinkLimitMessage = (ctx, link) => {
+  if (link.expiresAt && link.expiresAt <= new Date()) {
+    return ctx.t('link_expired', { date: link.expiresAt.toLocaleString() });
+  }
+  if (link.maxDownloads && link.downloads >= link.maxDownloads) {
+    return ctx.t('link_limit', { max: link.maxDownloads });
+  }
+  return null;
+};
+
+// Password unlocks: "userId:code" -> expiry timestamp
+const UNLOCK_TTL = 60 * 60 * 1000;
+const PASSWORD_MAX_ATTEMPTS = 5;
+const PASSWORD_LOCKOUT = 15 * 60 * 1000;
+const unlockedLinks = botScoped();
+// Wrong passwords: "userId:code" -> { count, until }. They are kept until
+// PASSWORD_LOCKOUT after the last one, so reopening the link doesn't reset them.
+const passwordFailures = botScoped();
+
+const unlockLink = (userId, code) => {
+  const now = Date.now();
+  for (const [key, expires] of unlockedLinks()) {
+    if (expires <= now) unlockedLinks().delete(key);
+  }
+  unlockedLinks().set(`${userId}:${code}`, now + UNLOCK_TTL);
+};
+
+const isLinkUnlocked = (userId, code) => (unlockedLinks().get(`${userId}:${code}`) || 0) > Date.now();
+
+const getPasswordFailures = (userId, code) => {
+  const failures = passwordFailures().get(`${userId}:${code}`);
+  return failures && failures.until > Date.now() ? failures : null;
+};
+
+// Returns the lockout end once the user ran out of attempts, else null
+const getPasswordLockout = (userId, code) => {
+  const failures = getPasswordFailures(userId, code);
+  return failures && failures.count >= PASSWORD_MAX_ATTEMPTS ? failures.until : null;
+};
+
+const recordPasswordFailure = (userId, code) => {
+  const now = Date.now();
+  for (const [key, failures] of passwordFailures()) {
+    if (failures.until <= now) passwordFailures().delete(key);
+  }
+  const failures = getPasswordFailures(userId, code);
+  passwordFailures().set(`${userId}:${code}`, { count: (failures ? failures.count : 0) + 1, until: now + PASSWORD_LOCKOUT });
+};
+
+// Open a shared code: checks ban, channels, link limits, password and
+// verification before delivering. Resuming an open after verification or a
+// password passes { resumed: true } so the visit isn't counted twice.
+const openCode = async (ctx, code, options = {}) => {
+  // File or batch request
+  const target = await resolveCode(code);
+  if (!target) {
+    return ctx.reply(await ctx.t('file_not_found'));
+  }
+
+  // Check if user is banned
+  const user = await db.users.findOne({ userId: ctx.from.id });
+  if (user && user.isBanned) {
+    return ctx.reply(await ctx.t('banned'));
+  }
+
+  // Every open is a view, whatever happens next
+  const opened = target.batch || target.link;
+  const event = linkFields(opened);
+  if (!options.resumed) {
+    await (target.batch ? db.batches : db.files).updateOne({ _id: opened._id }, { $inc: { views: 1 } });
+    opened.views += 1;
+    await trackEvent('view', ctx.from.id, event);
+  }
+
+  // Check subscription, premium users don't have to join
+  const premium = isPremium(user);
+  if (!premium && !(await checkSubscription(ctx))) {
+    await trackEvent('failed', ctx.from.id, { ...event, reason: 'subscription' });
+    return;
+  }
+
+  // Check link expiry, download cap and password
+  if (target.link) {
+    const limitMessage = await getLinkLimitMessage(ctx, target.link);
+    if (limitMessage) {
+      await trackEvent('failed', ctx.from.id, { ...event, reason: 'limit' });
+      return ctx.reply(limitMessage, { parse_mode: 'Markdown' });
+    }
+    if (target.link.passwordHash && !isLinkUnlocked(ctx.from.id, code)) {
+      const lockedUntil = getPasswordLockout(ctx.from.id, code);
+      if (lockedUntil) {
+        await trackEvent('failed', ctx.from.id, { ...event, reason: 'password' });
+        return ctx.reply(await ctx.t('password_locked', { wait: formatDuration(Math.ceil((lockedUntil - Date.now()) / 1000)) }));
+      }
+      pendingInputs().set(ctx.from.id, { action: 'password', code });
+      return ctx.reply(await ctx.t('password_required'), { parse_mode: 'Markdown' });
+    }
+  }
+
+  // Check verification
+  if (!premium && !(await isVerificationValid(user))) {
+    const token = await getVerifyToken(user, code);
+    const verifyUrl = `https://t.me/${config.botUsername}?start=verify_${token}`;
+    const short = await createShortLink(verifyUrl);
+
+    // Never hand out the raw verification link, apply the failure policy
+    if (!short) {
+      if ((await getSetting('shortener_fail_policy', 'deny')) === 'allow') {
+        await creditReferral(ctx.telegram, user);
+        return deliver(ctx, target, user);
+      }
+      await trackEvent('failed', ctx.from.id, { ...event, reason: 'shortener' });
+      return ctx.reply(await ctx.t('verify_unavailable'), { parse_mode: 'Markdown' });
+    }
+    
+    // With a public URL the button goes through /go/ so clicks are counted
+    const prompt = await trackEvent('prompt', ctx.from.id, { ...event, provider: short.provider, url: short.url });
+    const buttonUrl = config.publicUrl && prompt ? `${config.publicUrl.replace(/\/+$/, '')}/go/${prompt._id}` : short.url;
+    
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: await ctx.t('verify_button'), url: buttonUrl }]
+      ]
+    };
+    
+    const expired = user.isVerified;
+    return ctx.reply(
+      (await ctx.t(expired ? 'verify_expired' : 'verify_required')) + '\n\n' + (await ctx.t('verify_prompt')),
+      { 
+        reply_markup: keyboard,
+        parse_mode: 'Markdown'
+      }
+    );
+  }
+
+  // Send file(s). A referral counts here too, for users who never have to
+  // verify: premium, verification-free access or verification off.
+  await creditReferral(ctx.telegram, user);
+  await deliver(ctx, target, user);
+};
+
+// Handle a verification token coming back from the shortener
+const handleVerifyToken = async (ctx, token) => {
+  const user = await db.users.findOne({ userId: ctx.from.id });
+  if (user && user.isBanned) {
+    return ctx.reply(await ctx.t('banned'));
+  }
+
+  if (!user || user.verifyToken !== token || !isVerifyTokenFresh(user)) {
+    return ctx.reply(await ctx.t('verify_invalid'), { parse_mode: 'Markdown' });
+  }
+
+  const pendingCode = user.pendingCode;
+  await db.users.updateOne(
+    { userId: user.userId },
+    {
+      isVerified: true,
+      verifiedAt: new Date(),
+      $unset: { verifyToken: 1, verifyTokenAt: 1, pendingCode: 1 }
+    }
+  );
+  metrics.verifications++;
+  // Credit the link and shortener that sent the user here
+  const prompt = await db.events.findOne({ type: 'prompt', userId: user.userId }, { sort: { createdAt: -1 } });
+  await trackEvent('verified', user.userId, prompt ? { code: prompt.code, uploadedBy: prompt.uploadedBy, provider: prompt.provider } : {});
+  await creditReferral(ctx.telegram, user);
+
+  const expiry = await getSetting('verify_expiry', 0);
+  await ctx.reply(
+    (await ctx.t('verify_success')) +
+    (expiry ? '\n\n' + (await ctx.t('verify_valid_for', { duration: formatDuration(expiry) })) : ''),
+    { parse_mode: 'Markdown' }
+  );
+
+  // Log verification
+  await ctx.telegram.sendMessage(
+    config.logChannel,
+    `✅ *New User Verified*\n\n` +
+    `👤 User: ${ctx.from.first_name} (${ctx.from.id})\n` +
+    `📝 Username: @${ctx.from.username || 'none'}\n` +
+    `⏰ Time: ${new Date().toLocaleString()}`,
+    { parse_mode: 'Markdown' }
+  ).catch(() => {});
+
+  if (pendingCode) {
+    await openCode(ctx, pendingCode, { resumed: true });
+  }
+};
+
+// START Command
+bot.start(async (ctx) => {
+  try {
+    const args = ctx.message.text.split(' ')[1];
+    const isNewUser = !(await db.users.exists({ userId: ctx.from.id }));
+    
+    // Update user info
+    await updateUserActivity(ctx.from.id, {
+      firstName: ctx.from.first_name,
+      username: ctx.from.username,
+      languageCode: ctx.from.language_code
+    });
+
+    if (args && !args.startsWith('ref_') && !(await checkRateLimit(ctx, 'open'))) return;
+
+    if (args && args.startsWith('verify_')) {
+      return handleVerifyToken(ctx, args.replace('verify_', ''));
+    }
+
+    if (args && args.startsWith('ref_')) {
+      await recordReferral(ctx.from.id, parseInt(args.replace('ref_', '')), isNewUser);
+    }
+
+    if (args && !args.startsWith('ref_')) {
+      await openCode(ctx, args);
+    } else {
+      // Regular start
+      await ctx.reply(await ctx.t('start'), { parse_mode: 'Markdown' });
+    }
+  } catch (err) {
+    metrics.handlerErrors++;
+    console.error('Start command error:', err);
+    ctx.reply(await ctx.t('error'));
+  }
+});
+
+// HELP Command
+bot.help(async (ctx) => {
+  const helpMsg = await ctx.t('help', {
+    botUsername: escapeMarkdown(config.botUsername),
+    fileTypes: Object.values(FILE_TYPES).map(type => `${type.icon} ${type.label}`).join('\n')
+  });
+  ctx.reply(helpMsg, { parse_mode: 'Markdown' });
+});
+
+// Language picker
+const languageName = (lang) => `${LANGUAGES[lang].flag} ${LANGUAGES[lang].name}`;
+
+bot.command('language', async (ctx) => {
+  const buttons = Object.keys(LANGUAGES).map(lang => [{ text: languageName(lang), callback_data: `lang_${lang}` }]);
+  buttons.push([{ text: await ctx.t('language_auto'), callback_data: 'lang_auto' }]);
+  ctx.reply(
+    await ctx.t('language_pick', { language: languageName(await getLanguage(ctx)) }),
+    { parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons } }
+  );
+});
+
+bot.action(/^lang_(\w+)$/, async (ctx) => {
+  const lang = ctx.match[1];
+  if (lang !== 'auto' && !LANGUAGES[lang]) return ctx.answerCbQuery();
+
+  await db.users.updateOne(
+    { userId: ctx.from.id },
+    lang === 'auto' ? { $unset: { language: 1 } } : { language: lang },
+    { upsert: true }
+  );
+  ctx.state.language = null;
+  const text = await ctx.t('language_set', { language: languageName(await getLanguage(ctx)) });
+  await ctx.answerCbQuery(text);
+  await ctx.editMessageText(text).catch(() => {});
+});
+
+// Subscription Verify Callback
+bot.action('verify_sub', async (ctx) => {
+  if (await checkSubscription(ctx)) {
+    await ctx.answerCbQuery(await ctx.t('sub_verified'));
+    await ctx.reply(await ctx.t('sub_verified_reply'));
+  } else {
+    await ctx.answerCbQuery(await ctx.t('sub_not_joined'), { show_alert: true });
+  }
+});
+
+// A join request satisfies channels in `request` mode
+bot.on('chat_join_request', async (ctx) => {
+  const { chat, from } = ctx.chatJoinRequest;
+  const channel = await db.channels.findOne({ channelId: chat.id.toString() });
+  if (!channel) return;
+
+  await db.joinRequests.updateOne(
+    { channelId: channel.channelId, userId: from.id },
+    { $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+  if (channel.mode === 'request') cacheMembership(channel.channelId, from.id);
+});
+
+// The bot's own rights changed, report lost admin rights right away
+bot.on('my_chat_member', async (ctx) => {
+  const { chat, new_chat_member: member } = ctx.myChatMember;
+  const channel = await db.channels.findOne({ channelId: chat.id.toString() });
+  if (!channel) return;
+
+  if (member.status === 'administrator') await restoreChannelAccess(channel);
+  else await alertChannelAccess(channel, `The bot is now "${member.status}" in this channel.`);
+});
+
+// Legacy "I Have Verified" buttons from older messages
+bot.action(/^verify_(.+)$/, async (ctx) => {
+  await ctx.answerCbQuery(await ctx.t('verify_use_link'), { show_alert: true });
+});
+
+// Pull file details out of a message, or null if it holds no supported file
+const extractFile = (message) => {
+  for (const [fileType, type] of Object.entries(FILE_TYPES)) {
+    const info = message[fileType] && type.extract(message);
+    if (!info) continue;
+
+    const isText = fileType === 'text';
+    return {
+      ...info,
+      fileType,
+      caption: isText ? message.text : (message.caption || info.fileName),
+      captionEntities: (isText ? message.entities : message.caption_entities) || []
+    };
+  }
+  return null;
+};
+
+// Batch upload sessions: userId -> { files: [ObjectId], startedAt }
+const batchSessions = botScoped();
+const BATCH_MAX_FILES = 200;
+
+// `title` and `footer` are message keys. `manageId` adds a Link Options
+// button for a file the uploader owns
+const replyWithShareLink = async (ctx, title, fileName, fileSize, shortCode, footer, manageId) => {
+  const shareLink = `https://t.me/${config.botUsername}?start=${shortCode}`;
+  const keyboard = {
+    inline_keyboard: [
+      [{ text: await ctx.t('share_button'), url: `https://t.me/share/url?url=${encodeURIComponent(shareLink)}` }]
+    ]
+  };
+  if (manageId) {
+    keyboard.inline_keyboard.push([{ text: await ctx.t('link_options_button'), callback_data: `mf_opts_${manageId}_0` }]);
+  }
+  
+  return ctx.reply(
+    `${await ctx.t(title)}\n\n` +
+    await ctx.t('share_details', { fileName, fileSize: formatFileSize(fileSize), shareLink, code: shortCode }) + '\n\n' +
+    await ctx.t(footer || 'share_footer'),
+    { 
+      parse_mode: 'Markdown',
+      reply_markup: keyboard
+    }
+  );
+};
+
+const addToBatch = async (ctx, session, fileId) => {
+  session.files.push(fileId);
+  return ctx.reply(await ctx.t('batch_added', { count: session.files.length }));
+};
+
+// A file its uploader deactivated doesn't hold back anyone else, their upload
+// is stored as a new record. Files removed by staff stay removed.
+const isReleasedBy = (existing, userId) => !existing.isActive &&
+  existing.deactivatedBy === existing.uploadedBy && existing.uploadedBy !== userId;
+
+// Re-upload of a file that is already stored: hand back the existing link,
+// or the uploader's own alias of it when aliases are enabled
+const handleDuplicateUpload = async (ctx, existing, info, session) => {
+  if (!existing.isActive) {
+    // Uploaders may bring back a file they deactivated themselves, under a new
+    // link without the old link options. Anything else stays removed; older
+    // records don't say who deactivated them.
+    if (existing.deactivatedBy !== existing.uploadedBy || existing.uploadedBy !== ctx.from.id) {
+      const byStaff = existing.deactivatedBy && existing.deactivatedBy !== existing.uploadedBy;
+      return ctx.reply(await ctx.t(byStaff ? 'upload_removed' : 'upload_deactivated'));
+    }
+    existing = await db.files.findOneAndUpdate(
+      { _id: existing._id },
+      {
+        isActive: true,
+        shortCode: await generateUniqueCode(),
+        $unset: { deactivatedBy: 1, expiresAt: 1, maxDownloads: 1, passwordHash: 1 }
+      }
+    );
+    if (session) return addToBatch(ctx, session, existing._id);
+    return replyWithShareLink(ctx, 'upload_success', existing.fileName, existing.fileSize, existing.shortCode, 'share_footer', existing._id);
+  }
+  await db.files.updateOne({ _id: existing._id }, { $inc: { duplicates: 1 } });
+
+  if (session) return addToBatch(ctx, session, existing._id);
+
+  let shortCode = existing.shortCode;
+  let manageId = existing.uploadedBy === ctx.from.id ? existing._id : null;
+  if (existing.uploadedBy !== ctx.from.id && (await getSetting('dedupe_alias', false))) {
+    let alias = await db.files.findOne({ aliasOf: existing._id, uploadedBy: ctx.from.id, isActive: true });
+    if (!alias) {
+      alias = await db.files.create({
+        fileType: info.fileType,
+        fileName: info.fileName,
+        fileSize: info.fileSize,
+        caption: info.caption,
+        captionEntities: info.captionEntities,
+        shortCode: await generateUniqueCode(),
+        uploadedBy: ctx.from.id,
+        aliasOf: existing._id
+      });
+
+      await db.users.updateOne(
+        { userId: ctx.from.id },
+        { $inc: { filesShared: 1 } },
+        { upsert: true }
+      );
+    }
+    shortCode = alias.shortCode;
+    manageId = alias._id;
+  }
+
+  await ctx.telegram.sendMessage(
+    config.logChannel,
+    `♻️ *Duplicate Upload*\n\n` +
+    `👤 User: ${ctx.from.first_name} (${ctx.from.id})\n` +
+    `📄 File: ${existing.fileName}\n` +
+    `🔑 Code: \`${existing.shortCode}\`` + (shortCode !== existing.shortCode ? ` (alias \`${shortCode}\`)` : '') + `\n` +
+    `⏰ Time: ${new Date().toLocaleString()}`,
+    { parse_mode: 'Markdown' }
+  ).catch(err => console.error('Log channel error:', err.message));
+
+  return replyWithShareLink(ctx, 'upload_duplicate', existing.fileName, existing.fileSize, shortCode, 'upload_duplicate_footer', manageId);
+};
+
+// Pending text input, routed to inputHandlers[input.action]
+bot.on('text', async (ctx, next) => {
+  const input = pendingInputs().get(ctx.from.id);
+  if (!input || ctx.message.text.startsWith('/')) return next();
+
+  pendingInputs().delete(ctx.from.id);
+  try {
+    await inputHandlers[input.action](ctx, input);
+  } catch (err) {
+    metrics.handlerErrors++;
+    console.error('Input handler error:', err);
+    ctx.reply(await ctx.t('error'));
+  }
+});
+
+// Private libraries only take files from uploaders and staff
+const canUpload = async (userId) => !(await getSetting('uploads_restricted', false)) ||
+  hasPermission(userId, 'upload');
+
+// An upload whose storage channel copy fails is still stored, by its file_id
+// only. The alert chat is told once per interval, not for every upload.
+const STORAGE_ALERT_INTERVAL = 10 * 60 * 1000;
+// Bot key -> time of the last alert
+const lastStorageAlert = new Map();
+
+const alertStorageFailure = (err) => {
+  if (Date.now() - (lastStorageAlert.get(currentBotKey()) || 0) <= STORAGE_ALERT_INTERVAL) return;
+  lastStorageAlert.set(currentBotKey(), Date.now());
+  currentTelegram().sendMessage(
+    getAlertChat(),
+    `⚠️ *Storage Channel Copy Failed*\n\n` +
+    `❌ Error: ${escapeMarkdown(err.description || err.message)}\n\n` +
+    `📁 New uploads are saved without a storage copy until the bot can post to \`${config.dbChannel}\` again.`,
+    { parse_mode: 'Markdown' }
+  ).catch(() => {});
+};
+
+// A file whose file_id belongs to another bot can only be delivered from the
+// storage channel; when that fails it is reported the same way.
+// Bot key -> time of the last alert
+const lastDeliveryAlert = new Map();
+
+const alertDeliveryFailure = (file, err) => {
+  if (Date.now() - (lastDeliveryAlert.get(currentBotKey()) || 0) <= STORAGE_ALERT_INTERVAL) return;
+  lastDeliveryAlert.set(currentBotKey(), Date.now());
+  currentTelegram().sendMessage(
+    getAlertChat(),
+    `⚠️ *File Could Not Be Sent*\n\n` +
+    `🔑 Code: \`${file.shortCode}\`\n` +
+    `❌ Error: ${escapeMarkdown(err.message)}\n\n` +
+    `📁 Files received by another bot can only be sent from the storage channel \`${config.dbChannel || 'none'}\`.`,
+    { parse_mode: 'Markdown' }
+  ).catch(() => {});
+};
+
+// Store an upload and reply with its link, or add it to the open batch
+const storeUpload = async (ctx, info) => {
+  try {
+    const { fileId, fileUniqueId, fileType, fileName, fileSize, caption, captionEntities, thumbFileId } = info;
+
+    if (!(await canUpload(ctx.from.id))) {
+      return ctx.reply(await ctx.t('upload_restricted'));
+    }
+    if (!(await checkRateLimit(ctx, 'upload'))) return;
+
+    const session = batchSessions().get(ctx.from.id);
+    if (session && session.files.length >= BATCH_MAX_FILES) {
+      return ctx.reply(await ctx.t('batch_full', { max: BATCH_MAX_FILES }));
+    }
+
+    // Deduplicate by Telegram's file_unique_id
+    let existing = fileUniqueId && await db.files.findOne({ fileUniqueId });
+    if (existing && isReleasedBy(existing, ctx.from.id)) {
+      // The file id moves to the new record, the old one stays deactivated
+      await db.files.updateOne({ _id: existing._id }, { $unset: { fileUniqueId: 1 } });
+      existing = null;
+    }
+    if (existing) return handleDuplicateUpload(ctx, existing, info, session);
+
+    // Back the file with a copy in the storage channel
+    let storageChatId, storageMessageId;
+    if (config.dbChannel) {
+      try {
+        const stored = await ctx.telegram.copyMessage(config.dbChannel, ctx.chat.id, ctx.message.message_id);
+        storageChatId = config.dbChannel;
+        storageMessageId = stored.message_id;
+      } catch (err) {
+        console.error('Storage channel copy error:', err.message);
+        alertStorageFailure(err);
+      }
+    }
+
+    // Generate unique code
+    const shortCode = await generateUniqueCode();
+
+    // Save to database
+    let file;
+    try {
+      file = await db.files.create({
+        fileId,
+        fileUniqueId,
+        fileType,
+        fileName,
+        fileSize,
+        caption,
+        captionEntities,
+        shortCode,
+        uploadedBy: ctx.from.id,
+        storageChatId,
+        storageMessageId,
+        thumbFileId,
+        uploadBot: usesSharedLibrary() ? currentClone().botId : undefined
+      });
+    } catch (err) {
+      // The same file arrived twice at once and the other upload was stored first
+      const stored = err.code === 11000 && fileUniqueId && await db.files.findOne({ fileUniqueId });
+      if (!stored) throw err;
+      if (storageMessageId) await ctx.telegram.deleteMessage(storageChatId, storageMessageId).catch(() => {});
+      return handleDuplicateUpload(ctx, stored, info, session);
+    }
+    metrics.uploads++;
+
+    // Update user stats
+    await db.users.updateOne(
       { userId: ctx.from.id },
       { $inc: { filesShared: 1 } },
       { upsert: true }
     );
 
-    // Forward to log channel
-    try {
-      await ctx.telegram.forwardMessage(
-        config.logChannel,
-        ctx.chat.id,
-        ctx.message.message_id
-      );
-      await ctx.telegram.sendMessage(
-        config.logChannel,
-        `📤 *New File Uploaded*\n\n` +
-        `👤 User: ${ctx.from.first_name} (${ctx.from.id})\n` +
-        `📝 Username: @${ctx.from.username || 'none'}\n` +
-        `📄 File: ${fileName}\n` +
-        `📦 Size: ${formatFileSize(fileSize)}\n` +
-        `📎 Type: ${fileType}\n` +
-        `🔑 Code: \`${shortCode}\`\n` +
-        `🔗 Link: \`https://t.me/${config.botUsername}?start=${shortCode}\`\n` +
-        `⏰ Time: ${new Date().toLocaleString()}`,
+    // Forward to log channel
+    try {
+      await ctx.telegram.forwardMessage(
+        config.logChannel,
+        ctx.chat.id,
+        ctx.message.message_id
+      );
+      await ctx.telegram.sendMessage(
+        config.logChannel,
+        `📤 *New File Uploaded*\n\n` +
+        `👤 User: ${ctx.from.first_name} (${ctx.from.id})\n` +
+        `📝 Username: @${ctx.from.username || 'none'}\n` +
+        `📄 File: ${fileName}\n` +
+        `📦 Size: ${formatFileSize(fileSize)}\n` +
+        `📎 Type: ${fileType}\n` +
+        `🔑 Code: \`${shortCode}\`\n` +
+        `🔗 Link: \`https://t.me/${config.botUsername}?start=${shortCode}\`\n` +
+        `⏰ Time: ${new Date().toLocaleString()}`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (err) {
+      console.error('Log channel error:', err.message);
+    }
+
+    // Collect into the open batch instead of replying with a single link
+    if (session) await addToBatch(ctx, session, file._id);
+    else await replyWithShareLink(ctx, 'upload_success', fileName, fileSize, shortCode, null, file._id);
+
+    // Channel posts are sent in the background, the upload is done
+    queueChannelPosts(ctx.telegram, file, ctx.from.id);
+  } catch (err) {
+    metrics.handlerErrors++;
+    console.error('File handler error:', err);
+    ctx.reply(await ctx.t('upload_error'));
+  }
+};
+
+// File Handler. Text is only stored when the uploader asks for it: inside a
+// batch or after /text, and only in private chat, so chatting with the bot
+// or talking in a group never ends up in the library.
+bot.on(Object.keys(FILE_TYPES), async (ctx, next) => {
+  const info = extractFile(ctx.message);
+  if (!info) return next();
+  if (info.fileType === 'text' && (ctx.chat.type !== 'private' || !batchSessions().has(ctx.from.id))) {
+    return next();
+  }
+  return storeUpload(ctx, info);
+});
+
+// Text: store the next message as a text or link post
+bot.command('text', async (ctx) => {
+  if (ctx.chat.type !== 'private') {
+    return ctx.reply(await ctx.t('text_private'));
+  }
+  if (!(await canUpload(ctx.from.id))) {
+    return ctx.reply(await ctx.t('upload_restricted'));
+  }
+
+  pendingInputs().set(ctx.from.id, { action: 'text' });
+  ctx.reply(await ctx.t('text_prompt'));
+});
+
+inputHandlers.text = (ctx, input) => {
+  // Still waiting for the post in private chat
+  if (ctx.chat.type !== 'private') return pendingInputs().set(ctx.from.id, input);
+  return storeUpload(ctx, extractFile(ctx.message));
+};
+
+// Batch: start collecting files
+bot.command('batch', async (ctx) => {
+  if (!(await canUpload(ctx.from.id))) {
+    return ctx.reply(await ctx.t('upload_restricted'));
+  }
+  if (batchSessions().has(ctx.from.id)) {
+    return ctx.reply(await ctx.t('batch_open'));
+  }
+
+  batchSessions().set(ctx.from.id, { files: [], startedAt: new Date() });
+  ctx.reply(await ctx.t('batch_started'), { parse_mode: 'Markdown' });
+});
+
+// Batch: create the link
+bot.command('done', async (ctx) => {
+  const session = batchSessions().get(ctx.from.id);
+  if (!session) {
+    return ctx.reply(await ctx.t('batch_none'));
+  }
+  if (session.files.length === 0) {
+    return ctx.reply(await ctx.t('batch_empty'));
+  }
+
+  try {
+    const shortCode = await generateUniqueCode();
+    await db.batches.create({
+      shortCode,
+      files: session.files,
+      createdBy: ctx.from.id
+    });
+    batchSessions().delete(ctx.from.id);
+
+    const shareLink = `https://t.me/${config.botUsername}?start=${shortCode}`;
+
+    await ctx.telegram.sendMessage(
+      config.logChannel,
+      `📦 *New Batch Created*\n\n` +
+      `👤 User: ${ctx.from.first_name} (${ctx.from.id})\n` +
+      `📝 Username: @${ctx.from.username || 'none'}\n` +
+      `📁 Files: ${session.files.length}\n` +
+      `🔑 Code: \`${shortCode}\`\n` +
+      `🔗 Link: \`${shareLink}\`\n` +
+      `⏰ Time: ${new Date().toLocaleString()}`,
+      { parse_mode: 'Markdown' }
+    ).catch(err => console.error('Log channel error:', err.message));
+
+    await ctx.reply(
+      await ctx.t('batch_created', { count: session.files.length, shareLink, code: shortCode }),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: await ctx.t('share_button'), url: `https://t.me/share/url?url=${encodeURIComponent(shareLink)}` }]
+          ]
+        }
+      }
+    );
+  } catch (err) {
+    metrics.handlerErrors++;
+    console.error('Batch create error:', err);
+    ctx.reply(await ctx.t('batch_error'));
+  }
+});
+
+// Batch or pending input: discard
+bot.command('cancel', async (ctx) => {
+  const hadInput = pendingInputs().delete(ctx.from.id);
+  if (batchSessions().delete(ctx.from.id)) {
+    return ctx.reply(await ctx.t('batch_cancelled'));
+  }
+  if (!hadInput) {
+    return ctx.reply(await ctx.t('cancel_nothing'));
+  }
+  ctx.reply(await ctx.t('cancelled'));
+});
+
+// My Files: browse and manage your own uploads
+const MYFILES_PAGE_SIZE = 8;
+
+// Staff who may delete files can manage everyone's
+const canManageOthers = async (userId) => !usesSharedLibrary() && hasPermission(userId, 'delete');
+const canManageFile = async (userId, file) => file.uploadedBy === userId || canManageOthers(userId);
+
+const renderFileList = async (ctx, ownerId, page) => {
+  const filter = { uploadedBy: ownerId, isActive: true };
+  const total = await db.files.count(filter);
+  const pages = Math.max(1, Math.ceil(total / MYFILES_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pages - 1);
+
+  const files = await db.files.find(filter, {
+    sort: { createdAt: -1 },
+    skip: page * MYFILES_PAGE_SIZE,
+    limit: MYFILES_PAGE_SIZE
+  });
+
+  const unknown = await ctx.t('unknown_name');
+  const buttons = files.map(file => [{
+    text: `${FILE_TYPES[file.fileType] ? FILE_TYPES[file.fileType].icon : '📄'} ${file.fileName || unknown}`,
+    callback_data: `mf_open_${file._id}_${page}`
+  }]);
+
+  const nav = [];
+  if (page > 0) nav.push({ text: await ctx.t('page_prev'), callback_data: `mf_list_${ownerId}_${page - 1}` });
+  if (page < pages - 1) nav.push({ text: await ctx.t('page_next'), callback_data: `mf_list_${ownerId}_${page + 1}` });
+  if (nav.length > 0) buttons.push(nav);
+
+  const title = ownerId === ctx.from.id ? await ctx.t('myfiles_title') : await ctx.t('myfiles_title_of', { userId: ownerId });
+  const text = total === 0
+    ? `${title}\n\n${await ctx.t('myfiles_empty')}`
+    : `${title}\n\n${await ctx.t('myfiles_summary', { total, page: page + 1, pages })}`;
+
+  return { text, extra: { parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons } } };
+};
+
+const renderFileDetails = async (ctx, file, page) => {
+  const text = await ctx.t('file_details', {
+    name: escapeMarkdown(file.fileName || await ctx.t('unknown_name')),
+    size: formatFileSize(file.fileSize || 0),
+    type: escapeMarkdown(file.fileType),
+    code: file.shortCode,
+    shareLink: `https://t.me/${config.botUsername}?start=${file.shortCode}`,
+    date: file.createdAt.toLocaleString()
+  }) + (file.aliasOf ? `\n\n${await ctx.t('file_details_alias')}` : '');
+
+  const keyboard = [
+    [
+      { text: await ctx.t('mf_rename_button'), callback_data: `mf_ren_${file._id}` },
+      { text: await ctx.t('mf_caption_button'), callback_data: `mf_cap_${file._id}` }
+    ],
+    [
+      { text: await ctx.t('mf_stats_button'), callback_data: `mf_stats_${file._id}` },
+      { text: await ctx.t('link_options_button'), callback_data: `mf_opts_${file._id}_${page}` }
+    ],
+    [{ text: await ctx.t('mf_deactivate_button'), callback_data: `mf_del_${file._id}_${page}` }],
+    [{ text: await ctx.t('back_button'), callback_data: `mf_list_${file.uploadedBy}_${page}` }]
+  ];
+
+  return { text, extra: { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } } };
+};
+
+// Load a file for a My Files callback, answering the query if not allowed
+const getManagedFile = async (ctx, id) => {
+  const file = db.isValidId(id) && await db.files.findOne({ _id: id, isActive: true });
+  if (!file) {
+    await ctx.answerCbQuery(await ctx.t('file_not_found'), { show_alert: true });
+    return null;
+  }
+  if (!(await canManageFile(ctx.from.id, file))) {
+    await ctx.answerCbQuery(await ctx.t('mf_not_yours'), { show_alert: true });
+    return null;
+  }
+  return file;
+};
+
+bot.command('myfiles', async (ctx) => {
+  let ownerId = ctx.from.id;
+  const arg = parseInt(ctx.message.text.split(' ')[1]);
+  if (arg && (await canManageOthers(ctx.from.id))) ownerId = arg;
+
+  const { text, extra } = await renderFileList(ctx, ownerId, 0);
+  ctx.reply(text, extra);
+});
+
+bot.action(/^mf_list_(\d+)_(\d+)$/, async (ctx) => {
+  const ownerId = parseInt(ctx.match[1]);
+  if (ownerId !== ctx.from.id && !(await canManageOthers(ctx.from.id))) {
+    return ctx.answerCbQuery(await ctx.t('mf_not_yours'), { show_alert: true });
+  }
+
+  const { text, extra } = await renderFileList(ctx, ownerId, parseInt(ctx.match[2]));
+  await ctx.editMessageText(text, extra).catch(() => {});
+  ctx.answerCbQuery();
+});
+
+bot.action(/^mf_open_(\w+)_(\d+)$/, async (ctx) => {
+  const file = await getManagedFile(ctx, ctx.match[1]);
+  if (!file) return;
+
+  const { text, extra } = await renderFileDetails(ctx, file, parseInt(ctx.match[2]));
+  await ctx.editMessageText(text, extra).catch(() => {});
+  ctx.answerCbQuery();
+});
+
+bot.action(/^mf_stats_(\w+)$/, async (ctx) => {
+  const file = await getManagedFile(ctx, ctx.match[1]);
+  if (!file) return;
+
+  ctx.answerCbQuery(
+    await ctx.t('mf_stats', {
+      name: file.fileName || await ctx.t('unknown_name'),
+      views: file.views,
+      downloads: file.maxDownloads ? `${file.downloads} / ${file.maxDownloads}` : file.downloads,
+      duplicates: file.duplicates
+    }),
+    { show_alert: true }
+  );
+});
+
+bot.action(/^mf_ren_(\w+)$/, async (ctx) => {
+  const file = await getManagedFile(ctx, ctx.match[1]);
+  if (!file) return;
+
+  pendingInputs().set(ctx.from.id, { action: 'rename', fileId: file._id });
+  await ctx.answerCbQuery();
+  ctx.reply(
+    await ctx.t('mf_rename_prompt', { name: escapeMarkdown(file.fileName || await ctx.t('unknown_name')) }),
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.action(/^mf_cap_(\w+)$/, async (ctx) => {
+  const file = await getManagedFile(ctx, ctx.match[1]);
+  if (!file) return;
+
+  pendingInputs().set(ctx.from.id, { action: 'caption', fileId: file._id });
+  await ctx.answerCbQuery();
+  ctx.reply(await ctx.t(file.fileType === 'text' ? 'mf_text_prompt' : 'mf_caption_prompt'));
+});
+
+bot.action(/^mf_del_(\w+)_(\d+)$/, async (ctx) => {
+  const file = await getManagedFile(ctx, ctx.match[1]);
+  if (!file) return;
+
+  await ctx.editMessageText(
+    await ctx.t('mf_deactivate_confirm', {
+      name: escapeMarkdown(file.fileName || await ctx.t('this_file')),
+      code: file.shortCode
+    }),
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: await ctx.t('mf_deactivate_yes'), callback_data: `mf_delok_${file._id}_${ctx.match[2]}` },
+          { text: await ctx.t('mf_deactivate_no'), callback_data: `mf_open_${file._id}_${ctx.match[2]}` }
+        ]]
+      }
+    }
+  ).catch(() => {});
+  ctx.answerCbQuery();
+});
+
+bot.action(/^mf_delok_(\w+)_(\d+)$/, async (ctx) => {
+  const file = await getManagedFile(ctx, ctx.match[1]);
+  if (!file) return;
+
+  await db.files.updateOne({ _id: file._id }, { isActive: false, deactivatedBy: ctx.from.id });
+  // Staff removing someone else's file
+  if (file.uploadedBy !== ctx.from.id) {
+    await recordAudit(actorFrom(ctx), 'deactivate', file.shortCode, { isActive: file.isActive }, { isActive: false });
+  }
+
+  const { text, extra } = await renderFileList(ctx, file.uploadedBy, parseInt(ctx.match[2]));
+  await ctx.editMessageText(text, extra).catch(() => {});
+  ctx.answerCbQuery(await ctx.t('mf_deactivated'));
+});
+
+// Link options: expiry, download cap and password
+const renderLinkOptions = async (ctx, file, page) => {
+  const text = await ctx.t('link_options', {
+    name: escapeMarkdown(file.fileName || await ctx.t('unknown_name')),
+    code: file.shortCode,
+    expires: file.expiresAt ? file.expiresAt.toLocaleString() : await ctx.t('link_never'),
+    max: file.maxDownloads
+      ? await ctx.t('link_max_used', { max: file.maxDownloads, used: file.downloads })
+      : await ctx.t('link_unlimited'),
+    password: await ctx.t(file.passwordHash ? 'link_password_set' : 'link_password_none')
+  });
+
+  const keyboard = [
+    [
+      { text: await ctx.t('link_expiry_button'), callback_data: `mf_exp_${file._id}` },
+      { text: await ctx.t('link_max_button'), callback_data: `mf_max_${file._id}` }
+    ],
+    [
+      { text: await ctx.t('link_password_button'), callback_data: `mf_pwd_${file._id}` },
+      { text: await ctx.t('link_clear_button'), callback_data: `mf_clr_${file._id}_${page}` }
+    ],
+    [{ text: await ctx.t('back_button'), callback_data: `mf_open_${file._id}_${page}` }]
+  ];
+
+  return { text, extra: { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } } };
+};
+
+bot.action(/^mf_opts_(\w+)_(\d+)$/, async (ctx) => {
+  const file = await getManagedFile(ctx, ctx.match[1]);
+  if (!file) return;
+
+  const { text, extra } = await renderLinkOptions(ctx, file, parseInt(ctx.match[2]));
+  await ctx.editMessageText(text, extra).catch(() => ctx.reply(text, extra));
+  ctx.answerCbQuery();
+});
+
+bot.action(/^mf_clr_(\w+)_(\d+)$/, async (ctx) => {
+  const file = await getManagedFile(ctx, ctx.match[1]);
+  if (!file) return;
+
+  const cleared = await db.files.findOneAndUpdate(
+    { _id: file._id },
+    { $unset: { expiresAt: 1, maxDownloads: 1, passwordHash: 1 } }
+  );
+
+  const { text, extra } = await renderLinkOptions(ctx, cleared, parseInt(ctx.match[2]));
+  await ctx.editMessageText(text, extra).catch(() => {});
+  ctx.answerCbQuery(await ctx.t('link_cleared'));
+});
+
+// Input action and prompt message key per option
+const LINK_OPTION_PROMPTS = {
+  exp: ['expiry', 'link_prompt_expiry'],
+  max: ['maxdownloads', 'link_prompt_max'],
+  pwd: ['linkpassword', 'link_prompt_password']
+};
+
+bot.action(/^mf_(exp|max|pwd)_(\w+)$/, async (ctx) => {
+  const file = await getManagedFile(ctx, ctx.match[2]);
+  if (!file) return;
+
+  const [action, prompt] = LINK_OPTION_PROMPTS[ctx.match[1]];
+  pendingInputs().set(ctx.from.id, { action, fileId: file._id });
+  await ctx.answerCbQuery();
+  ctx.reply(await ctx.t(prompt), { parse_mode: 'Markdown' });
+});
+
+// Apply a link option from text input, then show the options again.
+// `apply` returns an error message key or the update for the file.
+const updateLinkOption = async (ctx, input, apply) => {
+  const file = await db.files.findById(input.fileId);
+  if (!file || !(await canManageFile(ctx.from.id, file))) {
+    return ctx.reply(await ctx.t('file_not_found'));
+  }
+
+  const result = apply(ctx.message.text.trim());
+  if (typeof result === 'string') {
+    pendingInputs().set(ctx.from.id, input);
+    return ctx.reply(await ctx.t('input_retry', { error: await ctx.t(result) }));
+  }
+  const updated = await db.files.findOneAndUpdate({ _id: file._id }, result);
+
+  const { text, extra } = await renderLinkOptions(ctx, updated, 0);
+  ctx.reply(`${await ctx.t('link_updated')}\n\n${text}`, extra);
+};
+
+inputHandlers.expiry = (ctx, input) => updateLinkOption(ctx, input, (value) => {
+  const seconds = parseDuration(value);
+  if (seconds === null) return 'invalid_duration';
+  return seconds ? { expiresAt: new Date(Date.now() + seconds * 1000) } : { $unset: { expiresAt: 1 } };
+});
+
+inputHandlers.maxdownloads = (ctx, input) => updateLinkOption(ctx, input, (value) => {
+  const max = value === 'off' ? 0 : parseInt(value);
+  if (isNaN(max) || max < 0) return 'invalid_number';
+  return max ? { maxDownloads: max } : { $unset: { maxDownloads: 1 } };
+});
+
+inputHandlers.linkpassword = async (ctx, input) => {
+  // Don't leave the password sitting in the chat
+  await ctx.deleteMessage().catch(() => {});
+  return updateLinkOption(ctx, input, (value) => {
+    if (value.length > 64) return 'password_too_long';
+    return value.toLowerCase() === 'off' ? { $unset: { passwordHash: 1 } } : { passwordHash: hashPassword(value) };
+  });
+};
+
+// Password entered for a protected link
+inputHandlers.password = async (ctx, input) => {
+  const link = await db.files.findOne({ shortCode: input.code, isActive: true });
+  if (!link || !link.passwordHash) return openCode(ctx, input.code, { resumed: true });
+
+  await ctx.deleteMessage().catch(() => {});
+  if (!checkPassword(ctx.message.text.trim(), link.passwordHash)) {
+    recordPasswordFailure(ctx.from.id, input.code);
+    const lockedUntil = getPasswordLockout(ctx.from.id, input.code);
+    if (lockedUntil) {
+      return ctx.reply(await ctx.t('password_locked', { wait: formatDuration(Math.ceil((lockedUntil - Date.now()) / 1000)) }));
+    }
+    pendingInputs().set(ctx.from.id, input);
+    return ctx.reply(await ctx.t('password_wrong'));
+  }
+
+  passwordFailures().delete(`${ctx.from.id}:${input.code}`);
+  unlockLink(ctx.from.id, input.code);
+  await ctx.reply(await ctx.t('password_accepted'));
+  return openCode(ctx, input.code, { resumed: true });
+};
+
+inputHandlers.rename = async (ctx, input) => {
+  const name = ctx.message.text.trim();
+  if (name.length > 100) {
+    pendingInputs().set(ctx.from.id, input);
+    return ctx.reply(await ctx.t('input_retry', { error: await ctx.t('name_too_long') }));
+  }
+
+  const file = await db.files.findById(input.fileId);
+  if (!file || !(await canManageFile(ctx.from.id, file))) {
+    return ctx.reply(await ctx.t('file_not_found'));
+  }
+
+  const updated = await db.files.findOneAndUpdate({ _id: file._id }, { fileName: name });
+
+  const { text, extra } = await renderFileDetails(ctx, updated, 0);
+  ctx.reply(`${await ctx.t('renamed')}\n\n${text}`, extra);
+};
+
+inputHandlers.caption = async (ctx, input) => {
+  const caption = ctx.message.text;
+  const file = await db.files.findById(input.fileId);
+  if (!file || !(await canManageFile(ctx.from.id, file))) {
+    return ctx.reply(await ctx.t('file_not_found'));
+  }
+  if (file.fileType !== 'text' && caption.length > 1024) {
+    pendingInputs().set(ctx.from.id, input);
+    return ctx.reply(await ctx.t('input_retry', { error: await ctx.t('caption_too_long') }));
+  }
+
+  const updated = await db.files.findOneAndUpdate(
+    { _id: file._id },
+    { caption, captionEntities: ctx.message.entities || [] }
+  );
+
+  const { text, extra } = await renderFileDetails(ctx, updated, 0);
+  ctx.reply(`${await ctx.t('caption_updated')}\n\n${text}`, extra);
+};
+
+// Search
+// Inline mode (`@bot query`) and /search share one lookup over active,
+// unexpired files. A query starting with `mine` only matches your uploads.
+const SEARCH_PAGE_SIZE = 8;
+const INLINE_PAGE_SIZE = 20;
+const searchSessions = botScoped();
+
+const parseSearchQuery = (text, userId) => {
+  const match = text.trim().match(/^mine\b\s*(.*)$/i);
+  return match ? { query: match[1], uploadedBy: userId } : { query: text.trim() };
+};
+
+// Aliases are left out, they would list the same file twice
+const searchFiles = async ({ query, uploadedBy }, skip, limit) => {
+  const filter = {
+    isActive: true,
+    aliasOf: null,
+    $and: [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }]
+  };
+  if (query) {
+    const regex = new RegExp(escapeRegex(query), 'i');
+    filter.$and.push({ $or: [{ fileName: regex }, { caption: regex }] });
+  }
+  if (uploadedBy) filter.uploadedBy = uploadedBy;
+
+  const [total, files] = await Promise.all([
+    db.files.count(filter),
+    db.files.find(filter, { sort: { downloads: -1, createdAt: -1 }, skip, limit })
+  ]);
+  return { total, files };
+};
+
+// Inline result that posts the file details with a button to the link
+const inlineShareCard = async (ctx, file) => {
+  const shareLink = `https://t.me/${config.botUsername}?start=${file.shortCode}`;
+  const icon = FILE_TYPES[file.fileType] ? FILE_TYPES[file.fileType].icon : '📄';
+  const name = file.fileName || await ctx.t('unknown_name');
+  const size = formatFileSize(file.fileSize || 0);
+  return {
+    type: 'article',
+    title: `${icon} ${name}`,
+    description: await ctx.t('inline_description', { size, downloads: file.downloads }),
+    input_message_content: {
+      message_text: await ctx.t('inline_card', { icon, name: escapeMarkdown(name), size, shareLink }),
+      parse_mode: 'Markdown'
+    },
+    reply_markup: { inline_keyboard: [[{ text: await ctx.t('inline_get_button'), url: shareLink }]] }
+  };
+};
+
+// The file itself goes only to verified subscribers and premium users, and
+// only when nothing else has to be enforced: content protection, passwords
+// and download caps all need the bot to deliver it.
+const canSendInline = async (telegram, user) => {
+  if (!user) return false;
+  if ((await getSetting('protect_content', false)) && !(await hasPremiumPerks(user))) return false;
+  if (isPremium(user)) return true;
+  return await isVerificationValid(user) &&
+    !isBlocking(await getMissingChannels(telegram, user.userId).catch(() => [{ mode: 'required' }]));
+};
+
+bot.on('inline_query', async (ctx) => {
+  const user = await db.users.findOne({ userId: ctx.from.id });
+  if (user && user.isBanned) {
+    return ctx.answerInlineQuery([], { cache_time: 60, is_personal: true });
+  }
+
+  const offset = parseInt(ctx.inlineQuery.offset) || 0;
+  const { files } = await searchFiles(parseSearchQuery(ctx.inlineQuery.query, ctx.from.id), offset, INLINE_PAGE_SIZE);
+  const direct = await canSendInline(ctx.telegram, user);
+
+  const options = {
+    cache_time: 10,
+    is_personal: true,
+    next_offset: files.length === INLINE_PAGE_SIZE ? String(offset + INLINE_PAGE_SIZE) : ''
+  };
+
+  // Aliases and files received by another bot have no file_id this bot can send
+  const results = await Promise.all(files.map(async file => {
+    const type = FILE_TYPES[file.fileType];
+    const sendable = file.fileType === 'text' || canUseFileId(file);
+    const result = direct && sendable && type && type.inline && !file.passwordHash && !file.maxDownloads
+      ? type.inline(file)
+      : await inlineShareCard(ctx, file);
+    return { id: String(file._id), ...result };
+  }));
+
+  try {
+    await ctx.answerInlineQuery(results, options);
+  } catch (err) {
+    // One file_id Telegram refuses, e.g. after a token change, fails the
+    // whole answer. Share cards need none.
+    console.error('Inline query error:', err.description || err.message);
+    if (!direct) return;
+    const cards = await Promise.all(files.map(async file => ({ id: String(file._id), ...await inlineShareCard(ctx, file) })));
+    await ctx.answerInlineQuery(cards, options)
+      .catch(retryErr => console.error('Inline query error:', retryErr.description || retryErr.message));
+  }
+});
+
+const renderSearchResults = async (ctx, search, page) => {
+  const { total, files } = await searchFiles(search, page * SEARCH_PAGE_SIZE, SEARCH_PAGE_SIZE);
+  const pages = Math.max(1, Math.ceil(total / SEARCH_PAGE_SIZE));
+
+  const unknown = await ctx.t('unknown_name');
+  const buttons = files.map(file => [{
+    text: `${FILE_TYPES[file.fileType] ? FILE_TYPES[file.fileType].icon : '📄'} ${file.fileName || unknown}`,
+    url: `https://t.me/${config.botUsername}?start=${file.shortCode}`
+  }]);
+
+  const nav = [];
+  if (page > 0) nav.push({ text: await ctx.t('page_prev'), callback_data: `search_${page - 1}` });
+  if (page < pages - 1) nav.push({ text: await ctx.t('page_next'), callback_data: `search_${page + 1}` });
+  if (nav.length > 0) buttons.push(nav);
+
+  const title = await ctx.t(search.uploadedBy ? 'search_title_mine' : 'search_title', {
+    query: escapeMarkdown(search.query || await ctx.t('search_all'))
+  });
+  const text = total === 0
+    ? `${title}\n\n${await ctx.t('search_none')}`
+    : `${title}\n\n${await ctx.t('search_summary', { total, page: page + 1, pages })}`;
+
+  return { text, extra: { parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons } } };
+};
+
+// Search Files
+bot.command('search', async (ctx) => {
+  if (ctx.chat.type !== 'private') return ctx.reply(await ctx.t('private_only'));
+
+  const user = await db.users.findOne({ userId: ctx.from.id });
+  if (user && user.isBanned) {
+    return ctx.reply(await ctx.t('banned'));
+  }
+
+  const text = ctx.message.text.replace(/^\/search(@\w+)?\s*/, '');
+  if (!text.trim()) {
+    return ctx.reply(
+      await ctx.t('search_usage', { botUsername: escapeMarkdown(config.botUsername) }),
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const search = parseSearchQuery(text, ctx.from.id);
+  searchSessions().set(ctx.from.id, search);
+  const { text: reply, extra } = await renderSearchResults(ctx, search, 0);
+  ctx.reply(reply, extra);
+});
+
+bot.action(/^search_(\d+)$/, async (ctx) => {
+  const search = searchSessions().get(ctx.from.id);
+  if (!search) {
+    return ctx.answerCbQuery(await ctx.t('search_expired'), { show_alert: true });
+  }
+
+  const { text, extra } = await renderSearchResults(ctx, search, parseInt(ctx.match[1]));
+  await ctx.editMessageText(text, extra).catch(() => {});
+  ctx.answerCbQuery();
+});
+
+// Audit log
+// Staff changes are stored with the values before and after them and
+// mirrored to the log channel. An actor is `{ id, name, source }`.
+const AUDIT_PAGE_SIZE = 10;
+const AUDIT_VALUE_LENGTH = 100;
+
+const actorFrom = (ctx) => ({
+  id: ctx.from.id,
+  name: ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name,
+  source: 'bot'
+});
+
+// Shortener API keys live in settings, only show their start
+const formatAuditValue = (value) => {
+  if (value === undefined || value === null) return 'none';
+  const json = JSON.stringify(value, (key, v) => (key === 'api' && typeof v === 'string' ? `${v.substr(0, 6)}...` : v));
+  return inlineCode(json.length > AUDIT_VALUE_LENGTH ? `${json.substr(0, AUDIT_VALUE_LENGTH)}...` : json);
+};
+
+const formatAuditEntry = (entry) =>
+  `📝 *${escapeMarkdown(entry.action)}*${entry.target ? ` ${inlineCode(entry.target)}` : ''}\n` +
+  `👤 ${entry.actorName ? `${escapeMarkdown(entry.actorName)} ` : ''}\`${entry.actorId}\`` +
+  (entry.source === 'api' ? ' via API' : '') + '\n' +
+  (entry.before !== undefined || entry.after !== undefined
+    ? `🔄 ${formatAuditValue(entry.before)} → ${formatAuditValue(entry.after)}\n`
+    : '') +
+  `⏰ ${entry.createdAt.toLocaleString()}`;
+
+// Never fails the change itself, a lost entry is only logged
+const recordAudit = async (actor, action, target, before, after) => {
+  try {
+    const entry = await db.auditLogs.create({
+      actorId: actor.id,
+      actorName: actor.name,
+      source: actor.source,
+      action,
+      target: target === undefined ? undefined : String(target),
+      before,
+      after
+    });
+    currentTelegram().sendMessage(
+      config.logChannel,
+      `🗂 *Admin Action*\n\n${formatAuditEntry(entry)}`,
+      { parse_mode: 'Markdown' }
+    ).catch(() => {});
+    return entry;
+  } catch (err) {
+    console.error('Audit log error:', err.message);
+    return null;
+  }
+};
+
+// setSetting for staff changes, audited with the previous value
+const changeSetting = async (actor, key, value) => {
+  const before = await getSetting(key);
+  await setSetting(key, value);
+  await recordAudit(actor, 'setting', key, before, value);
+};
+
+// Admin actions shared by chat commands and the HTTP API
+const setUserBan = async (actor, userId, isBanned, reason) => {
+  const before = await db.users.findOne({ userId });
+  const update = isBanned
+    ? { isBanned, bannedAt: new Date(), ...(reason ? { banReason: reason } : { $unset: { banReason: 1 } }) }
+    : { isBanned, $unset: { banReason: 1, bannedAt: 1 } };
+  const user = await db.users.findOneAndUpdate({ userId }, update, { upsert: isBanned });
+  if (user) {
+    await recordAudit(
+      actor,
+      isBanned ? 'ban' : 'unban',
+      userId,
+      { isBanned: !!(before && before.isBanned), reason: (before && before.banReason) || null },
+      { isBanned, reason: (isBanned && reason) || null }
+    );
+  }
+  return user;
+};
+
+// Deactivate a file or batch by code, returns null if not found
+const deactivateCode = async (actor, code) => {
+  const repository = (await db.files.exists({ shortCode: code })) ? db.files : db.batches;
+  const link = await repository.findOne({ shortCode: code });
+  if (!link) return null;
+
+  await repository.updateOne({ _id: link._id }, { isActive: false, deactivatedBy: actor.id });
+  await recordAudit(actor, 'deactivate', code, { isActive: link.isActive }, { isActive: false });
+  return { ...link, isActive: false };
+};
+
+// Channels are referred to by @username or by id, private ones only have an id
+const CHANNEL_REF = /^(@\w+|-100\d+)$/;
+const channelFilter = (ref) => (ref.startsWith('@') ? { username: ref } : { channelId: ref });
+
+// Private channels and join request mode need an invite link from the bot,
+// which takes admin rights with the invite users permission
+const createJoinLink = async (telegram, channelId, joinRequest) => {
+  const link = await telegram.createChatInviteLink(channelId, { name: 'File Store', creates_join_request: joinRequest });
+  return link.invite_link;
+};
+
+// Add a force subscription channel; throws if the bot can't see it
+const addChannel = async (actor, telegram, ref, mode = 'required') => {
+  const chat = await telegram.getChat(ref);
+  const exists = await db.channels.findOne({ channelId: chat.id.toString() });
+  if (exists) return { channel: exists, added: false };
+
+  const username = chat.username ? `@${chat.username}` : (ref.startsWith('@') ? ref : undefined);
+  const channel = await db.channels.create({
+    channelId: chat.id.toString(),
+    username,
+    title: chat.title,
+    mode,
+    inviteLink: mode === 'request' || !username ? await createJoinLink(telegram, chat.id, mode === 'request') : undefined
+  });
+  await recordAudit(actor, 'addchannel', username || channel.channelId, null, {
+    channelId: channel.channelId, title: channel.title, mode
+  });
+  return { channel, added: true };
+};
+
+// Switch a channel's mode, swapping its invite link when join requests
+// are turned on or off. Returns null if the channel wasn't added.
+const setChannelMode = async (actor, telegram, filter, mode) => {
+  const channel = await db.channels.findOne(filter);
+  if (!channel) return null;
+
+  const update = { mode };
+  if (mode === 'request' && channel.mode !== 'request') {
+    update.inviteLink = await createJoinLink(telegram, channel.channelId, true);
+  } else if (mode !== 'request' && channel.mode === 'request') {
+    if (channel.username) update.$unset = { inviteLink: 1 };
+    else update.inviteLink = await createJoinLink(telegram, channel.channelId, false);
+  }
+
+  const updated = await db.channels.findOneAndUpdate({ _id: channel._id }, update);
+  await recordAudit(actor, 'channelmode', channel.username || channel.channelId, channel.mode, mode);
+  return updated;
+};
+
+// Remove a force subscription channel, returns null if it wasn't added
+const removeChannel = async (actor, filter) => {
+  const channel = await db.channels.findOne(filter);
+  if (!channel) return null;
+
+  await db.channels.deleteOne({ _id: channel._id });
+  await recordAudit(actor, 'removechannel', channel.username, { channelId: channel.channelId, title: channel.title }, null);
+  return channel;
+};
+
+const getStats = async () => {
+  const verifyExpiry = await getSetting('verify_expiry', 0);
+  const verifiedFilter = { isVerified: true };
+  if (verifyExpiry) verifiedFilter.verifiedAt = { $gt: new Date(Date.now() - verifyExpiry * 1000) };
+
+  return {
+    users: {
+      total: await db.users.count(),
+      verified: await db.users.count(verifiedFilter),
+      banned: await db.users.count({ isBanned: true }),
+      blocked: await db.users.count({ isBlocked: true }),
+      premium: await db.users.count({ premiumUntil: { $gt: new Date() } })
+    },
+    files: {
+      total: await db.files.count({ isActive: true }),
+      batches: await db.batches.count({ isActive: true }),
+      downloads: await db.files.sum('downloads')
+    },
+    channels: await db.channels.count()
+  };
+};
+
+// Insert or replace a shortener provider by name, keeping its position
+const saveShortener = async (actor, provider) => {
+  const shorteners = await getShorteners();
+  const index = shorteners.findIndex(p => p.name === provider.name);
+  if (index >= 0) shorteners[index] = provider;
+  else shorteners.push(provider);
+  await changeSetting(actor, 'shorteners', shorteners);
+};
+
+// ADMIN: Set AdLinkFly
+bot.command('setadlink', requirePermission('settings'), async (ctx) => {
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 2) {
+    return ctx.reply(
+      '📝 *Set AdLinkFly*\n\n' +
+      '*Usage:* `/setadlink <domain> <api>`\n\n' +
+      '*Example:*\n`/setadlink https://upload.mycodingtools.in 150873c1be29...`\n\n' +
+      'Saves the `adlinkfly` provider, see /shorteners for more.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  await saveShortener(actorFrom(ctx), { name: 'adlinkfly', type: 'adlinkfly', domain: args[0], api: args[1], enabled: true });
+  
+  ctx.reply(
+    '✅ *AdLinkFly Updated!*\n\n' +
+    `🔗 Domain: \`${args[0]}\`\n` +
+    `🔑 API: \`${args[1].substr(0, 10)}...\``,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// ADMIN: Add Shortener
+bot.command('addshortener', requirePermission('settings'), async (ctx) => {
+  const [name, type, target, ...rest] = ctx.message.text.split(' ').slice(1);
+  const needsKey = type !== 'template';
+  if (!name || !SHORTENER_PROVIDERS[type] || !isUrl(target) || (needsKey && !rest[0]) || !/^[\w-]+$/.test(name)) {
+    return ctx.reply(
+      '🔗 *Add Shortener*\n\n*Usage:*\n' +
+      Object.values(SHORTENER_PROVIDERS).map(p => `\`/addshortener ${p.usage}\``).join('\n') + '\n\n' +
+      '*Examples:*\n' +
+      '`/addshortener gp gplinks https://api.gplinks.com 1a2b3c...`\n' +
+      '`/addshortener my template https://sho.rt/api?key={key}&long={url} data.short 1a2b...`',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const provider = { name, type, enabled: true };
+  if (type === 'template') {
+    provider.template = target;
+    provider.path = rest[0];
+    provider.api = rest[1];
+  } else {
+    provider.domain = target.replace(/\/+$/, '');
+    provider.api = rest[0];
+  }
+
+  await saveShortener(actorFrom(ctx), provider);
+  ctx.reply(`✅ Shortener \`${name}\` (${type}) saved!`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Remove Shortener
+bot.command('removeshortener', requirePermission('settings'), async (ctx) => {
+  const name = ctx.message.text.split(' ')[1];
+  if (!name) {
+    return ctx.reply('*Usage:* `/removeshortener <name>`', { parse_mode: 'Markdown' });
+  }
+
+  const shorteners = await getShorteners();
+  const remaining = shorteners.filter(p => p.name !== name);
+  if (remaining.length === shorteners.length) {
+    return ctx.reply(`❌ Shortener \`${name}\` not found.`, { parse_mode: 'Markdown' });
+  }
+
+  await changeSetting(actorFrom(ctx), 'shorteners', remaining);
+  ctx.reply(`✅ Shortener \`${name}\` removed!`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Enable/Disable Shortener
+bot.command('toggleshortener', requirePermission('settings'), async (ctx) => {
+  const name = ctx.message.text.split(' ')[1];
+  const shorteners = await getShorteners();
+  const provider = shorteners.find(p => p.name === name);
+  if (!provider) {
+    return ctx.reply('*Usage:* `/toggleshortener <name>`', { parse_mode: 'Markdown' });
+  }
+
+  provider.enabled = provider.enabled === false;
+  await changeSetting(actorFrom(ctx), 'shorteners', shorteners);
+  ctx.reply(`✅ Shortener \`${name}\` ${provider.enabled ? 'enabled' : 'disabled'}!`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Shortener Priority
+bot.command('shortenerorder', requirePermission('settings'), async (ctx) => {
+  const names = ctx.message.text.split(' ').slice(1);
+  const shorteners = await getShorteners();
+  if (names.length === 0 || names.some(name => !shorteners.find(p => p.name === name))) {
+    return ctx.reply(
+      '*Usage:* `/shortenerorder <name1> <name2> ...`\n\nUnlisted providers keep their order after the listed ones.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const ordered = names.map(name => shorteners.find(p => p.name === name))
+    .concat(shorteners.filter(p => !names.includes(p.name)));
+  await changeSetting(actorFrom(ctx), 'shorteners', ordered);
+  ctx.reply(`✅ Shortener order: ${ordered.map(p => p.name).join(' → ')}`);
+});
+
+// ADMIN: Shortener Rotation
+bot.command('shortenerrotation', requirePermission('settings'), async (ctx) => {
+  const arg = ctx.message.text.split(' ')[1];
+  if (arg === 'on') {
+    await changeSetting(actorFrom(ctx), 'shortener_rotation', true);
+    ctx.reply('🔄 Shortener rotation enabled!');
+  } else if (arg === 'off') {
+    await changeSetting(actorFrom(ctx), 'shortener_rotation', false);
+    ctx.reply('🔄 Shortener rotation disabled!');
+  } else {
+    ctx.reply('*Usage:* `/shortenerrotation <on/off>`', { parse_mode: 'Markdown' });
+  }
+});
+
+// ADMIN: Shortener Failure Policy
+bot.command('shortenerpolicy', requirePermission('settings'), async (ctx) => {
+  const arg = ctx.message.text.split(' ')[1];
+  if (arg === 'deny' || arg === 'allow') {
+    await changeSetting(actorFrom(ctx), 'shortener_fail_policy', arg);
+    ctx.reply(arg === 'deny'
+      ? '🚫 Users will be asked to retry when all shorteners fail.'
+      : '✅ Users will get their file without verification when all shorteners fail.');
+  } else {
+    ctx.reply(
+      '*Usage:* `/shortenerpolicy <deny/allow>`\n\nWhat happens when every shortener fails.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+});
+
+// ADMIN: List Shorteners
+bot.command('shorteners', requirePermission('settings'), async (ctx) => {
+  const shorteners = await getShorteners();
+  const stats = await getSetting('shortener_stats', {});
+  const rotation = await getSetting('shortener_rotation', false);
+  const policy = await getSetting('shortener_fail_policy', 'deny');
+
+  const list = shorteners.length > 0
+    ? shorteners.map((p, i) => {
+      const counts = stats[p.name] || {};
+      return `${i + 1}. ${p.enabled === false ? '⏸' : '✅'} \`${p.name}\` (${p.type})\n` +
+        `   ${escapeMarkdown(p.domain || p.template)}\n` +
+        `   📈 OK: ${counts.success || 0} | ❌ Failed: ${counts.failure || 0}`;
+    }).join('\n')
+    : 'No shorteners configured. Use /addshortener.';
+
+  ctx.reply(
+    `🔗 *Shorteners*\n\n${list}\n\n` +
+    `🔄 Rotation: ${rotation ? 'ON' : 'OFF'}\n` +
+    `🚦 When all fail: ${policy}`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// Broadcast engine. Jobs live in MongoDB and walk the audience in userId
+// order, saving progress after every chunk so a restart resumes them.
+const BROADCAST_CHUNK = 50;
+const BROADCAST_CONCURRENCY = 10;
+const BROADCAST_SEND_DELAY = 350;
+const BROADCAST_STATUS_INTERVAL = 5000;
+
+// Run fn over items with at most `limit` calls in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+};
+
+// The user blocked the bot, deleted their account or never started it
+const isUnreachableError = (err) => err.response && (
+  err.response.error_code === 403 ||
+  (err.response.error_code === 400 && /chat not found/i.test(err.response.description))
+);
+
+const buildAudienceFilter = async (audience) => {
+  const filter = { isBanned: false, isBlocked: { $ne: true } };
+  if (audience.verified) {
+    const verifyExpiry = await getSetting('verify_expiry', 0);
+    filter.isVerified = true;
+    if (verifyExpiry) filter.verifiedAt = { $gt: new Date(Date.now() - verifyExpiry * 1000) };
+  }
+  if (audience.activeDays) {
+    filter.lastActive = { $gte: new Date(Date.now() - audience.activeDays * 86400 * 1000) };
+  }
+  if (audience.uploaders) filter.filesShared = { $gt: 0 };
+  return filter;
+};
+
+const describeAudience = (audience) => {
+  const parts = [];
+  if (audience.verified) parts.push('verified');
+  if (audience.activeDays) parts.push(`active in ${audience.activeDays}d`);
+  if (audience.uploaders) parts.push('uploaders');
+  return parts.length > 0 ? parts.join(', ') : 'all users';
+};
+
+const sendBroadcastMessage = (job, userId) => {
+  if (job.mode === 'forward') {
+    return currentTelegram().forwardMessage(userId, job.sourceChatId, job.sourceMessageId);
+  }
+  if (job.mode === 'copy') {
+    return currentTelegram().copyMessage(userId, job.sourceChatId, job.sourceMessageId, {
+      reply_markup: job.replyMarkup || undefined
+    });
+  }
+  return currentTelegram().sendMessage(userId, job.text, { parse_mode: 'Markdown' });
+};
+
+// Returns 'sent', 'blocked' or 'failed'
+const sendBroadcastTo = async (job, userId) => {
+  try {
+    await withRetry(() => sendBroadcastMessage(job, userId), 5);
+    return 'sent';
+  } catch (err) {
+    if (isUnreachableError(err)) {
+      await db.users.updateOne({ userId }, { isBlocked: true, blockedAt: new Date() });
+      return 'blocked';
+    }
+    return 'failed';
+  } finally {
+    await sleep(BROADCAST_SEND_DELAY);
+  }
+};
+
+const formatBroadcastStatus = (job) => {
+  const done = job.sent + job.failed + job.blocked;
+  const titles = {
+    queued: '⏳ *Broadcast Queued*',
+    running: '📤 *Broadcasting...*',
+    completed: '✅ *Broadcast Complete!*',
+    cancelled: '🛑 *Broadcast Cancelled*'
+  };
+  return `${titles[job.status]}\n\n` +
+    `🆔 \`${job._id}\`\n` +
+    `👥 Audience: ${describeAudience(job.audience)}\n` +
+    `📊 Progress: ${done}/${job.total}\n` +
+    `✅ Sent: ${job.sent}\n` +
+    `❌ Failed: ${job.failed}\n` +
+    `🚫 Blocked: ${job.blocked}`;
+};
+
+const updateBroadcastStatus = (job) => {
+  if (!job.statusChatId || !job.statusMessageId) return Promise.resolve();
+  return currentTelegram().editMessageText(
+    job.statusChatId,
+    job.statusMessageId,
+    null,
+    formatBroadcastStatus(job),
+    { parse_mode: 'Markdown' }
+  ).catch(() => {});
+};
+
+const processBroadcast = async (job) => {
+  const filter = await buildAudienceFilter(job.audience);
+  let lastStatusAt = 0;
+
+  while (true) {
+    const current = await db.broadcasts.findById(job._id);
+    if (!current || current.status === 'cancelled') {
+      job.status = 'cancelled';
+      break;
+    }
+
+    const users = await db.users.find(
+      { ...filter, userId: { $gt: job.lastUserId } },
+      { sort: { userId: 1 }, limit: BROADCAST_CHUNK }
+    );
+    if (users.length === 0) {
+      job.status = 'completed';
+      break;
+    }
+
+    const results = await mapWithConcurrency(users, BROADCAST_CONCURRENCY, user => sendBroadcastTo(job, user.userId));
+    const counts = { sent: 0, failed: 0, blocked: 0 };
+    results.forEach(result => counts[result]++);
+
+    job.lastUserId = users[users.length - 1].userId;
+    job.sent += counts.sent;
+    job.failed += counts.failed;
+    job.blocked += counts.blocked;
+    await db.broadcasts.updateOne({ _id: job._id }, { lastUserId: job.lastUserId, $inc: counts });
+
+    if (Date.now() - lastStatusAt > BROADCAST_STATUS_INTERVAL) {
+      lastStatusAt = Date.now();
+      await updateBroadcastStatus(job);
+    }
+  }
+
+  job.finishedAt = new Date();
+  await db.broadcasts.updateOne({ _id: job._id }, { status: job.status, finishedAt: job.finishedAt });
+  await updateBroadcastStatus(job);
+};
+
+// Work through running (resumed after a restart) and queued jobs one at a time
+const broadcastWorkerBusy = new Set();
+const runBroadcastWorker = async () => {
+  if (broadcastWorkerBusy.has(currentBotKey())) return;
+  broadcastWorkerBusy.add(currentBotKey());
+  try {
+    while (true) {
+      let job = await db.broadcasts.findOne({ status: { $in: ['running', 'queued'] } }, { sort: { createdAt: 1 } });
+      if (!job) break;
+
+      if (job.status === 'queued') {
+        job = await db.broadcasts.findOneAndUpdate({ _id: job._id }, {
+          status: 'running',
+          startedAt: new Date(),
+          total: await db.users.count(await buildAudienceFilter(job.audience))
+        });
+      }
+      await processBroadcast(job);
+    }
+  } catch (err) {
+    console.error('Broadcast worker error:', err);
+  } finally {
+    broadcastWorkerBusy.delete(currentBotKey());
+  }
+};
+
+// Leading "-flag" options of /broadcast
+const BROADCAST_FLAGS = /^-(verified|uploaders|forward|active=(\d+))\s*/;
+
+// ADMIN: Broadcast
+bot.command('broadcast', requirePermission('broadcast'), async (ctx) => {
+  let rest = ctx.message.text.replace(/^\/broadcast(@\w+)?\s*/, '');
+  const audience = {};
+  let forward = false;
+  let match;
+  while ((match = rest.match(BROADCAST_FLAGS))) {
+    if (match[1] === 'verified') audience.verified = true;
+    else if (match[1] === 'uploaders') audience.uploaders = true;
+    else if (match[1] === 'forward') forward = true;
+    else audience.activeDays = parseInt(match[2]);
+    rest = rest.slice(match[0].length);
+  }
+
+  const replied = ctx.message.reply_to_message;
+  if (!replied && !rest.trim()) {
+    return ctx.reply(
+      '📢 *Broadcast Message*\n\n' +
+      '*Usage:* `/broadcast [options] <message>`\n' +
+      'or reply to any message with `/broadcast [options]`\n\n' +
+      '*Options:*\n' +
+      '`-verified` - Only verified users\n' +
+      '`-active=7` - Only users active in the last 7 days\n' +
+      '`-uploaders` - Only users who uploaded files\n' +
+      '`-forward` - Forward the replied message instead of copying it\n\n' +
+      'Progress is saved, broadcasts resume after a restart.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const fields = replied
+    ? {
+      mode: forward ? 'forward' : 'copy',
+      sourceChatId: ctx.chat.id,
+      sourceMessageId: replied.message_id,
+      replyMarkup: replied.reply_markup
+    }
+    : { mode: 'text', text: rest.trim() };
+  const job = await db.broadcasts.create({ createdBy: ctx.from.id, audience, ...fields });
+  await recordAudit(actorFrom(ctx), 'broadcast', job._id, undefined, { mode: job.mode, audience });
+
+  const statusMsg = await ctx.reply(formatBroadcastStatus(job), { parse_mode: 'Markdown' });
+  await db.broadcasts.updateOne(
+    { _id: job._id },
+    { statusChatId: ctx.chat.id, statusMessageId: statusMsg.message_id }
+  );
+
+  runBroadcastWorker();
+});
+
+// ADMIN: Broadcast Status
+bot.command('broadcaststatus', requirePermission('broadcast'), async (ctx) => {
+  const jobs = await db.broadcasts.find({}, { sort: { createdAt: -1 }, limit: 5 });
+  if (jobs.length === 0) {
+    return ctx.reply('📢 No broadcasts yet.');
+  }
+
+  ctx.reply(jobs.map(formatBroadcastStatus).join('\n\n➖➖➖\n\n'), { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Cancel Broadcast
+bot.command('cancelbroadcast', requirePermission('broadcast'), async (ctx) => {
+  const id = ctx.message.text.split(' ')[1];
+  const filter = { status: { $in: ['queued', 'running'] } };
+  if (id) {
+    if (!db.isValidId(id)) {
+      return ctx.reply('*Usage:* `/cancelbroadcast [id]`', { parse_mode: 'Markdown' });
+    }
+    filter._id = id;
+  }
+
+  const { modifiedCount } = await db.broadcasts.updateMany(filter, { status: 'cancelled', finishedAt: new Date() });
+  if (modifiedCount > 0) await recordAudit(actorFrom(ctx), 'cancelbroadcast', id || 'all', undefined, { cancelled: modifiedCount });
+  ctx.reply(modifiedCount > 0 ? `🛑 Cancelled ${modifiedCount} broadcast(s).` : '❌ No active broadcast to cancel.');
+});
+
+// ADMIN: Ban User
+bot.command('ban', requirePermission('ban'), async (ctx) => {
+  const [id, ...words] = ctx.message.text.split(' ').slice(1);
+  const userId = parseInt(id);
+  if (!userId) {
+    return ctx.reply('*Usage:* `/ban <user_id> [reason]`', { parse_mode: 'Markdown' });
+  }
+
+  const reason = words.join(' ').trim();
+  await setUserBan(actorFrom(ctx), userId, true, reason);
+  
+  ctx.reply(
+    `✅ User \`${userId}\` has been banned.` + (reason ? `\n📝 Reason: ${escapeMarkdown(reason)}` : ''),
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// ADMIN: Unban User
+bot.command('unban', requirePermission('ban'), async (ctx) => {
+  const userId = parseInt(ctx.message.text.split(' ')[1]);
+  if (!userId) {
+    return ctx.reply('*Usage:* `/unban <user_id>`', { parse_mode: 'Markdown' });
+  }
+
+  await setUserBan(actorFrom(ctx), userId, false);
+  
+  ctx.reply(`✅ User \`${userId}\` has been unbanned.`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Rate Limits
+const RATE_LIMIT_LABELS = {
+  upload: 'Uploads per hour',
+  open: 'Link opens per minute',
+  callback: 'Button presses per minute',
+  autoban: 'Strikes in 24h before auto-ban'
+};
+
+bot.command('limits', requirePermission('settings'), async (ctx) => {
+  const [name, value] = ctx.message.text.split(' ').slice(1);
+  const limits = await getRateLimits();
+
+  if (!name) {
+    const lines = Object.entries(RATE_LIMIT_LABELS)
+      .map(([key, label]) => `• \`${key}\` ${label}: ${limits[key] || 'off'}`);
+    return ctx.reply(
+      '🚦 *Rate Limits*\n\n' + lines.join('\n') + '\n\n' +
+      '*Usage:* `/limits <name> <number>`, `0` turns a limit off. Staff are never limited.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const number = parseInt(value);
+  if (!RATE_LIMIT_LABELS[name] || isNaN(number) || number < 0) {
+    return ctx.reply(
+      `❌ Usage: /limits <${Object.keys(RATE_LIMIT_LABELS).join('|')}> <number>`
+    );
+  }
+
+  const stored = (await getSetting('rate_limits', null)) || {};
+  await changeSetting(actorFrom(ctx), 'rate_limits', { ...stored, [name]: number });
+  ctx.reply(`✅ ${RATE_LIMIT_LABELS[name]}: ${number || 'off'}`);
+});
+
+// ADMIN: Add Premium
+bot.command('addpremium', requirePermission('settings'), async (ctx) => {
+  const [id, duration] = ctx.message.text.split(' ').slice(1);
+  const userId = parseInt(id);
+  const seconds = parseDuration(duration);
+  if (!userId || !seconds) {
+    return ctx.reply(
+      '💎 *Add Premium*\n\n*Usage:* `/addpremium <user_id> <duration>`\n\n' +
+      'Example: `/addpremium 123456789 30d`. An active premium is extended.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const { before, premiumUntil } = await grantPremium(userId, seconds);
+  await recordAudit(actorFrom(ctx), 'addpremium', userId, before, premiumUntil);
+
+  await ctx.telegram.sendMessage(
+    userId,
+    await translateFor(userId, 'premium_granted', { date: premiumUntil.toLocaleString() }),
+    { parse_mode: 'Markdown' }
+  ).catch(() => {});
+  ctx.reply(`✅ User \`${userId}\` has premium until ${premiumUntil.toLocaleString()}.`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Remove Premium
+bot.command('removepremium', requirePermission('settings'), async (ctx) => {
+  const userId = parseInt(ctx.message.text.split(' ')[1]);
+  if (!userId) {
+    return ctx.reply('*Usage:* `/removepremium <user_id>`', { parse_mode: 'Markdown' });
+  }
+
+  const user = await db.users.findOne({ userId });
+  if (!isPremium(user)) {
+    return ctx.reply(`❌ User \`${userId}\` doesn't have premium.`, { parse_mode: 'Markdown' });
+  }
+
+  await db.users.updateOne({ userId }, { $unset: { premiumUntil: 1, premiumNotice: 1 } });
+  await recordAudit(actorFrom(ctx), 'removepremium', userId, user.premiumUntil, null);
+
+  await ctx.telegram.sendMessage(userId, await translateFor(userId, 'premium_removed')).catch(() => {});
+  ctx.reply(`✅ Premium removed from user \`${userId}\`.`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Premium Perks
+bot.command('premiumperks', requirePermission('settings'), async (ctx) => {
+  const arg = ctx.message.text.split(' ')[1];
+  if (arg === 'on') {
+    await changeSetting(actorFrom(ctx), 'premium_perks', true);
+    ctx.reply('💎 Premium users now get unprotected files without auto-delete!');
+  } else if (arg === 'off') {
+    await changeSetting(actorFrom(ctx), 'premium_perks', false);
+    ctx.reply('💎 Premium users now only skip verification and channel joins!');
+  } else {
+    ctx.reply('*Usage:* `/premiumperks <on/off>`', { parse_mode: 'Markdown' });
+  }
+});
+
+// Premium Status
+bot.command('mypremium', async (ctx) => {
+  const user = await db.users.findOne({ userId: ctx.from.id });
+  if (!isPremium(user)) {
+    return ctx.reply(
+      user && user.premiumUntil
+        ? await ctx.t('mypremium_expired', { date: user.premiumUntil.toLocaleString() })
+        : await ctx.t('mypremium_none')
+    );
+  }
+
+  const perks = await hasPremiumPerks(user);
+  ctx.reply(
+    await ctx.t('mypremium_active', {
+      date: user.premiumUntil.toLocaleString(),
+      remaining: formatDuration(Math.round((user.premiumUntil - Date.now()) / 1000))
+    }) + (perks ? `\n${await ctx.t('mypremium_perks')}` : ''),
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// Referrals
+bot.command('referrals', async (ctx) => {
+  const userId = ctx.from.id;
+  const [user, counted, pending, reward] = await Promise.all([
+    db.users.findOne({ userId }),
+    db.users.count({ referredBy: userId, referralCountedAt: { $ne: null } }),
+    db.users.count({ referredBy: userId, referralCountedAt: null }),
+    getSetting('referral_reward', null)
+  ]);
+
+  const bypass = user && user.verifyBypassUntil > new Date()
+    ? `\n${await ctx.t('referrals_bypass', { date: user.verifyBypassUntil.toLocaleString() })}`
+    : '';
+  ctx.reply(
+    await ctx.t('referrals', {
+      link: referralLink(userId),
+      counted,
+      pending,
+      reward: reward
+        ? await ctx.t(reward.type === 'premium' ? 'reward_premium' : 'reward_verify', { duration: formatDuration(reward.seconds) })
+        : await ctx.t('reward_none'),
+      bypass
+    }),
+    { parse_mode: 'Markdown', disable_web_page_preview: true }
+  );
+});
+
+// ADMIN: Referral Reward
+bot.command('referralreward', requirePermission('settings'), async (ctx) => {
+  const [type, duration] = ctx.message.text.split(' ').slice(1);
+  if (type === 'off') {
+    await changeSetting(actorFrom(ctx), 'referral_reward', null);
+    return ctx.reply('🤝 Referrals are still counted but no longer rewarded.');
+  }
+
+  const seconds = parseDuration(duration);
+  if (!['verify', 'premium'].includes(type) || !seconds) {
+    return ctx.reply(
+      '🤝 *Referral Reward*\n\n*Usage:* `/referralreward <verify|premium> <duration>` or `/referralreward off`\n\n' +
+      'Example: `/referralreward verify 3d` gives the referrer 3 days without verification.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const reward = { type, seconds };
+  await changeSetting(actorFrom(ctx), 'referral_reward', reward);
+  ctx.reply(`✅ Referrers now get ${describeReward(reward)} per counted referral.`);
+});
+
+// ADMIN: Referral Leaderboard
+bot.command('referraltop', requirePermission('settings'), async (ctx) => {
+  const top = await db.users.countBy('referredBy', { referralCountedAt: { $ne: null } }, { limit: 10 });
+  if (top.length === 0) {
+    return ctx.reply('🤝 No referrals have counted yet.');
+  }
+
+  const users = await db.users.find({ userId: { $in: top.map(({ value }) => value) } });
+  const list = top.map(({ value, count }, i) => {
+    const user = users.find(u => u.userId === value);
+    return `${i + 1}. \`${value}\`${user && user.firstName ? ` ${escapeMarkdown(user.firstName)}` : ''} (🤝 ${count})`;
+  }).join('\n');
+  ctx.reply(`🤝 *Top Referrers*\n\n${list}`, { parse_mode: 'Markdown' });
+});
+
+// Staff management
+const STAFF_ROLES = ['admin', 'moderator', 'uploader'];
+
+// OWNER: Promote
+bot.command('promote', async (ctx) => {
+  if (!isOwner(ctx.from.id)) return ctx.reply('❌ Owner only command.');
+
+  const [id, role] = ctx.message.text.split(' ').slice(1);
+  const userId = parseInt(id);
+  if (!userId || !STAFF_ROLES.includes(role)) {
+    return ctx.reply(
+      '👥 *Promote User*\n\n' +
+      '*Usage:* `/promote <user_id> <role>`\n\n' +
+      '*Roles:*\n' +
+      STAFF_ROLES.map(name => `${ROLES[name].icon} \`${name}\` - ${ROLES[name].permissions.join(', ')}`).join('\n'),
+      { parse_mode: 'Markdown' }
+    );
+  }
+  if (isOwner(userId)) {
+    return ctx.reply('❌ The owner\'s role can\'t be changed.');
+  }
+
+  const before = await getRole(userId);
+  await db.users.updateOne({ userId }, { role }, { upsert: true });
+  await recordAudit(actorFrom(ctx), 'role', userId, before, role);
+  ctx.reply(`✅ User \`${userId}\` is now ${ROLES[role].icon} ${ROLES[role].label}.`, { parse_mode: 'Markdown' });
+});
+
+// OWNER: Demote
+bot.command('demote', async (ctx) => {
+  if (!isOwner(ctx.from.id)) return ctx.reply('❌ Owner only command.');
+
+  const userId = parseInt(ctx.message.text.split(' ')[1]);
+  if (!userId) {
+    return ctx.reply('*Usage:* `/demote <user_id>`', { parse_mode: 'Markdown' });
+  }
+  if (isOwner(userId)) {
+    return ctx.reply('❌ The owner\'s role can\'t be changed.');
+  }
+
+  // Stored explicitly so it also overrides ADMIN_IDS
+  const before = await getRole(userId);
+  await db.users.updateOne({ userId }, { role: 'user' }, { upsert: true });
+  await recordAudit(actorFrom(ctx), 'role', userId, before, 'user');
+  ctx.reply(`✅ User \`${userId}\` is no longer staff.`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Staff List
+bot.command('staff', requirePermission('settings'), async (ctx) => {
+  const users = await db.users.find({ $or: [{ role: { $in: STAFF_ROLES } }, { userId: { $in: config.admins } }] });
+  const staff = [{ userId: config.ownerId, role: 'owner' }];
+  for (const user of users) {
+    const role = await getRole(user.userId);
+    if (role !== 'user' && role !== 'owner') staff.push({ userId: user.userId, role, name: user.firstName });
+  }
+  // ADMIN_IDS that never started the bot have no user record yet
+  for (const userId of config.admins) {
+    if (!staff.some(member => member.userId === userId) && !users.some(user => user.userId === userId)) {
+      staff.push({ userId, role: 'admin' });
+    }
+  }
+
+  const list = staff.map(member =>
+    `${ROLES[member.role].icon} \`${member.userId}\`${member.name ? ` ${escapeMarkdown(member.name)}` : ''} - ${ROLES[member.role].label}`
+  ).join('\n');
+  ctx.reply(`👥 *Staff*\n\n${list}\n\nUse /promote and /demote to change roles.`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Restrict Uploads
+bot.command('restrictuploads', requirePermission('settings'), async (ctx) => {
+  const arg = ctx.message.text.split(' ')[1];
+  if (arg === 'on') {
+    await changeSetting(actorFrom(ctx), 'uploads_restricted', true);
+    ctx.reply('🔒 Only uploaders and staff can upload files now!');
+  } else if (arg === 'off') {
+    await changeSetting(actorFrom(ctx), 'uploads_restricted', false);
+    ctx.reply('🔓 Everyone can upload files again!');
+  } else {
+    ctx.reply('*Usage:* `/restrictuploads <on/off>`', { parse_mode: 'Markdown' });
+  }
+});
+
+// ADMIN: Delete File
+bot.command('deletefile', ownLibraryOnly, requirePermission('delete'), async (ctx) => {
+  const code = ctx.message.text.split(' ')[1];
+  if (!code) {
+    return ctx.reply('*Usage:* `/deletefile <code>`', { parse_mode: 'Markdown' });
+  }
+
+  const file = await deactivateCode(actorFrom(ctx), code);
+  
+  if (file) {
+    ctx.reply(`✅ File \`${code}\` has been deleted.`, { parse_mode: 'Markdown' });
+  } else {
+    ctx.reply(`❌ File \`${code}\` not found.`, { parse_mode: 'Markdown' });
+  }
+});
+
+// Storage channel re-indexing
+const REINDEX_DELAY = 100;
+// Bot keys with a re-index in progress
+const reindexRunning = new Set();
+
+// Bots can't read channel history, so a stored message is forwarded to the
+// admin's chat to read its contents and the forwarded copy is removed again
+const readStoredMessage = async (telegram, adminChatId, channelId, messageId) => {
+  const forwarded = await withRetry(() =>
+    telegram.forwardMessage(adminChatId, channelId, messageId, { disable_notification: true })
+  );
+  await telegram.deleteMessage(adminChatId, forwarded.message_id).catch(() => {});
+  return forwarded;
+};
+
+const reindexStorageChannel = async (telegram, adminChatId, adminId, channelId, fromId, toId, statusMsgId) => {
+  reindexRunning.add(currentBotKey());
+  let added = 0, updated = 0, skipped = 0;
+  const report = (title) => telegram.editMessageText(
+    adminChatId,
+    statusMsgId,
+    null,
+    `${title}\n\n➕ Added: ${added}\n♻️ Updated: ${updated}\n⏭ Skipped: ${skipped}`
+  ).catch(() => {});
+
+  try {
+    for (let messageId = fromId; messageId <= toId; messageId++) {
+      // Deleted and service messages can't be forwarded
+      const forwarded = await readStoredMessage(telegram, adminChatId, channelId, messageId).catch(() => null);
+      const info = forwarded && extractFile(forwarded);
+      if (!info) {
+        skipped++;
+      } else {
+        const existing = await db.files.findOne({ storageChatId: channelId, storageMessageId: messageId }) ||
+          (info.fileUniqueId && await db.files.findOne({ fileUniqueId: info.fileUniqueId }));
+        if (existing) {
+          const update = { fileId: info.fileId };
+          if (!existing.storageMessageId) {
+            update.storageChatId = channelId;
+            update.storageMessageId = messageId;
+          }
+          await db.files.updateOne({ _id: existing._id }, update);
+          updated++;
+        } else {
+          await db.files.create({
+            ...info,
+            shortCode: await generateUniqueCode(),
+            uploadedBy: adminId,
+            storageChatId: channelId,
+            storageMessageId: messageId
+          });
+          added++;
+        }
+      }
+
+      if ((added + updated + skipped) % 25 === 0) {
+        await report(`🔄 Re-indexing... (${messageId}/${toId})`);
+      }
+      await sleep(REINDEX_DELAY);
+    }
+    await report('✅ Re-index Complete!');
+  } catch (err) {
+    console.error('Reindex error:', err);
+    await report(`❌ Re-index stopped: ${err.message}`);
+  } finally {
+    reindexRunning.delete(currentBotKey());
+  }
+};
+
+// ADMIN: Re-index Storage Channel
+bot.command('reindex', ownLibraryOnly, requirePermission('settings'), async (ctx) => {
+  const args = ctx.message.text.split(' ').slice(1);
+  const fromId = parseInt(args[0]);
+  const toId = parseInt(args[1]);
+  const channel = args[2] || config.dbChannel;
+  if (!fromId || !toId || toId < fromId || !channel) {
+    return ctx.reply(
+      '🔄 *Re-index Storage Channel*\n\n' +
+      '*Usage:* `/reindex <first_msg_id> <last_msg_id> [channel]`\n\n' +
+      'Imports files posted in the storage channel into the database. ' +
+      'Defaults to the configured `DB_CHANNEL`.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+  if (reindexRunning.has(currentBotKey())) {
+    return ctx.reply('⏳ A re-index is already running.');
+  }
+
+  let chat;
+  try {
+    chat = await ctx.telegram.getChat(channel);
+  } catch (err) {
+    return ctx.reply('❌ Error! Make sure bot is admin in the channel.');
+  }
+
+  await recordAudit(actorFrom(ctx), 'reindex', chat.id, undefined, { fromId, toId });
+  const statusMsg = await ctx.reply(`🔄 Re-indexing messages ${fromId}-${toId}...`);
+  reindexStorageChannel(
+    ctx.telegram, ctx.chat.id, ctx.from.id, chat.id.toString(), fromId, toId, statusMsg.message_id
+  );
+});
+
+// Duplicate merging
+// Bot keys with a dedupe in progress
+const dedupeRunning = new Set();
+
+// Turn a duplicate record into an alias of the canonical one. Its code keeps
+// working and its views/downloads stay on it, like any other alias.
+const mergeDuplicate = async (canonical, dup) => {
+  await db.files.updateOne(
+    { _id: canonical._id },
+    { $inc: { duplicates: 1 } }
+  );
+  await db.files.updateOne(
+    { _id: dup._id },
+    { aliasOf: canonical._id }
+  );
+  const batches = await db.batches.find({ files: dup._id });
+  for (const batch of batches) {
+    await db.batches.updateOne(
+      { _id: batch._id },
+      { files: batch.files.map(id => (id.equals(dup._id) ? canonical._id : id)) }
+    );
+  }
+};
+
+// Look up file_unique_id for records stored before it was saved, merging
+// records that turn out to be the same file
+const dedupeFiles = async (telegram, adminChatId, statusMsgId) => {
+  dedupeRunning.add(currentBotKey());
+  let indexed = 0, merged = 0, skipped = 0;
+  const report = (title) => telegram.editMessageText(
+    adminChatId,
+    statusMsgId,
+    null,
+    `${title}\n\n🆔 Indexed: ${indexed}\n🔗 Merged: ${merged}\n⏭ Skipped: ${skipped}`
+  ).catch(() => {});
+
+  try {
+    const files = await db.files.find(
+      { fileUniqueId: null, aliasOf: null, fileId: { $ne: null } },
+      { sort: { createdAt: 1 } }
+    );
+
+    for (const file of files) {
+      let uniqueId = null;
+      try {
+        uniqueId = (await withRetry(() => telegram.getFile(file.fileId))).file_unique_id;
+      } catch (err) {
+        // getFile refuses files over 20 MB, read the storage copy instead
+        if (file.storageChatId && file.storageMessageId) {
+          const stored = await readStoredMessage(telegram, adminChatId, file.storageChatId, file.storageMessageId)
+            .catch(() => null);
+          const info = stored && extractFile(stored);
+          uniqueId = info && info.fileUniqueId;
+        }
+      }
+
+      const canonical = uniqueId && await db.files.findOne({ fileUniqueId: uniqueId });
+      if (!uniqueId || (canonical && !canonical.isActive && file.isActive)) {
+        skipped++;
+      } else if (canonical) {
+        await mergeDuplicate(canonical, file);
+        merged++;
+      } else {
+        await db.files.updateOne({ _id: file._id }, { fileUniqueId: uniqueId });
+        indexed++;
+      }
+
+      if ((indexed + merged + skipped) % 25 === 0) {
+        await report(`🔄 Deduplicating... (${indexed + merged + skipped}/${files.length})`);
+      }
+      await sleep(REINDEX_DELAY);
+    }
+    await report('✅ Dedupe Complete!');
+  } catch (err) {
+    console.error('Dedupe error:', err);
+    await report(`❌ Dedupe stopped: ${err.message}`);
+  } finally {
+    dedupeRunning.delete(currentBotKey());
+  }
+};
+
+// ADMIN: Merge Duplicate Files
+bot.command('dedupe', ownLibraryOnly, requirePermission('settings'), async (ctx) => {
+  if (dedupeRunning.has(currentBotKey())) {
+    return ctx.reply('⏳ Dedupe is already running.');
+  }
+
+  await recordAudit(actorFrom(ctx), 'dedupe');
+  const statusMsg = await ctx.reply('🔄 Looking for duplicate files...');
+  dedupeFiles(ctx.telegram, ctx.chat.id, statusMsg.message_id);
+});
+
+// ADMIN: Duplicate Report
+bot.command('duplicates', requirePermission('delete'), async (ctx) => {
+  const top = await db.files.find({ duplicates: { $gt: 0 } }, { sort: { duplicates: -1 }, limit: 10 });
+  const aliases = await db.files.count({ aliasOf: { $ne: null } });
+  const unindexed = await db.files.count({ fileUniqueId: null, aliasOf: null, fileId: { $ne: null } });
+
+  const list = top.length > 0
+    ? top.map((file, i) =>
+      `${i + 1}. ${file.fileName || 'Unknown'} - \`${file.shortCode}\` (${file.duplicates}x)`
+    ).join('\n')
+    : 'No duplicates found yet.';
+
+  ctx.reply(
+    `♻️ *Most Duplicated Files*\n\n${list}\n\n` +
+    `🔗 Aliases: ${aliases}\n` +
+    `🆔 Not yet indexed: ${unindexed}` + (unindexed > 0 ? ' (run /dedupe)' : ''),
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// ADMIN: Duplicate Aliases
+bot.command('dupealias', requirePermission('settings'), async (ctx) => {
+  const arg = ctx.message.text.split(' ')[1];
+  if (arg === 'on') {
+    await changeSetting(actorFrom(ctx), 'dedupe_alias', true);
+    ctx.reply('♻️ Re-uploads now get their own alias link!');
+  } else if (arg === 'off') {
+    await changeSetting(actorFrom(ctx), 'dedupe_alias', false);
+    ctx.reply('♻️ Re-uploads now get the existing link!');
+  } else {
+    ctx.reply('*Usage:* `/dupealias <on/off>`', { parse_mode: 'Markdown' });
+  }
+});
+
+// ADMIN: Expiring Links
+bot.command('expiring', requirePermission('delete'), async (ctx) => {
+  const arg = ctx.message.text.split(' ')[1];
+  const seconds = arg ? parseDuration(arg) : 3 * 86400;
+  if (!seconds) {
+    return ctx.reply('*Usage:* `/expiring [within]`\n\nExample: `/expiring 7d`', { parse_mode: 'Markdown' });
+  }
+
+  const now = new Date();
+  const files = await db.files.find({
+    isActive: true,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + seconds * 1000) }
+  }, { sort: { expiresAt: 1 }, limit: 30 });
+
+  if (files.length === 0) {
+    return ctx.reply(`⏳ No links expire within ${formatDuration(seconds)}.`);
+  }
+
+  const list = files.map((file, i) =>
+    `${i + 1}. ${escapeMarkdown(file.fileName || 'Unknown')} - \`${file.shortCode}\`\n` +
+    `   ⏳ ${file.expiresAt.toLocaleString()} | 👤 \`${file.uploadedBy}\``
+  ).join('\n');
+
+  ctx.reply(`⏳ *Links Expiring Within ${formatDuration(seconds)}:*\n\n${list}`, { parse_mode: 'Markdown' });
+});
+
+// Backups
+// Owner only: an archive holds every setting, including shortener API keys
+const BACKUP_POLL_INTERVAL = 10 * 60 * 1000;
+const BACKUP_MIN_INTERVAL = 3600;
+
+const backupFileName = (date = new Date()) =>
+  `filestore-backup-${date.toISOString().substr(0, 16).replace(/[T:]/g, '-')}.ndjson.gz`;
+
+const describeCounts = (counts) => Object.entries(counts)
+  .filter(([, count]) => count > 0)
+  .map(([name, count]) => `${name} ${count}`)
+  .join(', ') || 'empty';
+
+// Shared clones only back up their own data, the files belong to the main bot
+const sendBackup = async (telegram, chatId, title) => {
+  const storage = usesSharedLibrary() ? rootDb.namespace(`clone_${currentClone().botId}`) : db;
+  const { buffer, counts } = await createBackup(storage);
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  await telegram.sendDocument(
+    chatId,
+    { source: buffer, filename: backupFileName() },
+    { caption: `💾 ${title}\n\n${total} documents: ${describeCounts(counts)}` }
+  );
+  return counts;
+};
+
+const backupWorkerBusy = new Set();
+const runBackupWorker = async () => {
+  if (backupWorkerBusy.has(currentBotKey())) return;
+  backupWorkerBusy.add(currentBotKey());
+  try {
+    const schedule = await getSetting('backup_schedule', null);
+    if (!schedule) return;
+    const lastAt = await getSetting('backup_last_at', 0);
+    if (Date.now() - lastAt < schedule.seconds * 1000) return;
+
+    await setSetting('backup_last_at', Date.now());
+    await sendBackup(currentTelegram(), schedule.chatId, 'Scheduled Backup');
+  } catch (err) {
+    console.error('Backup worker error:', err);
+    currentTelegram().sendMessage(
+      getAlertChat(),
+      `⚠️ *Scheduled Backup Failed*\n\n${escapeMarkdown(err.message)}`,
+      { parse_mode: 'Markdown' }
+    ).catch(() => {});
+  } finally {
+    backupWorkerBusy.delete(currentBotKey());
+  }
+};
+
+// OWNER: Backup
+bot.command('backup', async (ctx) => {
+  if (!isOwner(ctx.from.id)) return ctx.reply('❌ Owner only command.');
+  if (ctx.chat.type !== 'private') return ctx.reply('🔒 Backups contain API keys, use this in private chat.');
+
+  await ctx.reply('⏳ Creating backup...');
+  try {
+    const counts = await sendBackup(ctx.telegram, ctx.chat.id, 'Backup');
+    await recordAudit(actorFrom(ctx), 'backup', undefined, undefined, counts);
+  } catch (err) {
+    console.error('Backup error:', err);
+    ctx.reply(`❌ Backup failed: ${err.message}`);
+  }
+});
+
+// OWNER: Restore
+bot.command('restore', async (ctx) => {
+  if (!isOwner(ctx.from.id)) return ctx.reply('❌ Owner only command.');
+  if (usesSharedLibrary()) {
+    return ctx.reply('❌ This bot shares its files with the main bot, restore backups there.');
+  }
+
+  const args = ctx.message.text.split(' ').slice(1);
+  const mode = args.find(arg => ['merge', 'replace'].includes(arg)) || 'merge';
+  const dryRun = args.some(arg => ['dry', 'dry-run', 'dryrun'].includes(arg));
+  const reply = ctx.message.reply_to_message;
+  if (!reply || !reply.document) {
+    return ctx.reply(
+      '♻️ *Restore Backup*\n\n' +
+      '*Usage:* reply to a backup file with `/restore [merge|replace] [dry-run]`\n\n' +
+      '`merge` (default) only adds what is missing, `replace` empties every collection in the backup first. ' +
+      'Use `dry-run` to see what would change.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  let archive;
+  try {
+    const url = await ctx.telegram.getFileLink(reply.document.file_id);
+    const { data } = await axios.get(url.href, { responseType: 'arraybuffer', timeout: 60000 });
+    archive = readBackup(Buffer.from(data));
+  } catch (err) {
+    return ctx.reply(`❌ Couldn't read the backup: ${err.description || err.message}`);
+  }
+
+  // A replace can't be undone, keep a copy of what it removes
+  if (mode === 'replace' && !dryRun) {
+    await sendBackup(ctx.telegram, ctx.chat.id, 'Safety Backup (before restore)');
+  }
+
+  const summary = await restoreBackup(db, archive, { mode, dryRun });
+  if (!dryRun) {
+    membershipCache().clear();
+    await recordAudit(actorFrom(ctx), 'restore', mode, undefined,
+      Object.fromEntries(Object.entries(summary).map(([name, result]) => [name, result.inserted])));
+  }
+
+  const lines = Object.entries(summary).map(([name, result]) =>
+    `• ${name}: ${result.archived} in backup, ${result.inserted} ${dryRun ? 'to add' : 'added'}` +
+    (result.skipped ? `, ${result.skipped} skipped` : '') +
+    (mode === 'replace' ? `, ${result.deleted} ${dryRun ? 'to delete' : 'deleted'}` : '')
+  );
+  ctx.reply(
+    `♻️ *Restore (${mode}${dryRun ? ', dry run' : ''})*\n\n` +
+    `📅 Backup from ${new Date(archive.header.createdAt).toLocaleString()} (v${archive.header.version})\n\n` +
+    (lines.join('\n') || 'The backup is empty.') +
+    (archive.unknown.length ? `\n\n⚠️ Ignored unknown collections: ${escapeMarkdown(archive.unknown.join(', '))}` : '') +
+    (dryRun ? '\n\nNothing was changed.' : ''),
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// OWNER: Backup Schedule
+bot.command('backupschedule', async (ctx) => {
+  if (!isOwner(ctx.from.id)) return ctx.reply('❌ Owner only command.');
+
+  const [interval, chatId] = ctx.message.text.split(' ').slice(1);
+  const seconds = parseDuration(interval);
+  if (seconds === 0) {
+    await changeSetting(actorFrom(ctx), 'backup_schedule', null);
+    return ctx.reply('✅ Scheduled backups are off.');
+  }
+  if (!seconds || seconds < BACKUP_MIN_INTERVAL || (chatId && !/^-?\d+$/.test(chatId))) {
+    const schedule = await getSetting('backup_schedule', null);
+    return ctx.reply(
+      '🕒 *Scheduled Backups*\n\n' +
+      `Current: ${schedule ? `every ${formatDuration(schedule.seconds)} to \`${schedule.chatId}\`` : 'off'}\n\n` +
+      '*Usage:* `/backupschedule <interval> [channel_id]` or `/backupschedule off`\n\n' +
+      'Example: `/backupschedule 1d -1001234567890`. At least `1h`; without a channel backups come to you.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  // /reindex would import backups posted to the storage channel as files
+  if (chatId && chatId === String(config.dbChannel)) {
+    return ctx.reply('❌ Use another channel than the storage channel for backups.');
+  }
+
+  const schedule = { seconds, chatId: chatId || String(ctx.from.id) };
+  await changeSetting(actorFrom(ctx), 'backup_schedule', schedule);
+  ctx.reply(`✅ Backups will be sent to \`${schedule.chatId}\` every ${formatDuration(seconds)}.`, { parse_mode: 'Markdown' });
+});
+
+// Channel posts
+// Uploads can be posted to channels as a card with a Get File button. `auto`
+// channels get every new upload, `approval` channels what staff approve from
+// the queue, and /schedulepost posts any file later. Posts are stored, the
+// worker sends those that are due, so the queue survives restarts.
+const POST_POLL_INTERVAL = 60 * 1000;
+const POST_BATCH_SIZE = 20;
+const POST_CAPTION_MAX = 300;
+const POST_MODES = { auto: 'every upload', approval: 'after approval' };
+const DEFAULT_POST_TEMPLATE = '{icon} *{name}*\n\n📦 Size: {size}';
+
+// [{ chatId, title, mode, template }]; an emptied list isn't stored
+const getPostChannels = async () => (await getSetting('post_channels', null)) || [];
+
+// Channels get cards in the default language
+const renderPostCard = async (file, template, lang) => {
+  const caption = file.fileType === 'text' ? '' : file.caption || '';
+  return format(template || DEFAULT_POST_TEMPLATE, {
+    icon: (FILE_TYPES[file.fileType] || {}).icon || '📁',
+    name: escapeMarkdown(file.fileName || await translate(lang, 'unknown_name')),
+    size: formatFileSize(file.fileSize || 0),
+    type: file.fileType,
+    code: file.shortCode,
+    link: escapeMarkdown(`https://t.me/${config.botUsername}?start=${file.shortCode}`),
+    caption: escapeMarkdown(caption.length > POST_CAPTION_MAX ? `${caption.substr(0, POST_CAPTION_MAX)}…` : caption)
+  });
+};
+
+// Photos show themselves, other media their thumbnail if Telegram sent one.
+// Aliases show the photo of the file they point to. Without a photo this bot
+// can send, or when Telegram refuses it, the card goes out as text.
+// `heading` goes above the card, for approval requests.
+const sendPostCard = async (telegram, chatId, file, template, { heading, lang = DEFAULT_LANGUAGE, ...extra } = {}) => {
+  const text = (heading ? `${heading}\n\n` : '') + await renderPostCard(file, template, lang);
+  const options = {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [[{
+        text: await translate(lang, 'post_get_button'),
+        url: `https://t.me/${config.botUsername}?start=${file.shortCode}`
+      }]]
+    },
+    ...extra
+  };
+
+  const source = (file.aliasOf && await db.files.findById(file.aliasOf)) || file;
+  const photo = canUseFileId(source) && (source.fileType === 'photo' ? source.fileId : source.thumbFileId);
+  if (photo) {
+    try {
+      return await telegram.sendPhoto(chatId, photo, { caption: text, ...options });
+    } catch (err) {
+      if (getRetryAfter(err) !== null) throw err;
+      console.error('Post card photo error:', err.message);
+    }
+  }
+  return telegram.sendMessage(chatId, text, options);
+};
+
+const postWorkerBusy = new Set();
+const runPostWorker = async () => {
+  if (postWorkerBusy.has(currentBotKey())) return;
+  postWorkerBusy.add(currentBotKey());
+  try {
+    const channels = await getPostChannels();
+    const posts = await db.posts.find(
+      { status: 'scheduled', postAt: { $lte: new Date() } },
+      { sort: { postAt: 1 }, limit: POST_BATCH_SIZE }
+    );
+    for (const post of posts) {
+      try {
+        const channel = channels.find(c => c.chatId === post.chatId);
+        if (!channel) throw new Error('Channel is no longer a post channel');
+        const file = await db.files.findById(post.file);
+        if (!file || !file.isActive) throw new Error('File was deleted');
+
+        const message = await sendPostCard(currentTelegram(), post.chatId, file, channel.template);
+        await db.posts.updateOne({ _id: post._id }, { status: 'posted', postedAt: new Date(), messageId: message.message_id });
+      } catch (err) {
+        // Flood limits: leave the rest for the next pass
+        if (getRetryAfter(err) !== null) break;
+        await db.posts.updateOne({ _id: post._id }, { status: 'failed', error: err.description || err.message });
+      }
+    }
+  } catch (err) {
+    console.error('Post worker error:', err);
+  } finally {
+    postWorkerBusy.delete(currentBotKey());
+  }
+};
+
+const reviewKeyboard = (post) => ({
+  inline_keyboard: [[
+    { text: '✅ Approve', callback_data: `post_ok_${post._id}` },
+    { text: '❌ Reject', callback_data: `post_no_${post._id}` }
+  ]]
+});
+
+// Queue a new upload for every post channel. Approval requests go to the
+// log channel with the card as it would be posted. Text posts are only
+// posted with /schedulepost, they are often notes rather than files.
+const queueChannelPosts = async (telegram, file, requestedBy) => {
+  if (file.fileType === 'text') return;
+  try {
+    const channels = await getPostChannels();
+    // A clone's owner reads the requests in their own language
+    const lang = config.logChannel ? DEFAULT_LANGUAGE : userLanguage(await db.users.findOne({ userId: getAlertChat() }));
+    for (const channel of channels) {
+      const auto = channel.mode === 'auto';
+      const post = await db.posts.create({
+        file: file._id,
+        chatId: channel.chatId,
+        status: auto ? 'scheduled' : 'pending',
+        postAt: auto ? new Date() : undefined,
+        requestedBy
+      });
+      if (!auto) {
+        await sendPostCard(telegram, getAlertChat(), file, channel.template, {
+          heading: await translate(lang, 'post_review', { channel: escapeMarkdown(channel.title || channel.chatId) }),
+          lang,
+          reply_markup: reviewKeyboard(post)
+        }).catch(err => console.error('Post review error:', err.message));
+      }
+    }
+    if (channels.some(channel => channel.mode === 'auto')) await runPostWorker();
+  } catch (err) {
+    console.error('Channel post error:', err);
+  }
+};
+
+const channelLabel = (channels, chatId) => {
+  const channel = channels.find(c => c.chatId === chatId);
+  return channel && channel.title ? `${escapeMarkdown(channel.title)} (\`${chatId}\`)` : `\`${chatId}\``;
+};
+
+// Post Review Callbacks
+bot.action(/^post_(ok|no)_(\w+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'delete'))) {
+    return ctx.answerCbQuery('❌ You don\'t have permission to review posts.', { show_alert: true });
+  }
+  const approve = ctx.match[1] === 'ok';
+  const id = ctx.match[2];
+  const post = db.isValidId(id) && await db.posts.findById(id);
+  if (!post) return ctx.answerCbQuery('❌ Post not found.');
+
+  const update = approve
+    ? { status: 'scheduled', postAt: new Date(), reviewedBy: ctx.from.id }
+    : { status: 'rejected', reviewedBy: ctx.from.id };
+  const { modifiedCount } = await db.posts.updateOne({ _id: post._id, status: 'pending' }, update);
+  if (!modifiedCount) return ctx.answerCbQuery(`ℹ️ Already ${post.status}.`);
+
+  await recordAudit(actorFrom(ctx), approve ? 'approvepost' : 'rejectpost', String(post._id), 'pending', update.status);
+  await ctx.answerCbQuery(approve ? '✅ Approved, posting now.' : '❌ Rejected.');
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  if (approve) await runPostWorker();
+});
+
+// ADMIN: Post Channels
+bot.command('postchannels', requirePermission('settings'), async (ctx) => {
+  const channels = await getPostChannels();
+  const list = channels.map((channel, i) =>
+    `${i + 1}. ${channelLabel(channels, channel.chatId)}\n` +
+    `   📮 Posts ${POST_MODES[channel.mode]} | 📝 ${channel.template ? 'custom' : 'default'} template`
+  ).join('\n');
+
+  ctx.reply(
+    '📮 *Post Channels*\n\n' +
+    (list || 'None yet, uploads are only sent to the uploader.') + '\n\n' +
+    '`/addpostchannel <channel_id> [auto|approval]` - Add a channel or change its mode\n' +
+    '`/removepostchannel <channel_id>` - Stop posting there\n' +
+    '`/posttemplate <channel_id> [template|reset]` - Caption of the cards\n' +
+    '`/postqueue` - Posts waiting for approval or their time',
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// ADMIN: Add Post Channel
+bot.command('addpostchannel', requirePermission('settings'), async (ctx) => {
+  const [ref, mode = 'auto'] = ctx.message.text.split(' ').slice(1);
+  if (!ref || !POST_MODES[mode]) {
+    return ctx.reply(
+      '*Usage:* `/addpostchannel <@channel|channel_id> [auto|approval]`\n\n' +
+      '`auto` posts every new upload, `approval` waits for staff to approve it. ' +
+      'The bot must be an admin of the channel.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+  if (mode === 'approval' && !getAlertChat()) {
+    return ctx.reply('❌ Approval needs a log channel or owner to send the requests to. Use `auto` instead.', { parse_mode: 'Markdown' });
+  }
+
+  let chat;
+  try {
+    chat = await ctx.telegram.getChat(ref);
+    const member = await ctx.telegram.getChatMember(chat.id, ctx.botInfo.id);
+    if (member.status !== 'administrator' && member.status !== 'creator') {
+      return ctx.reply('❌ Make the bot an admin of that channel first.');
+    }
+  } catch (err) {
+    return ctx.reply(`❌ Couldn't access that channel: ${err.description || err.message}`);
+  }
+
+  const chatId = chat.id.toString();
+  const channels = await getPostChannels();
+  const existing = channels.find(c => c.chatId === chatId);
+  const updated = existing
+    ? channels.map(c => (c.chatId === chatId ? { ...c, mode } : c))
+    : [...channels, { chatId, title: chat.title, mode }];
+  await changeSetting(actorFrom(ctx), 'post_channels', updated);
+
+  ctx.reply(
+    `✅ ${escapeMarkdown(chat.title || chatId)} gets file cards ${POST_MODES[mode]}.`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// ADMIN: Remove Post Channel
+bot.command('removepostchannel', requirePermission('settings'), async (ctx) => {
+  const chatId = ctx.message.text.split(' ')[1];
+  const channels = await getPostChannels();
+  if (!chatId || !channels.some(c => c.chatId === chatId)) {
+    return ctx.reply('❌ Not a post channel. See /postchannels for the ids.');
+  }
+
+  await changeSetting(actorFrom(ctx), 'post_channels', channels.filter(c => c.chatId !== chatId));
+  const { modifiedCount } = await db.posts.updateMany(
+    { chatId, status: { $in: ['pending', 'scheduled'] } },
+    { status: 'cancelled' }
+  );
+  ctx.reply(`✅ Removed. ${modifiedCount} queued post(s) were cancelled.`);
+});
+
+// ADMIN: Post Template
+bot.command('posttemplate', requirePermission('settings'), async (ctx) => {
+  const match = ctx.message.text.match(/^\/\w+(?:@\w+)?(?:\s+(\S+))?(?:\s+([\s\S]+))?$/);
+  const [, chatId, template] = match || [];
+  const channels = await getPostChannels();
+  const channel = channels.find(c => c.chatId === chatId);
+  if (!channel) {
+    return ctx.reply(
+      '*Usage:* `/posttemplate <channel_id> [template|reset]`\n\n' +
+      'Placeholders: `{icon}` `{name}` `{size}` `{type}` `{code}` `{link}` `{caption}`\n' +
+      `Default: \`${DEFAULT_POST_TEMPLATE.replace(/\n/g, '\\n')}\``,
+      { parse_mode: 'Markdown' }
+    );
+  }
+  if (!template) {
+    // Sent as plain text so the Markdown can be copied and edited
+    return ctx.reply(`📝 Template for ${channel.title || chatId}:\n\n${channel.template || DEFAULT_POST_TEMPLATE}`);
+  }
+
+  const value = template.trim() === 'reset' ? undefined : template;
+  if (value) {
+    // Only save what Telegram accepts, a broken template would fail every post
+    const sample = await db.files.findOne({ isActive: true }, { sort: { createdAt: -1 } }) ||
+      { fileType: 'document', fileName: 'example.zip', fileSize: 1048576, shortCode: 'example' };
+    try {
+      await sendPostCard(ctx.telegram, ctx.chat.id, sample, value);
+    } catch (err) {
+      return ctx.reply(`❌ Telegram rejected the template: ${err.description || err.message}`);
+    }
+  }
+
+  await changeSetting(actorFrom(ctx), 'post_channels', channels.map(c => {
+    if (c.chatId !== chatId) return c;
+    const { template: previous, ...rest } = c;
+    return value ? { ...rest, template: value } : rest;
+  }));
+  ctx.reply(value ? '✅ Template saved. The preview is above.' : '✅ Back to the default template.');
+});
+
+// MODERATOR: Post Queue
+bot.command('postqueue', requirePermission('delete'), async (ctx) => {
+  const channels = await getPostChannels();
+  const posts = await db.posts.find(
+    { status: { $in: ['pending', 'scheduled'] } },
+    { sort: { createdAt: 1 }, limit: 20 }
+  );
+  if (posts.length === 0) return ctx.reply('📭 No posts are waiting.');
+
+  const lines = [];
+  for (const post of posts) {
+    const file = await db.files.findById(post.file);
+    lines.push(
+      `${post.status === 'pending' ? '⏳' : '🕒'} \`${post._id}\` ${escapeMarkdown(file ? file.fileName || file.shortCode : 'deleted file')}\n` +
+      `   → ${channelLabel(channels, post.chatId)} ` +
+      (post.status === 'pending' ? 'needs approval' : `at ${post.postAt.toLocaleString()}`)
+    );
+  }
+  const pending = posts.filter(post => post.status === 'pending');
+  ctx.reply(
+    `📮 *Post Queue (${posts.length})*\n\n${lines.join('\n')}\n\n` +
+    '`/cancelpost <id>` removes a post from the queue.',
+    {
+      parse_mode: 'Markdown',
+      reply_markup: pending.length ? {
+        inline_keyboard: pending.slice(0, 10).map((post, i) => [
+          { text: `✅ ${String(post._id).slice(-6)}`, callback_data: `post_ok_${post._id}` },
+          { text: `❌ ${String(post._id).slice(-6)}`, callback_data: `post_no_${post._id}` }
+        ])
+      } : undefined
+    }
+  );
+});
+
+// MODERATOR: Schedule Post
+bot.command('schedulepost', requirePermission('delete'), async (ctx) => {
+  const [code, when, chatId] = ctx.message.text.split(' ').slice(1);
+  const delay = when === 'now' ? 0 : parseDuration(when);
+  if (!code || (when !== 'now' && !delay)) {
+    return ctx.reply(
+      '*Usage:* `/schedulepost <code> <delay|now> [channel_id]`\n\n' +
+      'Example: `/schedulepost abc123 3h` posts the card in 3 hours to every post channel.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const file = await db.files.findOne({ shortCode: code, isActive: true });
+  if (!file) return ctx.reply('❌ File not found.');
+  const channels = (await getPostChannels()).filter(c => !chatId || c.chatId === chatId);
+  if (channels.length === 0) return ctx.reply('❌ No such post channel. See /postchannels.');
+
+  const postAt = new Date(Date.now() + delay * 1000);
+  for (const channel of channels) {
+    await db.posts.create({
+      file: file._id,
+      chatId: channel.chatId,
+      status: 'scheduled',
+      postAt,
+      requestedBy: ctx.from.id,
+      reviewedBy: ctx.from.id
+    });
+  }
+  await recordAudit(actorFrom(ctx), 'schedulepost', code, undefined, {
+    channels: channels.map(c => c.chatId), postAt
+  });
+
+  if (delay === 0) await runPostWorker();
+  ctx.reply(delay === 0
+    ? `✅ Posted to ${channels.length} channel(s).`
+    : `🕒 Scheduled for ${postAt.toLocaleString()} in ${channels.length} channel(s).`);
+});
+
+// MODERATOR: Cancel Post
+bot.command('cancelpost', requirePermission('delete'), async (ctx) => {
+  const id = ctx.message.text.split(' ')[1];
+  if (!id || !db.isValidId(id)) {
+    return ctx.reply('*Usage:* `/cancelpost <id>`, the ids are in /postqueue.', { parse_mode: 'Markdown' });
+  }
+
+  const { modifiedCount } = await db.posts.updateOne(
+    { _id: id, status: { $in: ['pending', 'scheduled'] } },
+    { status: 'cancelled' }
+  );
+  if (!modifiedCount) return ctx.reply('❌ No queued post with that id.');
+  await recordAudit(actorFrom(ctx), 'cancelpost', id);
+  ctx.reply('✅ Post cancelled.');
+});
+
+// ADMIN: Message Overrides
+// `/cmd <lang> <key> <text...>`, the text keeps its line breaks
+const parseMessageArgs = (text) => {
+  const match = text.match(/^\/\w+(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+([\s\S]+))?$/);
+  const [, lang, key, value] = match || [];
+  return { lang, key, value };
+};
+
+bot.command('messages', requirePermission('settings'), async (ctx) => {
+  const { lang, key } = parseMessageArgs(ctx.message.text);
+  if (!lang) {
+    const lines = [];
+    for (const code of Object.keys(LANGUAGES)) {
+      const overrides = await getMessageOverrides(code);
+      lines.push(`${languageName(code)} \`${code}\` - ${Object.keys(overrides).length} override(s)`);
+    }
+    return ctx.reply(
+      '🌐 *Messages*\n\n' + lines.join('\n') + '\n\n' +
+      '`/messages <lang>` - List message keys\n' +
+      '`/messages <lang> <key>` - Show a message\n' +
+      '`/setmessage <lang> <key> <text>` - Override a message\n' +
+      '`/resetmessage <lang> <key>` - Back to the built-in text',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  if (!LANGUAGES[lang]) {
+    return ctx.reply(`❌ Unknown language. Available: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  const overrides = await getMessageOverrides(lang);
+
+  if (!key) {
+    const list = messageKeys.map(k => `${overrides[k] !== undefined ? '✏️' : '▫️'} \`${k}\``).join('\n');
+    return ctx.reply(`🌐 *${languageName(lang)} Messages*\n\n${list}\n\n✏️ = overridden`, { parse_mode: 'Markdown' });
+  }
+  if (!messageKeys.includes(key)) {
+    return ctx.reply('❌ Unknown message key. Use /messages <lang> to list them.');
+  }
+
+  // Sent as plain text so the Markdown can be copied and edited
+  const overridden = overrides[key] !== undefined;
+  ctx.reply(
+    `🌐 ${lang}/${key} (${overridden ? 'override' : 'built-in'}):\n\n` +
+    (overridden ? overrides[key] : getTemplate(lang, key))
+  );
+});
+
+bot.command('setmessage', requirePermission('settings'), async (ctx) => {
+  const { lang, key, value } = parseMessageArgs(ctx.message.text);
+  if (!value) {
+    return ctx.reply(
+      '*Usage:* `/setmessage <lang> <key> <text>`\n\n' +
+      'Markdown and the built-in {placeholders} work as in the original. See /messages for the keys.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+  if (!LANGUAGES[lang] || !messageKeys.includes(key)) {
+    return ctx.reply('❌ Unknown language or message key. See /messages.');
+  }
+
+  // Only save text Telegram accepts, a broken message would fail for every user
+  try {
+    await ctx.reply(format(value, {}), { parse_mode: 'Markdown' });
+  } catch (err) {
+    return ctx.reply(`❌ Telegram rejected the message: ${err.description || err.message}`);
+  }
+
+  const overrides = await getMessageOverrides(lang);
+  await changeSetting(actorFrom(ctx), `messages_${lang}`, { ...overrides, [key]: value });
+  ctx.reply(`✅ Message \`${key}\` updated for ${languageName(lang)}. The preview is above.`, { parse_mode: 'Markdown' });
+});
+
+bot.command('resetmessage', requirePermission('settings'), async (ctx) => {
+  const { lang, key } = parseMessageArgs(ctx.message.text);
+  if (!lang || !key) {
+    return ctx.reply('*Usage:* `/resetmessage <lang> <key>`', { parse_mode: 'Markdown' });
+  }
+
+  const overrides = await getMessageOverrides(lang);
+  if (overrides[key] === undefined) {
+    return ctx.reply('❌ That message has no override.');
+  }
+  const rest = { ...overrides };
+  delete rest[key];
+  await changeSetting(actorFrom(ctx), `messages_${lang}`, rest);
+  ctx.reply(`✅ Message \`${key}\` is back to the built-in ${languageName(lang)} text.`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Set Start Message
+bot.command('setstart', requirePermission('settings'), async (ctx) => {
+  const msg = ctx.message.text.replace('/setstart ', '').trim();
+  if (msg === '/setstart') {
+    return ctx.reply('*Usage:* `/setstart <message>`', { parse_mode: 'Markdown' });
+  }
+
+  await changeSetting(actorFrom(ctx), 'start_msg', msg);
+  ctx.reply('✅ Start message updated!');
+});
+
+// ADMIN: Set Help Message
+bot.command('sethelp', requirePermission('settings'), async (ctx) => {
+  const msg = ctx.message.text.replace('/sethelp ', '').trim();
+  if (msg === '/sethelp') {
+    return ctx.reply('*Usage:* `/sethelp <message>`', { parse_mode: 'Markdown' });
+  }
+
+  await changeSetting(actorFrom(ctx), 'help_msg', msg);
+  ctx.reply('✅ Help message updated!');
+});
+
+// ADMIN: Auto Delete
+bot.command('autodelete', requirePermission('settings'), async (ctx) => {
+  const seconds = parseInt(ctx.message.text.split(' ')[1]);
+  if (isNaN(seconds)) {
+    return ctx.reply(
+      '⏱ *Auto-Delete*\n\n*Usage:* `/autodelete <seconds>`\n\nExample: `/autodelete 300` (5 min)',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  await changeSetting(actorFrom(ctx), 'auto_delete', seconds);
+  ctx.reply(`✅ Auto-delete set to ${seconds}s!`);
+});
+
+// ADMIN: Auto Delete Notice
+bot.command('autodeletenotice', requirePermission('settings'), async (ctx) => {
+  const arg = ctx.message.text.split(' ')[1];
+  if (arg === 'on') {
+    await changeSetting(actorFrom(ctx), 'auto_delete_notice', true);
+    ctx.reply('⚠️ Auto-delete notice enabled!');
+  } else if (arg === 'off') {
+    await changeSetting(actorFrom(ctx), 'auto_delete_notice', false);
+    ctx.reply('⚠️ Auto-delete notice disabled!');
+  } else {
+    ctx.reply('*Usage:* `/autodeletenotice <on/off>`', { parse_mode: 'Markdown' });
+  }
+});
+
+// ADMIN: Verification Expiry
+bot.command('setverifyexpiry', requirePermission('settings'), async (ctx) => {
+  const seconds = parseDuration(ctx.message.text.split(' ')[1]);
+  if (seconds === null) {
+    return ctx.reply(
+      '⏳ *Verification Expiry*\n\n*Usage:* `/setverifyexpiry <duration>`\n\n' +
+      'Examples: `/setverifyexpiry 24h`, `/setverifyexpiry 7d`, `/setverifyexpiry off`',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  await changeSetting(actorFrom(ctx), 'verify_expiry', seconds);
+  ctx.reply(seconds ? `✅ Verification now expires after ${formatDuration(seconds)}!` : '✅ Verification expiry disabled!');
+});
+
+// ADMIN: Add Channel
+bot.command('addchannel', requirePermission('settings'), async (ctx) => {
+  const [ref, mode = 'required'] = ctx.message.text.split(' ').slice(1);
+  if (!ref || !CHANNEL_REF.test(ref) || !CHANNEL_MODES[mode]) {
+    return ctx.reply(
+      '📺 *Add Channel*\n\n' +
+      '*Usage:* `/addchannel <@channel|channel_id> [required/request/optional]`\n\n' +
+      'Private channels are added by id, the bot creates their invite link. ' +
+      '`request` mode accepts a join request instead of membership.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  try {
+    const { channel, added } = await addChannel(actorFrom(ctx), ctx.telegram, ref, mode);
+    if (!added) {
+      return ctx.reply('❌ Channel already added!');
+    }
+    
+    ctx.reply(`✅ Channel ${escapeMarkdown(channel.title || ref)} added! (${CHANNEL_MODES[mode]})`, { parse_mode: 'Markdown' });
+  } catch (err) {
+    ctx.reply('❌ Error! Make sure bot is admin in the channel.');
+  }
+});
+
+// ADMIN: Channel Mode
+bot.command('channelmode', requirePermission('settings'), async (ctx) => {
+  const [ref, mode] = ctx.message.text.split(' ').slice(1);
+  if (!ref || !CHANNEL_REF.test(ref) || !CHANNEL_MODES[mode]) {
+    return ctx.reply('*Usage:* `/channelmode <@channel|channel_id> <required/request/optional>`', { parse_mode: 'Markdown' });
+  }
+
+  try {
+    const channel = await setChannelMode(actorFrom(ctx), ctx.telegram, channelFilter(ref), mode);
+    ctx.reply(channel ? `✅ Channel ${ref} is now ${CHANNEL_MODES[mode]}!` : `❌ Channel ${ref} not found.`);
+  } catch (err) {
+    ctx.reply('❌ Error! Make sure bot is admin in the channel and can invite users.');
+  }
+});
+
+// ADMIN: Remove Channel
+bot.command('removechannel', requirePermission('settings'), async (ctx) => {
+  const ref = ctx.message.text.split(' ')[1];
+  if (!ref) {
+    return ctx.reply('*Usage:* `/removechannel <@channel|channel_id>`', { parse_mode: 'Markdown' });
+  }
+
+  const channel = await removeChannel(actorFrom(ctx), channelFilter(ref));
+  ctx.reply(channel ? `✅ Channel ${ref} removed!` : `❌ Channel ${ref} not found.`);
+});
+
+// ADMIN: List Channels
+bot.command('listchannels', requirePermission('settings'), async (ctx) => {
+  const channels = await db.channels.find();
+  if (channels.length === 0) {
+    return ctx.reply('📺 No channels added yet.');
+  }
+
+  const list = channels.map((ch, i) => 
+    `${i + 1}. ${escapeMarkdown(ch.title || 'Untitled')} - ${escapeMarkdown(ch.username || ch.channelId)}\n` +
+    `   ${CHANNEL_MODES[ch.mode]}` + (ch.inviteLink ? ` | ${escapeMarkdown(ch.inviteLink)}` : '') +
+    (ch.lostAccessAt ? '\n   🚨 Bot lost admin rights, not enforced' : '')
+  ).join('\n');
+  
+  ctx.reply(`📺 *Force Subscription Channels:*\n\n${list}`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Content Protection
+bot.command('protect', requirePermission('settings'), async (ctx) => {
+  const arg = ctx.message.text.split(' ')[1];
+  if (arg === 'on') {
+    await changeSetting(actorFrom(ctx), 'protect_content', true);
+    ctx.reply('🛡 Content protection enabled!');
+  } else if (arg === 'off') {
+    await changeSetting(actorFrom(ctx), 'protect_content', false);
+    ctx.reply('🛡 Content protection disabled!');
+  } else {
+    ctx.reply('*Usage:* `/protect <on/off>`', { parse_mode: 'Markdown' });
+  }
+});
+
+// ADMIN: Settings
+bot.command('settings', requirePermission('settings'), async (ctx) => {
+  const shorteners = await getShorteners();
+  const rotation = await getSetting('shortener_rotation', false);
+  const policy = await getSetting('shortener_fail_policy', 'deny');
+  const autoDelete = await getSetting('auto_delete', 0);
+  const deleteNotice = await getSetting('auto_delete_notice', true);
+  const pendingDeletes = await db.deleteJobs.count();
+  const protect = await getSetting('protect_content', false);
+  const verifyExpiry = await getSetting('verify_expiry', 0);
+  const uploadsRestricted = await getSetting('uploads_restricted', false);
+  const premiumPerks = await getSetting('premium_perks', true);
+  const referralReward = await getSetting('referral_reward', null);
+  const cloneAccess = await getSetting('clone_access', 'staff');
+  const postChannels = await getPostChannels();
+  const channels = await db.channels.count();
+  const clone = currentClone();
+  
+  const settings = 
+    `⚙️ *Bot Settings*\n\n` +
+    `🔗 Shorteners: ${escapeMarkdown(shorteners.map(p => p.name).join(' → ') || 'Not set')}\n` +
+    `🔄 Rotation: ${rotation ? 'ON' : 'OFF'} | On failure: ${policy}\n` +
+    `⏱ Auto-Delete: ${autoDelete}s (notice ${deleteNotice ? 'ON' : 'OFF'}, ${pendingDeletes} pending)\n` +
+    `🛡 Protection: ${protect ? 'ON' : 'OFF'}\n` +
+    `🔒 Uploads: ${uploadsRestricted ? 'Uploaders only' : 'Everyone'}\n` +
+    `💎 Premium Perks: ${premiumPerks ? 'ON' : 'OFF'}\n` +
+    `🤝 Referral Reward: ${describeReward(referralReward)}\n` +
+    `⏳ Verify Expiry: ${formatDuration(verifyExpiry)}\n` +
+    `💾 Storage Channel: ${config.dbChannel || 'Not set'}\n` +
+    (clone
+      ? `🤖 Clone of @${escapeMarkdown(baseConfig.botUsername)}${clone.record.shareFiles ? ' (shared library)' : ''}\n`
+      : `🤖 Cloning: ${CLONE_ACCESS[cloneAccess]}\n`) +
+    `📮 Post Channels: ${postChannels.length}\n` +
+    `📺 Channels: ${channels}`;
+  
+  ctx.reply(settings, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Statistics
+bot.command('stats', requirePermission('settings'), async (ctx) => {
+  const { users, files, channels } = await getStats();
+  
+  const stats = 
+    `📊 *Bot Statistics*\n\n` +
+    `👥 *Users:*\n` +
+    `   Total: ${users.total}\n` +
+    `   Verified: ${users.verified}\n` +
+    `   Premium: ${users.premium}\n` +
+    `   Banned: ${users.banned}\n` +
+    `   Blocked bot: ${users.blocked}\n\n` +
+    `📁 *Files:*\n` +
+    `   Total: ${files.total}\n` +
+    `   Batches: ${files.batches}\n` +
+    `   Downloads: ${files.downloads}\n\n` +
+    `📺 *Channels:* ${channels}`;
+  
+  ctx.reply(stats, { parse_mode: 'Markdown' });
+});
+
+// Analytics reports over the events collection
+const ANALYTICS_MAX_DAYS = 90;
+const CHART_WIDTH = 12;
+
+// Period argument like `7d` or `2w` in whole days; null if it isn't one
+const parsePeriod = (arg, fallback) => {
+  if (!arg) return fallback;
+  const seconds = parseDuration(arg);
+  return seconds ? Math.min(Math.max(Math.ceil(seconds / 86400), 1), ANALYTICS_MAX_DAYS) : null;
+};
+
+// The last `days` days as YYYY-MM-DD (UTC), oldest first
+const lastDays = (days) => Array.from({ length: days }, (_, i) =>
+  new Date(Date.now() - (days - 1 - i) * 86400000).toISOString().substr(0, 10)
+);
+
+const countByType = async (filter) => Object.fromEntries(
+  (await db.events.countBy('type', filter)).map(({ value, count }) => [value, count])
+);
+
+const percent = (part, whole) => (whole ? `${Math.round(part / whole * 100)}%` : '-');
+
+const renderDailyChart = (days, rows) => {
+  const counts = Object.fromEntries(rows.map(({ value, count }) => [value, count]));
+  const max = Math.max(1, ...Object.values(counts));
+  return lastDays(days).map(day => {
+    const count = counts[day] || 0;
+    return `\`${day.substr(5)} ${'█'.repeat(Math.round(count / max * CHART_WIDTH)).padEnd(CHART_WIDTH, '·')}\` ${count}`;
+  }).join('\n');
+};
+
+// Funnel for the events matching `filter`, with why opens failed
+const renderFunnel = async (filter) => {
+  const counts = await countByType(filter);
+  const reasons = await db.events.countBy('reason', { ...filter, type: 'failed' });
+  const prompts = counts.prompt || 0;
+  return (
+    `👁 Views: ${counts.view || 0}\n` +
+    `🔐 Verification prompts: ${prompts}\n` +
+    `👆 Shortener clicks: ${config.publicUrl ? `${counts.click || 0} (${percent(counts.click || 0, prompts)})` : 'not tracked (set PUBLIC_URL)'}\n` +
+    `✅ Verified: ${counts.verified || 0} (${percent(counts.verified || 0, prompts)})\n` +
+    `📥 Delivered: ${counts.delivered || 0}\n` +
+    `❌ Failed: ${counts.failed || 0}` +
+    (reasons.length > 0 ? ` (${reasons.map(({ value, count }) => `${value} ${count}`).join(', ')})` : '')
+  );
+};
+
+// Look up names for share codes of files and batches
+const describeCodes = async (codes) => {
+  const files = await db.files.find({ shortCode: { $in: codes } });
+  const batches = await db.batches.find({ shortCode: { $in: codes } });
+  return Object.fromEntries([
+    ...files.map(file => [file.shortCode, file.fileName || 'Unknown']),
+    ...batches.map(batch => [batch.shortCode, `📦 Batch (${batch.files.length} files)`])
+  ]);
+};
+
+// File Stats: for the uploader and staff who can manage files
+bot.command('filestats', async (ctx) => {
+  const [code, period] = ctx.message.text.split(' ').slice(1);
+  const days = parsePeriod(period, 14);
+  if (!code || !days) {
+    return ctx.reply('*Usage:* `/filestats <code> [period]`\n\nExample: `/filestats abc123 30d`', { parse_mode: 'Markdown' });
+  }
+
+  const link = await db.files.findOne({ shortCode: code }) || await db.batches.findOne({ shortCode: code });
+  if (!link || !(await canManageFile(ctx.from.id, { uploadedBy: linkFields(link).uploadedBy }))) {
+    return ctx.reply(`❌ File ${inlineCode(code)} not found.`, { parse_mode: 'Markdown' });
+  }
+
+  const filter = { code, day: { $gte: lastDays(days)[0] } };
+  const daily = await db.events.countBy('day', { ...filter, type: 'delivered' });
+  const name = link.fileName || (link.files ? `Batch (${link.files.length} files)` : 'Unknown');
+
+  ctx.reply(
+    `📊 *File Stats:* ${escapeMarkdown(name)} (\`${code}\`)\n` +
+    `📅 Last ${days} days\n\n` +
+    `📥 *Downloads per day:*\n${renderDailyChart(days, daily)}\n\n` +
+    `🔻 *Funnel:*\n${await renderFunnel(filter)}\n\n` +
+    `📈 *All time:* 👁 ${link.views} views | 📥 ${link.downloads} downloads`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// ADMIN: Top Files
+bot.command('topfiles', requirePermission('settings'), async (ctx) => {
+  const days = parsePeriod(ctx.message.text.split(' ')[1], 7);
+  if (!days) {
+    return ctx.reply('*Usage:* `/topfiles [period]`\n\nExample: `/topfiles 30d`', { parse_mode: 'Markdown' });
+  }
+
+  const top = await db.events.countBy('code', { type: 'delivered', day: { $gte: lastDays(days)[0] } }, { limit: 10 });
+  if (top.length === 0) {
+    return ctx.reply(`🏆 No downloads in the last ${days} days.`);
+  }
+
+  const names = await describeCodes(top.map(({ value }) => value));
+  const list = top.map(({ value, count }, i) =>
+    `${i + 1}. ${escapeMarkdown(names[value] || 'Deleted')} - \`${value}\` (📥 ${count})`
+  ).join('\n');
+  ctx.reply(`🏆 *Top Files, Last ${days} Days*\n\n${list}`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Uploader Stats
+bot.command('uploaderstats', requirePermission('settings'), async (ctx) => {
+  const args = ctx.message.text.split(' ').slice(1);
+  const userId = /^\d{4,}$/.test(args[0] || '') ? parseInt(args.shift()) : null;
+  const days = parsePeriod(args[0], 7);
+  if (!days) {
+    return ctx.reply(
+      '*Usage:* `/uploaderstats [user_id] [period]`\n\nWithout a user, lists the uploaders with the most downloads.',
+      { parse_mode: 'Markdown' }
+    );
+  }
+  const since = lastDays(days)[0];
+
+  if (userId) {
+    const files = await db.files.count({ uploadedBy: userId, isActive: true });
+    const downloads = await db.files.sum('downloads', { uploadedBy: userId });
+    return ctx.reply(
+      `👤 *Uploader* \`${userId}\`\n\n` +
+      `📁 Active files: ${files}\n` +
+      `📥 All-time downloads: ${downloads}\n\n` +
+      `🔻 *Last ${days} days:*\n${await renderFunnel({ uploadedBy: userId, day: { $gte: since } })}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const top = await db.events.countBy('uploadedBy', { type: 'delivered', day: { $gte: since } }, { limit: 10 });
+  if (top.length === 0) {
+    return ctx.reply(`👤 No downloads in the last ${days} days.`);
+  }
+
+  const users = await db.users.find({ userId: { $in: top.map(({ value }) => value) } });
+  const list = top.map(({ value, count }, i) => {
+    const user = users.find(u => u.userId === value);
+    return `${i + 1}. \`${value}\`${user && user.firstName ? ` ${escapeMarkdown(user.firstName)}` : ''} (📥 ${count})`;
+  }).join('\n');
+  ctx.reply(`👤 *Top Uploaders, Last ${days} Days*\n\n${list}`, { parse_mode: 'Markdown' });
+});
+
+// ADMIN: Verification Funnel
+bot.command('funnel', requirePermission('settings'), async (ctx) => {
+  const days = parsePeriod(ctx.message.text.split(' ')[1], 7);
+  if (!days) {
+    return ctx.reply('*Usage:* `/funnel [period]`\n\nExample: `/funnel 30d`', { parse_mode: 'Markdown' });
+  }
+
+  const since = lastDays(days)[0];
+  const byProvider = async (type) => Object.fromEntries(
+    (await db.events.countBy('provider', { type, day: { $gte: since } })).map(({ value, count }) => [value, count])
+  );
+  const [prompts, clicks, verified] = await Promise.all([byProvider('prompt'), byProvider('click'), byProvider('verified')]);
+  const providers = Object.keys(prompts).filter(name => name !== 'null');
+
+  const breakdown = providers.length > 0
+    ? providers.map(name =>
+      `${inlineCode(name)}: ${prompts[name]} prompts` +
+      (config.publicUrl ? ` → ${clicks[name] || 0} clicks` : '') +
+      ` → ${verified[name] || 0} verified (${percent(verified[name] || 0, prompts[name])})`
+    ).join('\n')
+    : 'No verification prompts yet.';
+
+  ctx.reply(
+    `🔻 *Verification Funnel, Last ${days} Days*\n\n` +
+    `${await renderFunnel({ day: { $gte: since } })}\n\n` +
+    `🔗 *By shortener:*\n${breakdown}`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// ADMIN: Audit Log
+bot.command('audit', requirePermission('settings'), async (ctx) => {
+  const filter = {};
+  for (const arg of ctx.message.text.split(' ').slice(1).filter(Boolean)) {
+    const [name, ...rest] = arg.split(':');
+    const value = rest.join(':');
+    if (name === 'admin' && value.startsWith('@')) filter.actorName = value;
+    else if (name === 'admin' && parseInt(value)) filter.actorId = parseInt(value);
+    else if (name === 'action' && value) filter.action = value;
+    else if (name === 'target' && value) filter.target = value;
+    else {
+      return ctx.reply(
+        '🗂 *Audit Log*\n\n' +
+        '*Usage:* `/audit [admin:<id>] [action:<name>] [target:<value>]`\n\n' +
+        '*Examples:*\n`/audit admin:123456789`\n`/audit action:ban`\n`/audit target:protect_content`',
         { parse_mode: 'Markdown' }
       );
-    } catch (err) {
-      console.error('Log channel error:', err.message);
     }
+  }
+
+  const entries = await db.auditLogs.find(filter, { sort: { createdAt: -1 }, limit: AUDIT_PAGE_SIZE });
+  if (entries.length === 0) {
+    return ctx.reply('🗂 No audit entries found.');
+  }
+
+  const list = entries.map(entry =>
+    `${formatAuditEntry(entry)}\n🆔 \`${entry._id}\`` + (entry.revertedAt ? ' ↩️ reverted' : '')
+  ).join('\n\n');
+  ctx.reply(
+    `🗂 *Audit Log*\n\n${list}\n\nUndo a setting change with \`/revert <id>\`.`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// ADMIN: Revert Setting Change
+bot.command('revert', requirePermission('settings'), async (ctx) => {
+  const id = ctx.message.text.split(' ')[1];
+  if (!id || !db.isValidId(id)) {
+    return ctx.reply('*Usage:* `/revert <audit_id>`\n\nFind the id with /audit.', { parse_mode: 'Markdown' });
+  }
+
+  const entry = await db.auditLogs.findById(id);
+  if (!entry || entry.action !== 'setting') {
+    return ctx.reply('❌ Only setting changes can be reverted.');
+  }
+  if (entry.revertedAt) {
+    return ctx.reply('❌ This change was already reverted.');
+  }
+  const after = entry.after === undefined ? null : entry.after;
+  if (!isDeepStrictEqual(await getSetting(entry.target), after)) {
+    return ctx.reply('❌ This setting has changed since, revert the newer change first.');
+  }
+
+  const before = entry.before === undefined ? null : entry.before;
+  if (before === null) await db.settings.deleteOne({ key: entry.target });
+  else await setSetting(entry.target, before);
+  await db.auditLogs.updateOne({ _id: entry._id }, { revertedBy: ctx.from.id, revertedAt: new Date() });
+  await recordAudit(actorFrom(ctx), 'setting', entry.target, after, before);
+
+  ctx.reply(`↩️ ${inlineCode(entry.target)} restored to ${formatAuditValue(before)}.`, { parse_mode: 'Markdown' });
+});
+
+// HTTP Admin API
+// JSON endpoints authenticated with tokens from /apitoken. A token acts as
+// the staff member who created it, so each route needs the same permission
+// as the matching chat command.
+const API_MAX_BODY = 1024 * 1024;
+const API_MAX_LIMIT = 100;
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const apiError = (status, message) => Object.assign(new Error(message), { status });
+
+const serializeFile = (file) => ({
+  id: file._id,
+  shortCode: file.shortCode,
+  link: `https://t.me/${config.botUsername}?start=${file.shortCode}`,
+  fileType: file.fileType,
+  fileName: file.fileName,
+  fileSize: file.fileSize,
+  caption: file.caption,
+  uploadedBy: file.uploadedBy,
+  aliasOf: file.aliasOf || null,
+  views: file.views,
+  downloads: file.downloads,
+  duplicates: file.duplicates,
+  expiresAt: file.expiresAt || null,
+  maxDownloads: file.maxDownloads || null,
+  hasPassword: !!file.passwordHash,
+  isActive: file.isActive,
+  createdAt: file.createdAt
+});
+
+const serializeUser = (user) => ({
+  userId: user.userId,
+  firstName: user.firstName,
+  username: user.username,
+  isVerified: user.isVerified,
+  verifiedAt: user.verifiedAt || null,
+  isBanned: user.isBanned,
+  banReason: user.banReason || null,
+  bannedAt: user.bannedAt || null,
+  referredBy: user.referredBy || null,
+  filesShared: user.filesShared,
+  filesAccessed: user.filesAccessed,
+  lastActive: user.lastActive,
+  joinedAt: user.joinedAt
+});
+
+const serializeChannel = (ch) => ({
+  channelId: ch.channelId,
+  username: ch.username,
+  title: ch.title,
+  mode: ch.mode,
+  inviteLink: ch.inviteLink || null,
+  lostAccessAt: ch.lostAccessAt || null,
+  addedAt: ch.addedAt
+});
+
+const apiRoutes = [];
+const apiRoute = (method, path, permission, handler) => apiRoutes.push({
+  method,
+  pattern: new RegExp('^' + path.replace(/:(\w+)/g, '(?<$1>[^/]+)') + '$'),
+  permission,
+  handler
+});
+
+const findUserByParam = (param) => {
+  const id = parseInt(param);
+  return id ? db.users.findOne({ userId: id }) : db.users.findOne({ username: param.replace('@', '') });
+};
+
+// Files
+apiRoute('GET', '/api/files', 'delete', async ({ query }) => {
+  const filter = {};
+  if (query.get('q')) {
+    const regex = new RegExp(escapeRegex(query.get('q')), 'i');
+    filter.$or = [{ fileName: regex }, { caption: regex }];
+  }
+  if (query.get('uploadedBy')) filter.uploadedBy = parseInt(query.get('uploadedBy'));
+  if (query.get('active') !== 'all') filter.isActive = query.get('active') !== 'false';
+
+  const limit = Math.min(Math.max(parseInt(query.get('limit')) || 20, 1), API_MAX_LIMIT);
+  const page = Math.max(parseInt(query.get('page')) || 1, 1);
+  const [total, files] = await Promise.all([
+    db.files.count(filter),
+    db.files.find(filter, { sort: { createdAt: -1 }, skip: (page - 1) * limit, limit })
+  ]);
+  return { total, page, limit, files: files.map(serializeFile) };
+});
+
+apiRoute('GET', '/api/files/:code', 'delete', async ({ params }) => {
+  const file = await db.files.findOne({ shortCode: params.code });
+  if (!file) throw apiError(404, 'File not found');
+  return serializeFile(file);
+});
+
+apiRoute('POST', '/api/files/:code/deactivate', 'delete', async ({ params, actor }) => {
+  const file = await deactivateCode(actor, params.code);
+  if (!file) throw apiError(404, 'File not found');
+  return { shortCode: params.code, isActive: false };
+});
+
+// Users
+apiRoute('GET', '/api/users/:id', 'ban', async ({ params }) => {
+  const user = await findUserByParam(params.id);
+  if (!user) throw apiError(404, 'User not found');
+  return serializeUser(user);
+});
+
+apiRoute('POST', '/api/users/:id/ban', 'ban', async ({ params, body, actor }) => {
+  const userId = parseInt(params.id);
+  if (!userId) throw apiError(400, 'Invalid user id');
+  return serializeUser(await setUserBan(actor, userId, true, typeof body.reason === 'string' ? body.reason : undefined));
+});
+
+apiRoute('POST', '/api/users/:id/unban', 'ban', async ({ params, actor }) => {
+  const userId = parseInt(params.id);
+  if (!userId) throw apiError(400, 'Invalid user id');
+  const user = await setUserBan(actor, userId, false);
+  if (!user) throw apiError(404, 'User not found');
+  return serializeUser(user);
+});
+
+// Settings
+apiRoute('GET', '/api/settings', 'settings', async () => {
+  const settings = await db.settings.find({}, { sort: { key: 1 } });
+  return Object.fromEntries(settings.map(setting => [setting.key, setting.value]));
+});
 
-    // Send response to user
-    const shareLink = `https://t.me/${config.botUsername}?start=${shortCode}`;
-    const keyboard = {
-      inline_keyboard: [
-        [{ text: '🔗 Share Link', url: `https://t.me/share/url?url=${encodeURIComponent(shareLink)}` }]
-      ]
-    };
-    
-    await ctx.reply(
-      `✅ *File Uploaded Successfully!*\n\n` +
-      `📄 *File:* ${fileName}\n` +
-      `📦 *Size:* ${formatFileSize(fileSize)}\n\n` +
-      `📎 *Share Link:*\n\`${shareLink}\`\n\n` +
-      `🔑 *Code:* \`${shortCode}\`\n\n` +
-      `💡 Share this link to let others access your file.`,
-      { 
-        parse_mode: 'Markdown',
-        reply_markup: keyboard
-      }
-    );
+apiRoute('GET', '/api/settings/:key', 'settings', async ({ params }) => {
+  const setting = await db.settings.findOne({ key: params.key });
+  if (!setting) throw apiError(404, 'Setting not found');
+  return { key: setting.key, value: setting.value, updatedAt: setting.updatedAt };
+});
+
+apiRoute('PUT', '/api/settings/:key', 'settings', async ({ params, body, actor }) => {
+  if (!/^\w+$/.test(params.key)) throw apiError(400, 'Invalid setting key');
+  if (!('value' in body)) throw apiError(400, 'Body must contain "value"');
+  await changeSetting(actor, params.key, body.value);
+  return { key: params.key, value: body.value };
+});
+
+// Channels
+apiRoute('GET', '/api/channels', 'settings', async () => {
+  const channels = await db.channels.find();
+  return channels.map(serializeChannel);
+});
+
+apiRoute('POST', '/api/channels', 'settings', async ({ body, actor }) => {
+  const ref = body.channel || body.username;
+  const mode = body.mode || 'required';
+  if (!ref || !CHANNEL_REF.test(ref)) throw apiError(400, 'Body must contain "channel" like @channel or -100123');
+  if (!CHANNEL_MODES[mode]) throw apiError(400, 'Mode must be required, request or optional');
+  try {
+    const { channel, added } = await addChannel(actor, bot.telegram, ref, mode);
+    return { ...serializeChannel(channel), added };
   } catch (err) {
-    console.error('File handler error:', err);
-    ctx.reply('❌ Error uploading file. Please try again.');
+    throw apiError(400, 'Channel not found, make sure the bot is admin in it');
   }
 });
 
-// ADMIN: Set AdLinkFly
-bot.command('setadlink', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const args = ctx.message.text.split(' ').slice(1);
-  if (args.length < 2) {
-    return ctx.reply(
-      '📝 *Set AdLinkFly*\n\n' +
-      '*Usage:* `/setadlink <domain> <api>`\n\n' +
-      '*Example:*\n`/setadlink https://upload.mycodingtools.in 150873c1be29...`',
-      { parse_mode: 'Markdown' }
-    );
+apiRoute('PUT', '/api/channels/:channel', 'settings', async ({ params, body, actor }) => {
+  if (!CHANNEL_MODES[body.mode]) throw apiError(400, 'Body must contain "mode": required, request or optional');
+  let channel;
+  try {
+    channel = await setChannelMode(actor, bot.telegram, channelFilter(params.channel), body.mode);
+  } catch (err) {
+    throw apiError(400, 'Could not create an invite link, make sure the bot is admin in the channel');
   }
+  if (!channel) throw apiError(404, 'Channel not found');
+  return serializeChannel(channel);
+});
 
-  await setSetting('adlink_domain', args[0]);
-  await setSetting('adlink_api', args[1]);
-  
-  ctx.reply(
-    '✅ *AdLinkFly Updated!*\n\n' +
-    `🔗 Domain: \`${args[0]}\`\n` +
-    `🔑 API: \`${args[1].substr(0, 10)}...\``,
-    { parse_mode: 'Markdown' }
-  );
+apiRoute('DELETE', '/api/channels/:channel', 'settings', async ({ params, actor }) => {
+  const channel = await removeChannel(actor, channelFilter(params.channel));
+  if (!channel) throw apiError(404, 'Channel not found');
+  return { removed: params.channel };
 });
 
-// ADMIN: Broadcast
-bot.command('broadcast', async (ctx) => {
-  if (!isOwner(ctx.from.id)) return ctx.reply('❌ Owner only command.');
-  
-  const msg = ctx.message.text.replace('/broadcast ', '').trim();
-  if (msg === '/broadcast') {
-    return ctx.reply(
-      '📢 *Broadcast Message*\n\n' +
-      '*Usage:* `/broadcast <message>`\n\n' +
-      'This will send the message to all users.',
-      { parse_mode: 'Markdown' }
-    );
-  }
+// Stats
+apiRoute('GET', '/api/stats', 'settings', () => getStats());
 
-  const users = await User.find({ isBanned: false });
-  let success = 0, failed = 0;
-  
-  const statusMsg = await ctx.reply(`📤 Broadcasting to ${users.length} users...`);
-  
-  for (const user of users) {
+// Resolve the bearer token to an admin's user id
+const authenticateApi = async (req) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+  if (!token) throw apiError(401, 'Missing API token');
+
+  const apiToken = await db.apiTokens.findOneAndUpdate(
+    { tokenHash: hashApiToken(token) },
+    { lastUsedAt: new Date() }
+  );
+  if (!apiToken) throw apiError(401, 'Invalid API token');
+  return apiToken.userId;
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => {
+    data += chunk;
+    if (data.length > API_MAX_BODY) {
+      reject(apiError(413, 'Request body too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => {
     try {
-      await ctx.telegram.sendMessage(user.userId, msg, { parse_mode: 'Markdown' });
-      success++;
-      
-      if (success % 10 === 0) {
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          `📤 Broadcasting...\n✅ Sent: ${success}\n❌ Failed: ${failed}`
-        ).catch(() => {});
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 50));
+      resolve(data ? JSON.parse(data) : {});
     } catch (err) {
-      failed++;
+      reject(apiError(400, 'Invalid JSON body'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const handleApiRequest = async (req, res) => {
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  try {
+    const url = new URL(req.url, 'http://localhost');
+    const candidates = apiRoutes.filter(route => route.pattern.test(url.pathname));
+    if (candidates.length === 0) throw apiError(404, 'Not found');
+    const route = candidates.find(route => route.method === req.method);
+    if (!route) throw apiError(405, 'Method not allowed');
+
+    const userId = await authenticateApi(req);
+    if (!(await hasPermission(userId, route.permission))) {
+      throw apiError(403, `Token owner lacks the "${route.permission}" permission`);
     }
+    const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJsonBody(req) : {};
+    const params = url.pathname.match(route.pattern).groups || {};
+    for (const key of Object.keys(params)) params[key] = decodeURIComponent(params[key]);
+
+    const actor = { id: userId, source: 'api' };
+    send(200, await route.handler({ params, query: url.searchParams, body, userId, actor }));
+  } catch (err) {
+    if (!err.status) console.error('API error:', err);
+    send(err.status || 500, { error: err.status ? err.message : 'Internal server error' });
+  }
+};
+
+// Health and Prometheus metrics
+const handleHealth = (req, res) => {
+  const mongo = db.state();
+  const healthy = mongo === 'connected';
+  res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    status: healthy ? 'ok' : 'degraded',
+    mongo,
+    mode: config.webhookUrl ? 'webhook' : 'polling',
+    lastUpdateAt: metrics.lastUpdateAt ? new Date(metrics.lastUpdateAt).toISOString() : null,
+    uptime: Math.floor((Date.now() - metrics.startedAt) / 1000)
+  }));
+};
+
+const handleMetrics = (req, res) => {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP filestore_${name} ${help}`, `# TYPE filestore_${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`filestore_${name}${labels} ${value}`);
+  };
+
+  metric('updates_total', 'counter', 'Telegram updates received', [['', metrics.updates]]);
+  metric('uploads_total', 'counter', 'New files stored', [['', metrics.uploads]]);
+  metric('deliveries_total', 'counter', 'Files delivered to users', [['', metrics.deliveries]]);
+  metric('verifications_total', 'counter', 'Users verified through the shortener', [['', metrics.verifications]]);
+  metric('shortener_failures_total', 'counter', 'Failed shortener calls by provider',
+    Object.entries(metrics.shortenerFailures).map(([name, count]) => [`{provider="${name}"}`, count]));
+  metric('handler_errors_total', 'counter', 'Errors raised while handling updates', [['', metrics.handlerErrors]]);
+  metric('mongo_connected', 'gauge', 'Whether MongoDB is connected', [['', db.state() === 'connected' ? 1 : 0]]);
+  metric('last_update_timestamp_seconds', 'gauge', 'When the last Telegram update arrived',
+    [['', metrics.lastUpdateAt ? Math.floor(metrics.lastUpdateAt / 1000) : 0]]);
+  metric('uptime_seconds', 'gauge', 'Seconds since the process started',
+    [['', Math.floor((Date.now() - metrics.startedAt) / 1000)]]);
+
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+  res.end(lines.join('\n') + '\n');
+};
+
+// Webhook mode: Telegram posts updates here with the secret token header
+const WEBHOOK_PATH = '/telegram/webhook';
+const webhookSecret = config.webhookSecret ||
+  crypto.createHash('sha256').update(String(config.token)).digest('hex').substr(0, 32);
+const handleWebhook = bot.webhookCallback(WEBHOOK_PATH, { secretToken: webhookSecret });
+
+// Verification button clicks: counted once per prompt, then on to the shortener
+const handleVerifyRedirect = async (req, res) => {
+  const id = req.url.split('?')[0].slice('/go/'.length);
+  const prompt = db.isValidId(id) && await db.events.findOne({ _id: id, type: 'prompt' });
+  if (!prompt) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('Link not found');
+  }
+
+  const { modifiedCount } = await db.events.updateOne({ _id: prompt._id, clickedAt: null }, { clickedAt: new Date() });
+  if (modifiedCount) {
+    await trackEvent('click', prompt.userId, { code: prompt.code, uploadedBy: prompt.uploadedBy, provider: prompt.provider });
   }
+  res.writeHead(302, { Location: prompt.url });
+  res.end();
+};
+
+const handleHttpRequest = (req, res) => {
+  const path = req.url.split('?')[0];
+  if (path === '/healthz') return handleHealth(req, res);
+  if (path.startsWith('/go/')) {
+    return handleVerifyRedirect(req, res).catch(err => {
+      console.error('Redirect error:', err);
+      res.writeHead(500);
+      res.end();
+    });
+  }
+  if (path === '/metrics') return handleMetrics(req, res);
+  if (path === WEBHOOK_PATH && config.webhookUrl) return handleWebhook(req, res);
+  if (path.startsWith(`${WEBHOOK_PATH}/`) && config.webhookUrl) {
+    const clone = clones.get(Number(path.slice(WEBHOOK_PATH.length + 1)));
+    if (clone && clone.handleWebhook) return clone.handleWebhook(req, res);
+  }
+  return handleApiRequest(req, res);
+};
+
+// Serves the admin API, health and metrics, webhook updates and click
+// tracking. Webhook mode and PUBLIC_URL need it, so it falls back to port
+// 3000 there.
+const startHttpServer = () => {
+  const port = config.httpPort || (config.webhookUrl || config.publicUrl ? 3000 : null);
+  if (!port) return null;
+  const server = http.createServer(handleHttpRequest);
+  server.listen(port, () => console.log(`🌐 HTTP server listening on port ${port}`));
+  return server;
+};
+
+// ADMIN: Create API Token
+bot.command('apitoken', requirePermission('settings'), async (ctx) => {
+  if (ctx.chat.type !== 'private') return ctx.reply('❌ Use this command in private chat.');
   
-  ctx.telegram.editMessageText(
-    ctx.chat.id,
-    statusMsg.message_id,
-    null,
-    `✅ *Broadcast Complete!*\n\n📊 Sent: ${success}\n❌ Failed: ${failed}`,
+  const label = ctx.message.text.split(' ').slice(1).join(' ').trim() || null;
+  const token = `fs_${crypto.randomBytes(24).toString('hex')}`;
+  await db.apiTokens.create({ tokenHash: hashApiToken(token), userId: ctx.from.id, label });
+  await recordAudit(actorFrom(ctx), 'apitoken', label || undefined);
+
+  ctx.reply(
+    '🔑 *API Token Created*\n\n' +
+    `\`${token}\`\n\n` +
+    '⚠️ This token is shown only once and has your admin rights. ' +
+    'Send it as `Authorization: Bearer <token>`.\n\n' +
+    'Use /revoketokens to revoke all your tokens.',
     { parse_mode: 'Markdown' }
   );
 });
 
-// ADMIN: Ban User
-bot.command('ban', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const userId = parseInt(ctx.message.text.split(' ')[1]);
-  if (!userId) {
-    return ctx.reply('*Usage:* `/ban <user_id>`', { parse_mode: 'Markdown' });
-  }
-
-  await User.findOneAndUpdate(
-    { userId },
-    { isBanned: true },
-    { upsert: true }
-  );
-  
-  ctx.reply(`✅ User \`${userId}\` has been banned.`, { parse_mode: 'Markdown' });
+// ADMIN: Revoke API Tokens
+bot.command('revoketokens', requirePermission('settings'), async (ctx) => {
+  const { deletedCount } = await db.apiTokens.deleteMany({ userId: ctx.from.id });
+  if (deletedCount > 0) await recordAudit(actorFrom(ctx), 'revoketokens', undefined, undefined, { revoked: deletedCount });
+  ctx.reply(`✅ Revoked ${deletedCount} API token(s).`);
 });
 
-// ADMIN: Unban User
-bot.command('unban', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const userId = parseInt(ctx.message.text.split(' ')[1]);
-  if (!userId) {
-    return ctx.reply('*Usage:* `/unban <user_id>`', { parse_mode: 'Markdown' });
-  }
+// Clones
+// `/clone <token>` runs another bot in this process with the same handlers.
+// Its settings, users, channels, shortener providers and staff are kept in a
+// namespace of its own, the user who added it is its owner and it has no
+// ADMIN_IDS or log channel. `shared` clones use the main library for files
+// and batches, delivered through the storage channel.
+const CLONE_ACCESS = {
+  everyone: 'Everyone',
+  premium: 'Premium users and staff',
+  staff: 'Staff only'
+};
+const CLONE_MAX_PER_USER = 3;
+const BOT_TOKEN_PATTERN = /^\d+:[\w-]{30,}$/;
 
-  await User.findOneAndUpdate(
-    { userId },
-    { isBanned: false }
-  );
-  
-  ctx.reply(`✅ User \`${userId}\` has been unbanned.`, { parse_mode: 'Markdown' });
+// botId -> running clone { botId, record, bot, db, config }
+const clones = new Map();
+
+// Clones get updates once the main bot does, tests drive them directly
+let clonesReceiveUpdates = false;
+
+const cloneStorage = (record) => {
+  const storage = rootDb.namespace(`clone_${record.botId}`);
+  return record.shareFiles ? { ...storage, files: rootDb.files, batches: rootDb.batches } : storage;
+};
+
+const cloneConfig = (record) => ({
+  token: record.token,
+  botUsername: record.username,
+  ownerId: record.ownerId,
+  admins: [],
+  logChannel: undefined,
+  dbChannel: record.shareFiles ? baseConfig.dbChannel : undefined,
+  // Click tracking redirects are looked up in the main bot's events
+  publicUrl: undefined
 });
 
-// ADMIN: Delete File
-bot.command('deletefile', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const code = ctx.message.text.split(' ')[1];
-  if (!code) {
-    return ctx.reply('*Usage:* `/deletefile <code>`', { parse_mode: 'Markdown' });
-  }
+const cloneFailed = async (record, err) => {
+  console.error(`Clone @${record.username} failed:`, err.message);
+  clones.delete(record.botId);
+  await rootDb.clones.updateOne({ botId: record.botId }, { lastError: err.description || err.message }).catch(() => {});
+};
 
-  const file = await File.findOneAndUpdate(
-    { shortCode: code },
-    { isActive: false }
-  );
-  
-  if (file) {
-    ctx.reply(`✅ File \`${code}\` has been deleted.`, { parse_mode: 'Markdown' });
-  } else {
-    ctx.reply(`❌ File \`${code}\` not found.`, { parse_mode: 'Markdown' });
+const receiveCloneUpdates = (instance) => {
+  const { bot: clone, record } = instance;
+  if (baseConfig.webhookUrl) {
+    const path = `${WEBHOOK_PATH}/${record.botId}`;
+    const secretToken = crypto.createHash('sha256').update(record.token).digest('hex').substr(0, 32);
+    instance.handleWebhook = clone.webhookCallback(path, { secretToken });
+    clone.telegram.setWebhook(`${baseConfig.webhookUrl.replace(/\/+$/, '')}${path}`, { secret_token: secretToken })
+      .catch(err => cloneFailed(record, err));
+    return;
   }
-});
+  clone.launch().catch(err => cloneFailed(record, err));
+};
 
-// ADMIN: Set Start Message
-bot.command('setstart', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const msg = ctx.message.text.replace('/setstart ', '').trim();
-  if (msg === '/setstart') {
-    return ctx.reply('*Usage:* `/setstart <message>`', { parse_mode: 'Markdown' });
+const startClone = async (record) => {
+  const instance = {
+    botId: record.botId,
+    record,
+    bot: new Telegraf(record.token),
+    db: cloneStorage(record),
+    config: cloneConfig(record)
+  };
+  instance.bot.use((ctx, next) => botContext.run(instance, () => bot.middleware()(ctx, next)));
+  instance.bot.catch(handleBotError);
+  instance.bot.botInfo = await instance.bot.telegram.getMe();
+
+  clones.set(record.botId, instance);
+  if (clonesReceiveUpdates) receiveCloneUpdates(instance);
+  return instance;
+};
+
+const stopClone = (instance, reason) => {
+  clones.delete(instance.botId);
+  if (instance.bot.polling) instance.bot.stop(reason);
+  if (instance.handleWebhook) instance.bot.telegram.deleteWebhook().catch(() => {});
+};
+
+// Starts every active clone, and their interrupted broadcasts, at boot
+const startClones = async () => {
+  clonesReceiveUpdates = true;
+  for (const record of await rootDb.clones.find({ status: 'active' })) {
+    try {
+      const instance = await startClone(record);
+      botContext.run(instance, runBroadcastWorker);
+    } catch (err) {
+      await cloneFailed(record, err);
+    }
   }
+  return clones.size;
+};
 
-  await setSetting('start_msg', msg);
-  ctx.reply('✅ Start message updated!');
-});
+// Workers do a pass for the main bot and one for every running clone
+const forAllBots = (worker) => () => Promise.all([
+  worker(),
+  ...[...clones.values()].map(instance => botContext.run(instance, worker))
+]);
 
-// ADMIN: Set Help Message
-bot.command('sethelp', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const msg = ctx.message.text.replace('/sethelp ', '').trim();
-  if (msg === '/sethelp') {
-    return ctx.reply('*Usage:* `/sethelp <message>`', { parse_mode: 'Markdown' });
+const canClone = async (userId) => {
+  const access = await getSetting('clone_access', 'staff');
+  if (access === 'everyone' || isOwner(userId)) return true;
+  if ((await getRole(userId)) !== 'user') return true;
+  return access === 'premium' && isPremium(await db.users.findOne({ userId }));
+};
+
+const cloneStatus = (record) => {
+  if (record.status === 'paused') return '⏸ Paused';
+  if (clones.has(record.botId)) return '🟢 Running';
+  return `🔴 Stopped${record.lastError ? `: ${escapeMarkdown(record.lastError)}` : ''}`;
+};
+
+// Clones are managed from the main bot only
+const mainBotOnly = (ctx, next) => {
+  if (currentClone()) return ctx.reply(`🤖 Clones are managed from @${baseConfig.botUsername}.`);
+  return next();
+};
+
+// `/cmd <@username|bot_id>` for the main owner or the clone's owner
+const findManagedClone = async (ctx, usage) => {
+  const ref = (ctx.message.text.split(' ')[1] || '').replace(/^@/, '');
+  if (!ref) {
+    await ctx.reply(`*Usage:* \`${usage}\``, { parse_mode: 'Markdown' });
+    return null;
+  }
+  const record = await db.clones.findOne(/^\d+$/.test(ref) ? { botId: parseInt(ref) } : { username: ref });
+  if (!record || (!isOwner(ctx.from.id) && record.ownerId !== ctx.from.id)) {
+    await ctx.reply('❌ Clone not found. See /clones for yours.');
+    return null;
   }
+  return record;
+};
 
-  await setSetting('help_msg', msg);
-  ctx.reply('✅ Help message updated!');
-});
+// Clone
+bot.command('clone', mainBotOnly, async (ctx) => {
+  if (ctx.chat.type !== 'private') return ctx.reply('🔒 Bot tokens are secret, use this in private chat.');
+  if (!(await canClone(ctx.from.id))) return ctx.reply('❌ You can\'t create clones of this bot.');
 
-// ADMIN: Auto Delete
-bot.command('autodelete', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const seconds = parseInt(ctx.message.text.split(' ')[1]);
-  if (isNaN(seconds)) {
+  const [token, option] = ctx.message.text.split(' ').slice(1);
+  if (!token || (option && option !== 'shared')) {
     return ctx.reply(
-      '⏱ *Auto-Delete*\n\n*Usage:* `/autodelete <seconds>`\n\nExample: `/autodelete 300` (5 min)',
+      '🤖 *Clone This Bot*\n\n' +
+      '*Usage:* `/clone <bot_token> [shared]`\n\n' +
+      'Create a bot with @BotFather and send its token. The clone gets its own users, settings, ' +
+      'channels and shortener, with you as its owner. `shared` (admins only) lets it serve the files of this bot.',
       { parse_mode: 'Markdown' }
     );
   }
 
-  await setSetting('auto_delete', seconds);
-  ctx.reply(`✅ Auto-delete set to ${seconds}s!`);
-});
+  // The token shouldn't stay in the chat history
+  ctx.deleteMessage().catch(() => {});
+  if (!BOT_TOKEN_PATTERN.test(token)) return ctx.reply('❌ That doesn\'t look like a bot token. Copy it from @BotFather.');
 
-// ADMIN: Add Channel
-bot.command('addchannel', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const username = ctx.message.text.split(' ')[1];
-  if (!username || !username.startsWith('@')) {
-    return ctx.reply('*Usage:* `/addchannel @channelname`', { parse_mode: 'Markdown' });
+  const shareFiles = option === 'shared';
+  if (shareFiles && !(await hasPermission(ctx.from.id, 'settings'))) {
+    return ctx.reply('❌ Only admins can create clones that share the file library.');
+  }
+  if (!isOwner(ctx.from.id) && await db.clones.count({ ownerId: ctx.from.id }) >= CLONE_MAX_PER_USER) {
+    return ctx.reply(`❌ You can have at most ${CLONE_MAX_PER_USER} clones. Remove one with /removeclone first.`);
   }
 
+  let me;
   try {
-    const chat = await ctx.telegram.getChat(username);
-    const exists = await Channel.findOne({ channelId: chat.id.toString() });
-    
-    if (exists) {
-      return ctx.reply('❌ Channel already added!');
-    }
-
-    await new Channel({
-      channelId: chat.id.toString(),
-      username,
-      title: chat.title
-    }).save();
-    
-    ctx.reply(`✅ Channel ${username} added!`, { parse_mode: 'Markdown' });
+    me = await new Telegram(token).getMe();
   } catch (err) {
-    ctx.reply('❌ Error! Make sure bot is admin in the channel.');
+    return ctx.reply(`❌ Telegram rejected this token: ${err.description || err.message}`);
+  }
+  if (me.id === ctx.botInfo.id) return ctx.reply('❌ That is this bot\'s own token.');
+  if (await db.clones.exists({ botId: me.id })) {
+    return ctx.reply(`❌ @${escapeMarkdown(me.username)} is already a clone.`, { parse_mode: 'Markdown' });
   }
-});
 
-// ADMIN: Remove Channel
-bot.command('removechannel', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const username = ctx.message.text.split(' ')[1];
-  if (!username) {
-    return ctx.reply('*Usage:* `/removechannel @channelname`', { parse_mode: 'Markdown' });
+  const record = await db.clones.create({ botId: me.id, username: me.username, token, ownerId: ctx.from.id, shareFiles });
+  await recordAudit(actorFrom(ctx), 'clone', `@${me.username}`, undefined, { botId: me.id, shareFiles });
+  try {
+    await startClone(record);
+  } catch (err) {
+    await cloneFailed(record, err);
+    return ctx.reply(`⚠️ @${escapeMarkdown(me.username)} was added but couldn't start: ${escapeMarkdown(err.message)}`, { parse_mode: 'Markdown' });
   }
 
-  await Channel.deleteOne({ username });
-  ctx.reply(`✅ Channel ${username} removed!`);
+  ctx.reply(
+    '✅ *Clone Started*\n\n' +
+    `🤖 @${escapeMarkdown(me.username)} is running and you are its owner.\n` +
+    `📁 Files: ${shareFiles ? 'shared with this bot (make it an admin of the storage channel)' : 'its own library'}\n\n` +
+    'Open it and use /settings to set it up. /clones lists your clones.',
+    { parse_mode: 'Markdown' }
+  );
 });
 
-// ADMIN: List Channels
-bot.command('listchannels', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const channels = await Channel.find();
-  if (channels.length === 0) {
-    return ctx.reply('📺 No channels added yet.');
+// Clones: List
+bot.command('clones', mainBotOnly, async (ctx) => {
+  const filter = isOwner(ctx.from.id) ? {} : { ownerId: ctx.from.id };
+  const records = await db.clones.find(filter, { sort: { createdAt: 1 } });
+  if (records.length === 0) {
+    return ctx.reply('🤖 No clones yet. Add one with `/clone <bot_token>`.', { parse_mode: 'Markdown' });
   }
 
-  const list = channels.map((ch, i) => 
-    `${i + 1}. ${ch.username} - ${ch.title}`
+  const list = records.map((record, i) =>
+    `${i + 1}. @${escapeMarkdown(record.username)} (\`${record.botId}\`)${record.shareFiles ? ' 📁 shared' : ''}\n` +
+    `   ${cloneStatus(record)}` + (isOwner(ctx.from.id) ? ` | 👤 \`${record.ownerId}\`` : '')
   ).join('\n');
-  
-  ctx.reply(`📺 *Force Subscription Channels:*\n\n${list}`, { parse_mode: 'Markdown' });
+  ctx.reply(
+    `🤖 *Clones (${records.length})*\n\n${list}\n\n` +
+    '`/pauseclone`, `/resumeclone` or `/removeclone` with a @username or id.',
+    { parse_mode: 'Markdown' }
+  );
 });
 
-// ADMIN: Content Protection
-bot.command('protect', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const arg = ctx.message.text.split(' ')[1];
-  if (arg === 'on') {
-    await setSetting('protect_content', true);
-    ctx.reply('🛡 Content protection enabled!');
-  } else if (arg === 'off') {
-    await setSetting('protect_content', false);
-    ctx.reply('🛡 Content protection disabled!');
-  } else {
-    ctx.reply('*Usage:* `/protect <on/off>`', { parse_mode: 'Markdown' });
+// Clones: Pause
+bot.command('pauseclone', mainBotOnly, async (ctx) => {
+  const record = await findManagedClone(ctx, '/pauseclone <@username|bot_id>');
+  if (!record) return;
+  if (record.status === 'paused') return ctx.reply('⏸ That clone is already paused.');
+
+  if (clones.has(record.botId)) stopClone(clones.get(record.botId), 'paused');
+  await db.clones.updateOne({ botId: record.botId }, { status: 'paused' });
+  await recordAudit(actorFrom(ctx), 'pauseclone', `@${record.username}`, 'active', 'paused');
+  ctx.reply(`⏸ @${escapeMarkdown(record.username)} is paused. /resumeclone starts it again.`, { parse_mode: 'Markdown' });
+});
+
+// Clones: Resume
+bot.command('resumeclone', mainBotOnly, async (ctx) => {
+  const record = await findManagedClone(ctx, '/resumeclone <@username|bot_id>');
+  if (!record) return;
+  if (clones.has(record.botId)) return ctx.reply('🟢 That clone is already running.');
+
+  const updated = await db.clones.findOneAndUpdate(
+    { botId: record.botId },
+    { status: 'active', $unset: { lastError: 1 } }
+  );
+  await recordAudit(actorFrom(ctx), 'resumeclone', `@${record.username}`, record.status, 'active');
+  try {
+    await startClone(updated);
+  } catch (err) {
+    await cloneFailed(updated, err);
+    return ctx.reply(`❌ @${escapeMarkdown(record.username)} couldn't start: ${escapeMarkdown(err.description || err.message)}`, { parse_mode: 'Markdown' });
   }
+  ctx.reply(`🟢 @${escapeMarkdown(record.username)} is running again.`, { parse_mode: 'Markdown' });
 });
 
-// ADMIN: Settings
-bot.command('settings', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const domain = await getSetting('adlink_domain', 'Not set');
-  const api = await getSetting('adlink_api', 'Not set');
-  const autoDelete = await getSetting('auto_delete', 0);
-  const protect = await getSetting('protect_content', false);
-  const channels = await Channel.countDocuments();
-  
-  const settings = 
-    `⚙️ *Bot Settings*\n\n` +
-    `🔗 AdLinkFly Domain: ${domain}\n` +
-    `🔑 API: ${api !== 'Not set' ? api.substr(0, 15) + '...' : 'Not set'}\n` +
-    `⏱ Auto-Delete: ${autoDelete}s\n` +
-    `🛡 Protection: ${protect ? 'ON' : 'OFF'}\n` +
-    `📺 Channels: ${channels}`;
-  
-  ctx.reply(settings, { parse_mode: 'Markdown' });
+// Clones: Remove
+bot.command('removeclone', mainBotOnly, async (ctx) => {
+  const record = await findManagedClone(ctx, '/removeclone <@username|bot_id>');
+  if (!record) return;
+
+  if (clones.has(record.botId)) stopClone(clones.get(record.botId), 'removed');
+  await db.clones.deleteOne({ botId: record.botId });
+  await recordAudit(actorFrom(ctx), 'removeclone', `@${record.username}`, { ownerId: record.ownerId, shareFiles: record.shareFiles });
+  ctx.reply(
+    `🗑 @${escapeMarkdown(record.username)} was removed.\n\n` +
+    'Its users and settings are kept, cloning the same bot again brings them back.',
+    { parse_mode: 'Markdown' }
+  );
 });
 
-// ADMIN: Statistics
-bot.command('stats', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Admin only command.');
-  
-  const totalUsers = await User.countDocuments();
-  const verifiedUsers = await User.countDocuments({ isVerified: true });
-  const bannedUsers = await User.countDocuments({ isBanned: true });
-  const totalFiles = await File.countDocuments({ isActive: true });
-  const totalDownloads = await File.aggregate([
-    { $group: { _id: null, total: { $sum: '$downloads' } } }
-  ]);
-  
-  const stats = 
-    `📊 *Bot Statistics*\n\n` +
-    `👥 *Users:*\n` +
-    `   Total: ${totalUsers}\n` +
-    `   Verified: ${verifiedUsers}\n` +
-    `   Banned: ${bannedUsers}\n\n` +
-    `📁 *Files:*\n` +
-    `   Total: ${totalFiles}\n` +
-    `   Downloads: ${totalDownloads[0]?.total || 0}\n\n` +
-    `📺 *Channels:* ${await Channel.countDocuments()}`;
-  
-  ctx.reply(stats, { parse_mode: 'Markdown' });
+// OWNER: Clone Access
+bot.command('cloneaccess', mainBotOnly, async (ctx) => {
+  if (!isOwner(ctx.from.id)) return ctx.reply('❌ Owner only command.');
+
+  const access = ctx.message.text.split(' ')[1];
+  if (!CLONE_ACCESS[access]) {
+    const current = await getSetting('clone_access', 'staff');
+    return ctx.reply(
+      '🤖 *Who Can Clone*\n\n' +
+      `Current: ${CLONE_ACCESS[current]}\n\n` +
+      '*Usage:* `/cloneaccess <everyone|premium|staff>`',
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  await changeSetting(actorFrom(ctx), 'clone_access', access);
+  ctx.reply(`✅ Clones can now be created by: ${CLONE_ACCESS[access]}.`);
 });
 
 // Error Handler
-bot.catch((err, ctx) => {
+const handleBotError = (err, ctx) => {
+  metrics.handlerErrors++;
   console.error('Bot error:', err);
-});
+};
+bot.catch(handleBotError);
 
-// Connect to MongoDB and Start Bot
-mongoose.connect(config.mongodb)
-  .then(() => {
-    console.log('✅ MongoDB Connected');
+// Connect to MongoDB and Start Bot. Tests require this file and drive the
+// bot themselves with the in-memory storage.
+if (require.main === module) {
+  db.connect(config.mongodb)
+    .then(() => {
+      console.log('✅ MongoDB Connected');
+    
+      const server = startHttpServer();
+      if (config.webhookUrl) {
+        bot.telegram.setWebhook(`${config.webhookUrl.replace(/\/+$/, '')}${WEBHOOK_PATH}`, {
+          secret_token: webhookSecret
+        })
+          .then(() => console.log('✅ Webhook set'))
+          .catch(err => console.error('❌ Webhook setup failed:', err.message));
+      } else {
+        bot.launch();
+      }
+      console.log(`✅ Bot Started Successfully! (${config.webhookUrl ? 'webhook' : 'polling'})`);
+      console.log(`📱 Bot: @${config.botUsername}`);
     
-    // Initialize default settings
-    (async () => {
-      await setSetting('start_msg', await getSetting('start_msg', 
-        '👋 *Welcome to File Store Bot!*\n\n' +
-        '📤 Send me any file and I\'ll give you a shareable link.\n\n' +
-        '💡 Share links with others to distribute your files easily!'
-      ));
-      
-      await setSetting('help_msg', await getSetting('help_msg',
-        '📚 *Help Menu*\n\n' +
-        '1️⃣ Send file to bot\n' +
-        '2️⃣ Get shareable link\n' +
-        '3️⃣ Share with others\n' +
-        '4️⃣ First-time users verify\n' +
-        '5️⃣ Direct access after'
-      ));
-    })();
+      // Clones added with /clone
+      startClones()
+        .then(count => count && console.log(`🤖 ${count} clone(s) started`))
+        .catch(err => console.error('❌ Starting clones failed:', err));
+
+      // Process deletions scheduled before a restart, then keep polling
+      runDeleteWorker();
+      setInterval(forAllBots(runDeleteWorker), DELETE_POLL_INTERVAL);
     
-    bot.launch();
-    console.log('✅ Bot Started Successfully!');
-    console.log(`📱 Bot: @${config.botUsername}`);
+      // Resume broadcasts interrupted by a restart
+      runBroadcastWorker();
+
+      // Premium reminders and expiry notices
+      runPremiumWorker();
+      setInterval(forAllBots(runPremiumWorker), PREMIUM_POLL_INTERVAL);
+
+      // Scheduled backups, if the owner turned them on
+      runBackupWorker();
+      setInterval(forAllBots(runBackupWorker), BACKUP_POLL_INTERVAL);
+
+      // Channel posts that came due while the bot was down, then every minute
+      runPostWorker();
+      setInterval(forAllBots(runPostWorker), POST_POLL_INTERVAL);
     
-    // Graceful shutdown
-    process.once('SIGINT', () => bot.stop('SIGINT'));
-    process.once('SIGTERM', () => bot.stop('SIGTERM'));
-  })
-  .catch(err => {
-    console.error('❌ MongoDB Connection Failed:', err);
-    process.exit(1);
-  });
+      // Graceful shutdown
+      const shutdown = (signal) => {
+        if (server) server.close();
+        if (!config.webhookUrl) bot.stop(signal);
+        for (const instance of clones.values()) {
+          if (instance.bot.polling) instance.bot.stop(signal);
+        }
+      };
+      process.once('SIGINT', () => shutdown('SIGINT'));
+      process.once('SIGTERM', () => shutdown('SIGTERM'));
+    })
+    .catch(err => {
+      console.error('❌ MongoDB Connection Failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { bot, useStorage, clones };
@@ -0,0 +1,112 @@
+const zlib = require('zlib');
+const { collections } = require('./models');
+
+// Backups are gzipped NDJSON: a header line, then one line per document as
+// { collection, doc }. Restored documents go through the models again, so
+// dates and ids are cast back from their JSON form; values in Mixed fields
+// (settings, audit before/after) come back as they were serialized.
+const BACKUP_FORMAT = 'filestore-backup';
+const BACKUP_VERSION = 1;
+const PAGE_SIZE = 1000;
+
+const createBackup = async (storage) => {
+  const lines = [];
+  const counts = {};
+  for (const name of Object.keys(collections)) {
+    counts[name] = 0;
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+      const docs = await storage[name].find({}, { sort: { _id: 1 }, skip, limit: PAGE_SIZE });
+      for (const { __v, ...doc } of docs) {
+        lines.push(JSON.stringify({ collection: name, doc }));
+      }
+      counts[name] += docs.length;
+      if (docs.length < PAGE_SIZE) break;
+    }
+  }
+
+  const header = { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date(), counts };
+  const buffer = zlib.gzipSync([JSON.stringify(header), ...lines].join('\n') + '\n');
+  return { buffer, counts };
+};
+
+// Accepts the gzipped archive or its plain NDJSON. Throws on anything else.
+const readBackup = (buffer) => {
+  const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  let lines;
+  try {
+    lines = (isGzip ? zlib.gunzipSync(buffer) : buffer).toString('utf8').split('\n').filter(Boolean);
+  } catch (err) {
+    throw new Error('Archive could not be decompressed');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (err) {
+    header = null;
+  }
+  if (!header || header.format !== BACKUP_FORMAT) {
+    throw new Error('Not a file store backup');
+  }
+  if (header.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${header.version} is newer than this bot supports (${BACKUP_VERSION})`);
+  }
+
+  const docs = {};
+  const unknown = new Set();
+  for (const line of lines.slice(1)) {
+    const { collection, doc } = JSON.parse(line);
+    if (!collections[collection]) {
+      unknown.add(collection);
+      continue;
+    }
+    (docs[collection] = docs[collection] || []).push(doc);
+  }
+  return { header, docs, unknown: [...unknown] };
+};
+
+// `merge` only adds documents whose _id isn't stored yet, `replace` empties
+// every collection the archive contains first. Collections missing from the
+// archive are left alone either way. With dryRun nothing is written and the
+// summary says what would happen; documents that clash with a unique index
+// are only detected on a real run.
+const restoreBackup = async (storage, archive, { mode = 'merge', dryRun = false } = {}) => {
+  const summary = {};
+  for (const [name, docs] of Object.entries(archive.docs)) {
+    const repository = storage[name];
+    const result = { archived: docs.length, deleted: 0, inserted: 0, skipped: 0 };
+    summary[name] = result;
+
+    if (mode === 'replace') {
+      result.deleted = await repository.count();
+      if (!dryRun) await repository.deleteMany({});
+    }
+
+    for (let i = 0; i < docs.length; i += PAGE_SIZE) {
+      const page = docs.slice(i, i + PAGE_SIZE);
+      const stored = mode === 'replace'
+        ? new Set()
+        : new Set((await repository.find({ _id: { $in: page.map(doc => doc._id) } })).map(doc => String(doc._id)));
+
+      for (const doc of page) {
+        if (stored.has(String(doc._id))) {
+          result.skipped++;
+          continue;
+        }
+        if (dryRun) {
+          result.inserted++;
+          continue;
+        }
+        try {
+          await repository.create(doc);
+          result.inserted++;
+        } catch (err) {
+          result.skipped++;
+        }
+      }
+    }
+  }
+  return summary;
+};
+
+module.exports = { BACKUP_FORMAT, BACKUP_VERSION, createBackup, readBackup, restoreBackup };
@@ -0,0 +1,23 @@
+// Storage backends. Both expose the same shape:
+//
+//   storage.<collection>   one repository per entry of `collections`
+//   storage.connect(uri)   storage.disconnect()
+//   storage.state()        'connected', 'connecting', 'disconnected', ...
+//   storage.isValidId(id)  whether id can be a document _id
+//   storage.namespace(n)   a storage of the same kind with separate data,
+//                          e.g. another database on the MongoDB connection
+//
+// Repositories take MongoDB-style filters and updates and return plain
+// objects: findOne, findById, find(filter, { sort, skip, limit }), count,
+// exists, create, insertMany, updateOne, updateMany, findOneAndUpdate (the
+// updated document), deleteOne, deleteMany, sum(field, filter) and
+// countBy(field, filter, { limit }), which returns [{ value, count }] with
+// the most common values first.
+//
+// backup.js dumps and restores every collection through that interface, so
+// it works the same on both backends.
+const { createMongoStorage } = require('./mongo');
+const { createMemoryStorage } = require('./memory');
+const { createBackup, readBackup, restoreBackup } = require('./backup');
+
+module.exports = { createMongoStorage, createMemoryStorage, createBackup, readBackup, restoreBackup };
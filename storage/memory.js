@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const { collections } = require('./models');
+
+// In-memory storage with the same repository interface as the MongoDB one.
+// Documents go through the mongoose models for defaults, casting and
+// validation, and queries support the subset of MongoDB filter and update
+// operators the bot uses. Meant for tests and local experiments.
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+const isOperatorObject = (value) => isPlainObject(value) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+  }
+  return value;
+};
+
+// Comparable form of a value: ObjectIds by hex string, dates by timestamp
+const normalize = (value) => {
+  if (isObjectId(value)) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const isEqual = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => isEqual(v, b[i]));
+  }
+  if (isPlainObject(a) || isPlainObject(b)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return normalize(a) === normalize(b);
+};
+
+const compare = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  if (a == null || b == null) return a == null ? (b == null ? 0 : -1) : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let obj = doc;
+  for (const key of keys) {
+    if (!isPlainObject(obj[key]) && !Array.isArray(obj[key])) obj[key] = {};
+    obj = obj[key];
+  }
+  obj[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getPath(doc, keys.join('.')) : doc;
+  if (parent != null) delete parent[last];
+};
+
+// Array fields match when any element does, like in MongoDB
+const anyValue = (actual, test) => test(actual) || (Array.isArray(actual) && actual.some(test));
+
+const TYPES = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number',
+  bool: (v) => typeof v === 'boolean',
+  date: (v) => v instanceof Date,
+  objectId: isObjectId,
+  array: Array.isArray,
+  object: isPlainObject
+};
+
+const QUERY_OPERATORS = {
+  $eq: (actual, expected) => matchValue(actual, expected),
+  $ne: (actual, expected) => !matchValue(actual, expected),
+  $in: (actual, list) => list.some(expected => matchValue(actual, expected)),
+  $nin: (actual, list) => !list.some(expected => matchValue(actual, expected)),
+  $gt: (actual, expected) => anyValue(actual, v => v != null && compare(v, expected) > 0),
+  $gte: (actual, expected) => anyValue(actual, v => v != null && compare(v, expected) >= 0),
+  $lt: (actual, expected) => anyValue(actual, v => v != null && compare(v, expected) < 0),
+  $lte: (actual, expected) => anyValue(actual, v => v != null && compare(v, expected) <= 0),
+  $exists: (actual, exists) => (actual !== undefined) === !!exists,
+  $type: (actual, type) => !!TYPES[type] && anyValue(actual, TYPES[type]),
+  $regex: (actual, pattern, condition) => {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, condition.$options);
+    return anyValue(actual, v => typeof v === 'string' && regex.test(v));
+  },
+  $options: () => true,
+  $size: (actual, size) => Array.isArray(actual) && actual.length === size,
+  $elemMatch: (actual, filter) => Array.isArray(actual) && actual.some(item => matches(item, filter))
+};
+
+const matchValue = (actual, condition) => {
+  if (condition instanceof RegExp) return anyValue(actual, v => typeof v === 'string' && condition.test(v));
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([op, expected]) => {
+      if (!QUERY_OPERATORS[op]) throw new Error(`Unsupported query operator ${op}`);
+      return QUERY_OPERATORS[op](actual, expected, condition);
+    });
+  }
+  return isEqual(actual, condition) || (Array.isArray(actual) && actual.some(v => isEqual(v, condition)));
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(doc, sub));
+  if (key === '$and') return condition.every(sub => matches(doc, sub));
+  if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+  if (key.startsWith('$')) throw new Error(`Unsupported query operator ${key}`);
+  return matchValue(getPath(doc, key), condition);
+});
+
+const UPDATE_OPERATORS = {
+  $set: (doc, path, value) => setPath(doc, path, clone(value)),
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, amount) => setPath(doc, path, (getPath(doc, path) || 0) + amount),
+  $min: (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (current == null || compare(value, current) < 0) setPath(doc, path, clone(value));
+  },
+  $max: (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (current == null || compare(value, current) > 0) setPath(doc, path, clone(value));
+  },
+  $push: (doc, path, value) => {
+    const list = getPath(doc, path) || [];
+    const items = isPlainObject(value) && value.$each ? value.$each : [value];
+    setPath(doc, path, list.concat(items.map(clone)));
+  },
+  $addToSet: (doc, path, value) => {
+    const list = getPath(doc, path) || [];
+    const items = isPlainObject(value) && value.$each ? value.$each : [value];
+    setPath(doc, path, list.concat(items.filter(item => !list.some(v => isEqual(v, item))).map(clone)));
+  },
+  $pull: (doc, path, condition) => {
+    const list = getPath(doc, path);
+    if (Array.isArray(list)) setPath(doc, path, list.filter(v => !matchValue(v, condition)));
+  }
+};
+
+// Fields outside an operator are treated as $set, like mongoose does
+const applyUpdate = (doc, update, inserting) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$setOnInsert') {
+      if (inserting) applyUpdate(doc, { $set: value }, inserting);
+    } else if (key.startsWith('$')) {
+      if (!UPDATE_OPERATORS[key]) throw new Error(`Unsupported update operator ${key}`);
+      for (const [path, operand] of Object.entries(value)) UPDATE_OPERATORS[key](doc, path, operand);
+    } else {
+      UPDATE_OPERATORS.$set(doc, key, value);
+    }
+  }
+  return doc;
+};
+
+// Plain equality conditions of a filter seed the document an upsert creates
+const upsertBase = (filter) => {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (isOperatorObject(condition)) {
+      if ('$eq' in condition) setPath(doc, key, clone(condition.$eq));
+    } else if (!(condition instanceof RegExp)) {
+      setPath(doc, key, clone(condition));
+    }
+  }
+  return doc;
+};
+
+const sortDocs = (docs, sort) => {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const result = compare(getPath(a, key), getPath(b, key));
+      if (result !== 0) return direction < 0 || direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+};
+
+const duplicateKeyError = (name, fields) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${name} index: ${fields.join('_')}_1`),
+  { code: 11000 }
+);
+
+const createRepository = (name, Model) => {
+  const docs = new Map();
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields, options]) => ({ fields: Object.keys(fields), partial: options.partialFilterExpression }));
+
+  const cast = (doc) => {
+    const instance = new Model(doc);
+    const error = instance.validateSync();
+    if (error) throw error;
+    return instance.toObject();
+  };
+
+  const checkUnique = (doc) => {
+    for (const { fields, partial } of uniqueIndexes) {
+      if (partial && !matches(doc, partial)) continue;
+      for (const other of docs.values()) {
+        if (isEqual(other._id, doc._id) || (partial && !matches(other, partial))) continue;
+        if (fields.every(field => isEqual(getPath(other, field), getPath(doc, field)))) {
+          throw duplicateKeyError(name, fields);
+        }
+      }
+    }
+  };
+
+  const insert = (doc) => {
+    const created = cast(doc);
+    checkUnique(created);
+    docs.set(normalize(created._id), created);
+    return clone(created);
+  };
+
+  const select = (filter, { sort, skip, limit } = {}) => {
+    let result = sortDocs([...docs.values()].filter(doc => matches(doc, filter)), sort);
+    if (skip) result = result.slice(skip);
+    if (limit) result = result.slice(0, limit);
+    return result;
+  };
+
+  // Applies the update to a copy and only stores it when it is still valid
+  const updateDoc = (doc, update) => {
+    const updated = cast(applyUpdate(clone(doc), update, false));
+    checkUnique(updated);
+    const modified = JSON.stringify(updated) !== JSON.stringify(doc);
+    docs.set(normalize(updated._id), updated);
+    return { updated, modified };
+  };
+
+  const upsert = (filter, update) => insert(applyUpdate(upsertBase(filter), update, true));
+
+  return {
+    findOne: async (filter = {}, options = {}) => {
+      const [doc] = select(filter, { ...options, limit: 1 });
+      return doc ? clone(doc) : null;
+    },
+    findById: async (id) => {
+      const doc = docs.get(String(normalize(id)));
+      return doc ? clone(doc) : null;
+    },
+    find: async (filter = {}, options) => select(filter, options).map(clone),
+    count: async (filter = {}) => select(filter).length,
+    exists: async (filter = {}) => select(filter, { limit: 1 }).length > 0,
+    create: async (doc) => insert(doc),
+    insertMany: async (list) => list.map(insert),
+    updateOne: async (filter, update, options = {}) => {
+      const [doc] = select(filter, { limit: 1 });
+      if (!doc) {
+        if (!options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+        const created = upsert(filter, update);
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+      }
+      const { modified } = updateDoc(doc, update);
+      return { matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0 };
+    },
+    updateMany: async (filter, update, options = {}) => {
+      const matched = select(filter);
+      if (matched.length === 0 && options.upsert) {
+        const created = upsert(filter, update);
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+      }
+      const modifiedCount = matched.filter(doc => updateDoc(doc, update).modified).length;
+      return { matchedCount: matched.length, modifiedCount, upsertedCount: 0 };
+    },
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      const [doc] = select(filter, { sort: options.sort, limit: 1 });
+      if (!doc) return options.upsert ? upsert(filter, update) : null;
+      return clone(updateDoc(doc, update).updated);
+    },
+    deleteOne: async (filter) => {
+      const [doc] = select(filter, { limit: 1 });
+      if (doc) docs.delete(normalize(doc._id));
+      return { deletedCount: doc ? 1 : 0 };
+    },
+    deleteMany: async (filter = {}) => {
+      const matched = select(filter);
+      matched.forEach(doc => docs.delete(normalize(doc._id)));
+      return { deletedCount: matched.length };
+    },
+    sum: async (field, filter = {}) => select(filter)
+      .reduce((total, doc) => total + (typeof getPath(doc, field) === 'number' ? getPath(doc, field) : 0), 0),
+    countBy: async (field, filter = {}, { limit } = {}) => {
+      const counts = new Map();
+      for (const doc of select(filter)) {
+        const value = getPath(doc, field) === undefined ? null : getPath(doc, field);
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      const results = [...counts].map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+      return limit ? results.slice(0, limit) : results;
+    }
+  };
+};
+
+const createMemoryStorage = () => {
+  const namespaces = new Map();
+  const storage = {
+    connect: async () => {},
+    disconnect: async () => {},
+    state: () => 'connected',
+    isValidId: (id) => mongoose.isValidObjectId(id),
+    namespace: (name) => {
+      if (!namespaces.has(name)) namespaces.set(name, createMemoryStorage());
+      return namespaces.get(name);
+    }
+  };
+  for (const [name, Model] of Object.entries(collections)) {
+    storage[name] = createRepository(name, Model);
+  }
+  return storage;
+};
+
+module.exports = { createMemoryStorage };
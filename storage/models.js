@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+
+// Database Schemas
+const UserSchema = new mongoose.Schema({
+  userId: { type: Number, unique: true, required: true, index: true },
+  firstName: String,
+  username: String,
+  isVerified: { type: Boolean, default: false },
+  isBanned: { type: Boolean, default: false },
+  banReason: String,
+  bannedAt: Date,
+  role: { type: String, enum: ['admin', 'moderator', 'uploader', 'user'] },
+  // Picked with /language, unset means detect from Telegram
+  language: String,
+  // Telegram app language, used when messaging the user outside an update
+  languageCode: String,
+  isBlocked: { type: Boolean, default: false },
+  blockedAt: Date,
+  verifiedAt: Date,
+  premiumUntil: { type: Date, index: true },
+  // Last premium notice sent, so each is only sent once per grant
+  premiumNotice: { type: String, enum: ['reminder', 'expired'] },
+  // Referral rewards: files without verification until this date
+  verifyBypassUntil: Date,
+  referredBy: { type: Number, index: true },
+  // Set once the referred user verified and the referrer was rewarded
+  referralCountedAt: Date,
+  verifyToken: { type: String, index: true, sparse: true },
+  verifyTokenAt: Date,
+  pendingCode: String,
+  lastActive: { type: Date, default: Date.now },
+  filesShared: { type: Number, default: 0 },
+  filesAccessed: { type: Number, default: 0 },
+  joinedAt: { type: Date, default: Date.now }
+});
+
+const FileSchema = new mongoose.Schema({
+  fileId: String,
+  fileUniqueId: String,
+  fileType: String,
+  fileName: String,
+  fileSize: Number,
+  caption: String,
+  captionEntities: [mongoose.Schema.Types.Mixed],
+  shortCode: { type: String, unique: true, required: true, index: true },
+  uploadedBy: { type: Number, required: true },
+  storageChatId: String,
+  storageMessageId: Number,
+  thumbFileId: String,
+  // Shared clone that received the upload; its file_id only works with that clone's token
+  uploadBot: Number,
+  aliasOf: { type: mongoose.Schema.Types.ObjectId, ref: 'File', index: true },
+  duplicates: { type: Number, default: 0 },
+  expiresAt: { type: Date, index: true },
+  maxDownloads: Number,
+  passwordHash: String,
+  views: { type: Number, default: 0 },
+  downloads: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  // Who deactivated it, so the uploader can bring back what they removed themselves
+  deactivatedBy: Number,
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+FileSchema.index({ storageChatId: 1, storageMessageId: 1 });
+// Only the canonical record carries fileUniqueId; aliases and text posts don't
+FileSchema.index(
+  { fileUniqueId: 1 },
+  { unique: true, partialFilterExpression: { fileUniqueId: { $type: 'string' } } }
+);
+
+const SettingSchema = new mongoose.Schema({
+  key: { type: String, unique: true, required: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Force subscription channels. `required` needs membership, `request` is
+// also satisfied by a join request, `optional` is only suggested.
+const ChannelSchema = new mongoose.Schema({
+  channelId: { type: String, unique: true, required: true },
+  username: String,
+  title: String,
+  mode: { type: String, enum: ['required', 'request', 'optional'], default: 'required' },
+  inviteLink: String,
+  lostAccessAt: Date,
+  addedAt: { type: Date, default: Date.now }
+});
+
+const JoinRequestSchema = new mongoose.Schema({
+  channelId: { type: String, required: true },
+  userId: { type: Number, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+JoinRequestSchema.index({ channelId: 1, userId: 1 }, { unique: true });
+
+const DeleteJobSchema = new mongoose.Schema({
+  chatId: { type: Number, required: true },
+  messageId: { type: Number, required: true },
+  noticeMessageId: Number,
+  shortCode: String,
+  dueAt: { type: Date, required: true, index: true },
+  attempts: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const BatchSchema = new mongoose.Schema({
+  shortCode: { type: String, unique: true, required: true, index: true },
+  files: [{ type: mongoose.Schema.Types.ObjectId, ref: 'File' }],
+  createdBy: { type: Number, required: true },
+  views: { type: Number, default: 0 },
+  downloads: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  deactivatedBy: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const ApiTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, unique: true, required: true },
+  userId: { type: Number, required: true, index: true },
+  label: String,
+  lastUsedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const BroadcastSchema = new mongoose.Schema({
+  createdBy: { type: Number, required: true },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'cancelled'], default: 'queued', index: true },
+  mode: { type: String, enum: ['text', 'copy', 'forward'], required: true },
+  text: String,
+  sourceChatId: Number,
+  sourceMessageId: Number,
+  replyMarkup: mongoose.Schema.Types.Mixed,
+  audience: {
+    verified: { type: Boolean, default: false },
+    activeDays: Number,
+    uploaders: { type: Boolean, default: false }
+  },
+  total: { type: Number, default: 0 },
+  sent: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  blocked: { type: Number, default: 0 },
+  lastUserId: { type: Number, default: 0 },
+  statusChatId: Number,
+  statusMessageId: Number,
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One entry per staff change, with the values before and after it
+const AuditLogSchema = new mongoose.Schema({
+  actorId: { type: Number, required: true },
+  actorName: String,
+  source: { type: String, enum: ['bot', 'api'], default: 'bot' },
+  action: { type: String, required: true },
+  target: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  revertedBy: Number,
+  revertedAt: Date,
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ target: 1, createdAt: -1 });
+
+// Analytics: one event per step a link goes through. `day` (YYYY-MM-DD, UTC)
+// makes daily series a plain group by. Events are dropped after 90 days.
+const EventSchema = new mongoose.Schema({
+  type: { type: String, enum: ['view', 'prompt', 'click', 'verified', 'delivered', 'failed'], required: true },
+  userId: Number,
+  code: String,
+  uploadedBy: Number,
+  provider: String,
+  reason: String,
+  url: String,
+  clickedAt: Date,
+  day: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now, expires: 90 * 24 * 60 * 60 }
+});
+
+EventSchema.index({ code: 1, createdAt: -1 });
+EventSchema.index({ type: 1, createdAt: -1 });
+EventSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+// Clone bots started from the main bot. Each keeps its data in its own
+// namespace, `shareFiles` makes it use the main library instead.
+const CloneSchema = new mongoose.Schema({
+  botId: { type: Number, unique: true, required: true },
+  username: { type: String, required: true },
+  token: { type: String, required: true },
+  ownerId: { type: Number, required: true, index: true },
+  shareFiles: { type: Boolean, default: false },
+  status: { type: String, enum: ['active', 'paused'], default: 'active' },
+  lastError: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// File cards posted to channels. `pending` posts wait for staff approval,
+// `scheduled` ones are sent by the post worker once postAt has passed.
+const PostSchema = new mongoose.Schema({
+  file: { type: mongoose.Schema.Types.ObjectId, ref: 'File', required: true },
+  chatId: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'scheduled', 'posted', 'rejected', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  postAt: Date,
+  requestedBy: Number,
+  reviewedBy: Number,
+  messageId: Number,
+  error: String,
+  postedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+PostSchema.index({ status: 1, postAt: 1 });
+
+const User = mongoose.model('User', UserSchema);
+const File = mongoose.model('File', FileSchema);
+const Setting = mongoose.model('Setting', SettingSchema);
+const Channel = mongoose.model('Channel', ChannelSchema);
+const JoinRequest = mongoose.model('JoinRequest', JoinRequestSchema);
+const DeleteJob = mongoose.model('DeleteJob', DeleteJobSchema);
+const Batch = mongoose.model('Batch', BatchSchema);
+const ApiToken = mongoose.model('ApiToken', ApiTokenSchema);
+const Broadcast = mongoose.model('Broadcast', BroadcastSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+const Event = mongoose.model('Event', EventSchema);
+const Clone = mongoose.model('Clone', CloneSchema);
+const Post = mongoose.model('Post', PostSchema);
+
+// Collection name -> model. Both storage backends build one repository per
+// entry, so a new model only needs to be registered here.
+const collections = {
+  users: User,
+  files: File,
+  settings: Setting,
+  channels: Channel,
+  joinRequests: JoinRequest,
+  deleteJobs: DeleteJob,
+  batches: Batch,
+  apiTokens: ApiToken,
+  broadcasts: Broadcast,
+  auditLogs: AuditLog,
+  events: Event,
+  clones: Clone,
+  posts: Post
+};
+
+module.exports = { collections };
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { collections } = require('./models');
+
+const STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Documents are returned as plain objects so callers can't depend on
+// mongoose document methods the in-memory backend doesn't have
+const toObject = (doc) => (doc ? doc.toObject() : null);
+
+const query = (q, { sort, skip, limit } = {}) => {
+  if (sort) q = q.sort(sort);
+  if (skip) q = q.skip(skip);
+  if (limit) q = q.limit(limit);
+  return q;
+};
+
+const createRepository = (Model) => ({
+  findOne: async (filter, options) => toObject(await query(Model.findOne(filter), options)),
+  findById: async (id) => toObject(await Model.findById(id)),
+  find: async (filter = {}, options) => (await query(Model.find(filter), options)).map(toObject),
+  count: (filter = {}) => Model.countDocuments(filter),
+  exists: async (filter) => !!(await Model.exists(filter)),
+  create: async (doc) => toObject(await Model.create(doc)),
+  insertMany: async (docs) => (await Model.insertMany(docs)).map(toObject),
+  updateOne: (filter, update, options) => Model.updateOne(filter, update, options),
+  updateMany: (filter, update, options) => Model.updateMany(filter, update, options),
+  // Always resolves to the document after the update, or null
+  findOneAndUpdate: async (filter, update, options = {}) => toObject(
+    await Model.findOneAndUpdate(filter, update, { ...options, new: true })
+  ),
+  deleteOne: (filter) => Model.deleteOne(filter),
+  deleteMany: (filter = {}) => Model.deleteMany(filter),
+  sum: async (field, filter = {}) => {
+    const [result] = await Model.aggregate([
+      { $match: filter },
+      { $group: { _id: null, total: { $sum: `$${field}` } } }
+    ]);
+    return result ? result.total : 0;
+  },
+  countBy: async (field, filter = {}, { limit } = {}) => {
+    const results = await Model.aggregate([
+      { $match: filter },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      ...(limit ? [{ $limit: limit }] : [])
+    ]);
+    return results.map(result => ({ value: result._id, count: result.count }));
+  }
+});
+
+// `dbName` keeps the data in another database on the same connection
+const createMongoStorage = ({ dbName } = {}) => {
+  const connection = dbName ? mongoose.connection.useDb(dbName, { useCache: true }) : null;
+  const storage = {
+    connect: async (uri) => {
+      await mongoose.connect(uri);
+      // Replace the old non-partial fileUniqueId index
+      collections.files.syncIndexes().catch(err => console.error('File index sync error:', err.message));
+    },
+    disconnect: () => mongoose.disconnect(),
+    state: () => STATES[mongoose.connection.readyState] || 'unknown',
+    isValidId: (id) => mongoose.isValidObjectId(id),
+    namespace: (name) => createMongoStorage({ dbName: `${mongoose.connection.name}_${name}` })
+  };
+  for (const [name, Model] of Object.entries(collections)) {
+    const model = connection
+      ? connection.models[Model.modelName] || connection.model(Model.modelName, Model.schema)
+      : Model;
+    storage[name] = createRepository(model);
+  }
+  return storage;
+};
+
+module.exports = { createMongoStorage };
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, callbackUpdate, ADMIN_ID } = require('./helpers');
+
+const VIEWER = 300;
+const CHANNEL_ID = '-100500';
+
+// A stored file and a verified user, so only the checks under test apply
+const seed = async (db) => {
+  await db.files.create({ fileId: 'file-x', fileType: 'document', fileName: 'x.zip', shortCode: 'xyz789', uploadedBy: 1 });
+  await db.users.create({ userId: VIEWER, isVerified: true, verifiedAt: new Date() });
+};
+
+test('users must join force-subscribe channels first', async () => {
+  const { db, api } = setup();
+  await seed(db);
+  await db.channels.create({ channelId: CHANNEL_ID, username: '@updates', title: 'Updates' });
+
+  await send(textUpdate(VIEWER, '/start xyz789'));
+
+  const reply = api.lastMessageTo(VIEWER);
+  assert.match(reply.text, /Access Restricted/);
+  assert.equal(reply.reply_markup.inline_keyboard[0][0].url, 'https://t.me/updates');
+  assert.equal(reply.reply_markup.inline_keyboard[1][0].callback_data, 'verify_sub');
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 0);
+});
+
+test('the join check button re-checks membership', async () => {
+  const { db, api } = setup();
+  await seed(db);
+  await db.channels.create({ channelId: CHANNEL_ID, username: '@updates', title: 'Updates' });
+
+  await send(callbackUpdate(VIEWER, 'verify_sub'));
+  const [notJoined] = api.callsOf('answerCallbackQuery');
+  assert.match(notJoined.payload.text, /join all channels/);
+  assert.equal(notJoined.payload.show_alert, true);
+
+  api.members[`${CHANNEL_ID}:${VIEWER}`] = 'member';
+  await send(callbackUpdate(VIEWER, 'verify_sub'));
+  assert.match(api.callsOf('answerCallbackQuery')[1].payload.text, /Subscription verified/);
+
+  await send(textUpdate(VIEWER, '/start xyz789'));
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 1);
+});
+
+test('banned users cannot open links', async () => {
+  const { db, api } = setup();
+  await seed(db);
+  await db.users.updateOne({ userId: VIEWER }, { isBanned: true });
+
+  await send(textUpdate(VIEWER, '/start xyz789'));
+
+  assert.match(api.lastMessageTo(VIEWER).text, /banned/);
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 0);
+});
+
+test('admins ban and unban users', async () => {
+  const { db, api } = setup();
+  await seed(db);
+
+  await send(textUpdate(ADMIN_ID, `/ban ${VIEWER}`));
+  assert.equal((await db.users.findOne({ userId: VIEWER })).isBanned, true);
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /has been banned/);
+
+  await send(textUpdate(ADMIN_ID, `/unban ${VIEWER}`));
+  assert.equal((await db.users.findOne({ userId: VIEWER })).isBanned, false);
+});
+
+test('users without the ban permission cannot ban', async () => {
+  const { db, api } = setup();
+  await seed(db);
+
+  await send(textUpdate(VIEWER + 1, `/ban ${VIEWER}`));
+
+  assert.match(api.lastMessageTo(VIEWER + 1).text, /don't have permission/);
+  assert.equal((await db.users.findOne({ userId: VIEWER })).isBanned, false);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, startShortener, ADMIN_ID } = require('./helpers');
+
+const UPLOADER = 900;
+const VIEWER = 901;
+
+const createFile = (db, shortCode, fields = {}) => db.files.create({
+  fileId: `file-${shortCode}`, fileType: 'document', fileName: `${shortCode}.pdf`, shortCode, uploadedBy: UPLOADER, ...fields
+});
+
+test('each step of opening a link is recorded as an event', async (t) => {
+  const { db } = setup();
+  const shortener = await startShortener();
+  t.after(shortener.close);
+  await db.settings.create({ key: 'shorteners', value: [shortener.provider] });
+  await createFile(db, 'track1');
+  await db.users.create({ userId: VIEWER });
+
+  await send(textUpdate(VIEWER, '/start track1'));
+  const { verifyToken } = await db.users.findOne({ userId: VIEWER });
+  await send(textUpdate(VIEWER, `/start verify_${verifyToken}`));
+
+  const events = await db.events.find({ userId: VIEWER }, { sort: { createdAt: 1, _id: 1 } });
+  assert.deepEqual(events.map(event => event.type), ['view', 'prompt', 'verified', 'delivered']);
+  assert.ok(events.every(event => event.code === 'track1' && event.uploadedBy === UPLOADER));
+  assert.equal(events[1].provider, 'local');
+  assert.equal(events[2].provider, 'local');
+  // Delivering after verification finishes the same visit
+  assert.equal((await db.files.findOne({ shortCode: 'track1' })).views, 1);
+});
+
+test('the funnel counts a visit through verification once', async (t) => {
+  const { db, api } = setup();
+  const shortener = await startShortener();
+  t.after(shortener.close);
+  await db.settings.create({ key: 'shorteners', value: [shortener.provider] });
+  await createFile(db, 'track2');
+  await db.users.create({ userId: VIEWER });
+
+  await send(textUpdate(VIEWER, '/start track2'));
+  const { verifyToken } = await db.users.findOne({ userId: VIEWER });
+  await send(textUpdate(VIEWER, `/start verify_${verifyToken}`));
+
+  await send(textUpdate(ADMIN_ID, '/funnel 7d'));
+  const funnel = api.lastMessageTo(ADMIN_ID).text;
+  assert.match(funnel, /Views: 1\b/);
+  assert.match(funnel, /Delivered: 1\b/);
+  assert.match(funnel, /`local`: 1 prompts → 1 verified \(100%\)/);
+});
+
+test('/filestats is for the uploader and shows daily downloads and the funnel', async () => {
+  const { db, api } = setup();
+  await createFile(db, 'chart1');
+  await db.users.create({ userId: VIEWER, isVerified: true, verifiedAt: new Date() });
+  await send(textUpdate(VIEWER, '/start chart1'));
+  await send(textUpdate(VIEWER, '/start chart1'));
+
+  await send(textUpdate(UPLOADER, '/filestats chart1 7d'));
+  const reply = api.lastMessageTo(UPLOADER).text;
+  assert.match(reply, /Last 7 days/);
+  assert.match(reply, /█{12}·*` 2/);
+  assert.match(reply, /Delivered: 2/);
+
+  await send(textUpdate(VIEWER, '/filestats chart1'));
+  assert.match(api.lastMessageTo(VIEWER).text, /not found/);
+});
+
+test('/topfiles and /funnel summarise recent events', async () => {
+  const { db, api } = setup();
+  await createFile(db, 'popular', { fileName: 'Popular.pdf' });
+  await createFile(db, 'quiet', { fileName: 'Quiet.pdf' });
+  await db.users.create({ userId: VIEWER, isVerified: true, verifiedAt: new Date() });
+  for (const code of ['popular', 'popular', 'quiet']) await send(textUpdate(VIEWER, `/start ${code}`));
+  await db.channels.create({ channelId: '-100900', username: '@gate', title: 'Gate' });
+  await send(textUpdate(VIEWER + 1, '/start quiet'));
+
+  await send(textUpdate(ADMIN_ID, '/topfiles'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /1\. Popular\.pdf - `popular` \(📥 2\)\n2\. Quiet\.pdf/);
+
+  await send(textUpdate(ADMIN_ID, '/funnel 7d'));
+  const funnel = api.lastMessageTo(ADMIN_ID).text;
+  assert.match(funnel, /Views: 4/);
+  assert.match(funnel, /Delivered: 3/);
+  assert.match(funnel, /Failed: 1 \(subscription 1\)/);
+});
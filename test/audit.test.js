@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, ADMIN_ID, LOG_CHANNEL } = require('./helpers');
+
+test('setting changes are audited and mirrored to the log channel', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(ADMIN_ID, '/protect on'));
+
+  const [entry] = await db.auditLogs.find({});
+  assert.equal(entry.actorId, ADMIN_ID);
+  assert.equal(entry.action, 'setting');
+  assert.equal(entry.target, 'protect_content');
+  assert.equal(entry.before, null);
+  assert.equal(entry.after, true);
+  assert.match(api.lastMessageTo(LOG_CHANNEL).text, /Admin Action[\s\S]*protect_content/);
+});
+
+test('/audit filters by admin, action and target', async () => {
+  const { api } = setup();
+  await send(textUpdate(ADMIN_ID, '/ban 700'));
+  await send(textUpdate(ADMIN_ID, '/autodelete 60'));
+  await send(textUpdate(1, '/protect on'));
+
+  await send(textUpdate(ADMIN_ID, '/audit action:ban'));
+  let reply = api.lastMessageTo(ADMIN_ID).text;
+  assert.match(reply, /\*ban\* `700`/);
+  assert.doesNotMatch(reply, /auto_delete/);
+
+  await send(textUpdate(ADMIN_ID, '/audit admin:1'));
+  reply = api.lastMessageTo(ADMIN_ID).text;
+  assert.match(reply, /protect_content/);
+  assert.doesNotMatch(reply, /auto_delete/);
+
+  await send(textUpdate(ADMIN_ID, '/audit target:auto_delete'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /auto_delete[\s\S]*none → `60`/);
+});
+
+test('a setting change can be reverted once', async () => {
+  const { db, api } = setup();
+  await send(textUpdate(ADMIN_ID, '/autodelete 60'));
+  await send(textUpdate(ADMIN_ID, '/autodelete 300'));
+  const [latest, first] = await db.auditLogs.find({}, { sort: { createdAt: -1, _id: -1 } });
+
+  await send(textUpdate(ADMIN_ID, `/revert ${first._id}`));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /changed since/);
+
+  await send(textUpdate(ADMIN_ID, `/revert ${latest._id}`));
+  assert.equal((await db.settings.findOne({ key: 'auto_delete' })).value, 60);
+  assert.ok((await db.auditLogs.findById(latest._id)).revertedAt);
+
+  await send(textUpdate(ADMIN_ID, `/revert ${latest._id}`));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /already reverted/);
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { setup, send, textUpdate, OWNER_ID, ADMIN_ID } = require('./helpers');
+const { bot } = require('..');
+const { createMemoryStorage, createBackup, readBackup, restoreBackup } = require('../storage');
+
+const seed = async (db) => {
+  await db.users.create({ userId: 1200, firstName: 'Ana', verifiedAt: new Date('2024-05-01T10:00:00Z') });
+  const file = await db.files.create({ fileId: 'file-b', fileType: 'document', shortCode: 'bak001', uploadedBy: 1200 });
+  await db.batches.create({ shortCode: 'bak002', files: [file._id], createdBy: 1200 });
+  await db.settings.create({ key: 'protect_content', value: true });
+};
+
+// Serves `buffer` as every Telegram file download while `fn` runs
+const withFileServer = async (buffer, fn) => {
+  const server = http.createServer((req, res) => res.end(buffer));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { apiRoot } = bot.telegram.options;
+  bot.telegram.options.apiRoot = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await fn();
+  } finally {
+    bot.telegram.options.apiRoot = apiRoot;
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+const replyToDocument = (userId, text) => {
+  const update = textUpdate(userId, text);
+  update.message.reply_to_message = {
+    message_id: 1,
+    date: update.message.date,
+    chat: update.message.chat,
+    document: { file_id: 'backup-file', file_unique_id: 'backup-file', file_name: 'backup.ndjson.gz' }
+  };
+  return update;
+};
+
+test('a backup restores into an empty database with ids, dates and refs intact', async () => {
+  const source = createMemoryStorage();
+  await seed(source);
+
+  const { buffer, counts } = await createBackup(source);
+  assert.equal(counts.users, 1);
+  assert.equal(counts.events, 0);
+
+  const target = createMemoryStorage();
+  const summary = await restoreBackup(target, readBackup(buffer), { mode: 'merge' });
+  assert.deepEqual(summary.files, { archived: 1, deleted: 0, inserted: 1, skipped: 0 });
+
+  const user = await target.users.findOne({ userId: 1200 });
+  assert.ok(user.verifiedAt instanceof Date);
+  assert.equal(user.verifiedAt.toISOString(), '2024-05-01T10:00:00.000Z');
+  const file = await target.files.findOne({ shortCode: 'bak001' });
+  const batch = await target.batches.findOne({ shortCode: 'bak002' });
+  assert.equal(String(batch.files[0]), String(file._id));
+  assert.equal((await target.settings.findOne({ key: 'protect_content' })).value, true);
+});
+
+test('merge keeps existing documents and replace swaps them, dry runs change nothing', async () => {
+  const source = createMemoryStorage();
+  await seed(source);
+  const archive = readBackup((await createBackup(source)).buffer);
+
+  const target = createMemoryStorage();
+  await restoreBackup(target, archive);
+  await target.users.updateOne({ userId: 1200 }, { firstName: 'Changed' });
+  await target.users.create({ userId: 1201 });
+
+  const merged = await restoreBackup(target, archive, { mode: 'merge' });
+  assert.deepEqual(merged.users, { archived: 1, deleted: 0, inserted: 0, skipped: 1 });
+  assert.equal((await target.users.findOne({ userId: 1200 })).firstName, 'Changed');
+
+  const dry = await restoreBackup(target, archive, { mode: 'replace', dryRun: true });
+  assert.deepEqual(dry.users, { archived: 1, deleted: 2, inserted: 1, skipped: 0 });
+  assert.equal(await target.users.count(), 2);
+
+  await restoreBackup(target, archive, { mode: 'replace' });
+  assert.equal(await target.users.count(), 1);
+  assert.equal((await target.users.findOne({ userId: 1200 })).firstName, 'Ana');
+});
+
+test('anything but a backup is refused', () => {
+  assert.throws(() => readBackup(Buffer.from('{"hello":"world"}\n')), /Not a file store backup/);
+  assert.throws(
+    () => readBackup(Buffer.from('{"format":"filestore-backup","version":99}\n')),
+    /newer than this bot supports/
+  );
+});
+
+test('the owner backs up and restores from chat', async () => {
+  const { db, api } = setup();
+  await seed(db);
+
+  await send(textUpdate(ADMIN_ID, '/backup'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /Owner only/);
+
+  await send(textUpdate(OWNER_ID, '/backup'));
+  const [sent] = api.callsOf('sendDocument', OWNER_ID);
+  assert.match(sent.payload.document.filename, /^filestore-backup-.*\.ndjson\.gz$/);
+  assert.match(sent.payload.caption, /users 1, files 1/);
+  const buffer = sent.payload.document.source;
+
+  await db.files.deleteMany({});
+  api.overrides.getFile = () => ({ file_id: 'backup-file', file_path: 'documents/backup.ndjson.gz' });
+
+  await withFileServer(buffer, async () => {
+    await send(replyToDocument(OWNER_ID, '/restore merge dry-run'));
+    assert.match(api.lastMessageTo(OWNER_ID).text, /files: 1 in backup, 1 to add[\s\S]*Nothing was changed/);
+    assert.equal(await db.files.count(), 0);
+
+    await send(replyToDocument(OWNER_ID, '/restore'));
+    assert.match(api.lastMessageTo(OWNER_ID).text, /Restore \(merge\)[\s\S]*files: 1 in backup, 1 added/);
+  });
+
+  assert.equal((await db.files.findOne({ shortCode: 'bak001' })).fileId, 'file-b');
+  assert.equal((await db.auditLogs.findOne({ action: 'restore' })).target, 'merge');
+});
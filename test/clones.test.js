@@ -0,0 +1,194 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, documentUpdate, callbackUpdate, OWNER_ID, ADMIN_ID, DB_CHANNEL } = require('./helpers');
+const { clones } = require('..');
+
+const USER = 900;
+
+// Clones stay in the module-level map, so every test uses its own bot id
+const cloneToken = (botId) => `${botId}:${'A'.repeat(35)}`;
+
+const addClone = async (api, userId, botId, option = '') => {
+  api.overrides.getMe = () => ({ id: botId, is_bot: true, first_name: 'Clone', username: `clone${botId}bot` });
+  await send(textUpdate(userId, `/clone ${cloneToken(botId)} ${option}`.trim()));
+  return clones.get(botId);
+};
+
+test('/clone checks the token and who is asking before starting a clone', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(USER, `/clone ${cloneToken(700)}`));
+  assert.match(api.lastMessageTo(USER).text, /can't create clones/);
+
+  await send(textUpdate(ADMIN_ID, '/clone not-a-token'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /doesn't look like a bot token/);
+  assert.equal(api.callsOf('deleteMessage', ADMIN_ID).length, 1);
+
+  const clone = await addClone(api, ADMIN_ID, 700);
+  assert.ok(clone);
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /Clone Started[\s\S]*@clone700bot/);
+  const record = await db.clones.findOne({ botId: 700 });
+  assert.equal(record.ownerId, ADMIN_ID);
+  assert.equal(record.token, cloneToken(700));
+  assert.equal((await db.auditLogs.findOne({ action: 'clone' })).target, '@clone700bot');
+
+  await addClone(api, ADMIN_ID, 700);
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /already a clone/);
+
+  await send(textUpdate(ADMIN_ID, '/clone'), clone.bot);
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /managed from @testbot/);
+});
+
+test('a clone has its own owner, settings and users', async () => {
+  const { db, api } = setup();
+  const clone = await addClone(api, ADMIN_ID, 701);
+
+  await send(textUpdate(ADMIN_ID, '/limits upload 5'), clone.bot);
+  await send(textUpdate(USER, '/start'), clone.bot);
+  await send(textUpdate(OWNER_ID, '/limits upload 9'), clone.bot);
+
+  const own = db.namespace('clone_701');
+  assert.deepEqual((await own.settings.findOne({ key: 'rate_limits' })).value, { upload: 5 });
+  assert.ok(await own.users.findOne({ userId: USER }));
+  assert.equal(await db.settings.count({ key: 'rate_limits' }), 0);
+  assert.equal(await db.users.count({ userId: USER }), 0);
+
+  // The main owner is an ordinary user there, and replies come from the clone
+  const reply = api.callsOf('sendMessage', OWNER_ID).pop();
+  assert.match(reply.payload.text, /don't have permission/);
+  assert.equal(reply.token, cloneToken(701));
+});
+
+test('shared clones serve the main library through the storage channel', async () => {
+  const { db, api } = setup();
+  await db.files.create({
+    fileId: 'file-main', fileType: 'document', fileName: 'main.zip', shortCode: 'main01', uploadedBy: 1,
+    storageChatId: String(DB_CHANNEL), storageMessageId: 77
+  });
+
+  await db.settings.create({ key: 'clone_access', value: 'everyone' });
+  await send(textUpdate(USER, `/clone ${cloneToken(702)} shared`));
+  assert.match(api.lastMessageTo(USER).text, /Only admins can create clones that share/);
+
+  const ownClone = await addClone(api, ADMIN_ID, 703);
+  const sharedClone = await addClone(api, ADMIN_ID, 702, 'shared');
+  assert.equal(sharedClone.record.shareFiles, true);
+
+  for (const clone of [ownClone, sharedClone]) {
+    await clone.db.users.create({ userId: USER, premiumUntil: new Date(Date.now() + 86400 * 1000) });
+    await send(textUpdate(USER, '/start main01'), clone.bot);
+  }
+
+  const copies = api.callsOf('copyMessage', USER);
+  assert.equal(copies.length, 1);
+  assert.equal(copies[0].token, cloneToken(702));
+  assert.equal(String(copies[0].payload.from_chat_id), String(DB_CHANNEL));
+  const notFound = api.callsOf('sendMessage', USER).filter(call => call.token === cloneToken(703));
+  assert.match(notFound[0].payload.text, /File not found/);
+});
+
+test('staff of a shared clone cannot change the main library', async () => {
+  const { db, api } = setup();
+  const file = await db.files.create({ fileId: 'file-keep', fileType: 'document', fileName: 'keep.zip', shortCode: 'keep01', uploadedBy: 1 });
+  const clone = await addClone(api, ADMIN_ID, 705, 'shared');
+  const fromClone = () => api.callsOf('sendMessage', ADMIN_ID).filter(call => call.token === cloneToken(705)).pop();
+
+  for (const command of ['/deletefile keep01', '/dedupe', '/reindex', '/restore']) {
+    await send(textUpdate(ADMIN_ID, command), clone.bot);
+    assert.match(fromClone().payload.text, /(uses the library of @testbot|restore backups there)/);
+  }
+  await send(textUpdate(ADMIN_ID, '/myfiles 1'), clone.bot);
+  assert.match(fromClone().payload.text, /My Files[\s\S]*No files yet/);
+  await send(callbackUpdate(ADMIN_ID, `mf_delok_${file._id}_0`), clone.bot);
+  assert.equal((await db.files.findById(file._id)).isActive, true);
+
+  await send(textUpdate(ADMIN_ID, '/backup'), clone.bot);
+  const [backup] = api.callsOf('sendDocument', ADMIN_ID);
+  assert.doesNotMatch(backup.payload.caption, /files/);
+});
+
+test('clones can be listed, paused, resumed and removed by their owner', async () => {
+  const { db, api } = setup();
+  await addClone(api, ADMIN_ID, 704);
+
+  await send(textUpdate(USER, '/pauseclone @clone704bot'));
+  assert.match(api.lastMessageTo(USER).text, /Clone not found/);
+
+  await send(textUpdate(ADMIN_ID, '/pauseclone @clone704bot'));
+  assert.equal(clones.has(704), false);
+  assert.equal((await db.clones.findOne({ botId: 704 })).status, 'paused');
+
+  await send(textUpdate(OWNER_ID, '/clones'));
+  assert.match(api.lastMessageTo(OWNER_ID).text, /@clone704bot \(`704`\)\n {3}⏸ Paused \| 👤 `2`/);
+
+  await send(textUpdate(ADMIN_ID, '/resumeclone 704'));
+  assert.equal(clones.has(704), true);
+  assert.equal((await db.clones.findOne({ botId: 704 })).status, 'active');
+
+  await clones.get(704).db.settings.create({ key: 'protect_content', value: true });
+  await send(textUpdate(OWNER_ID, '/removeclone @clone704bot'));
+  assert.equal(clones.has(704), false);
+  assert.equal(await db.clones.count({ botId: 704 }), 0);
+  assert.equal(await db.namespace('clone_704').settings.count(), 1);
+});
+
+test('rate limits are counted per bot', async () => {
+  const { db, api } = setup();
+  const clone = await addClone(api, ADMIN_ID, 706);
+  await db.settings.create({ key: 'rate_limits', value: { open: 1 } });
+  await clone.db.settings.create({ key: 'rate_limits', value: { open: 1 } });
+  const lastReply = (token) => api.callsOf('sendMessage', USER).filter(call => call.token === token).pop().payload.text;
+
+  await send(textUpdate(USER, '/start nope01'));
+  await send(textUpdate(USER, '/start nope01'));
+  assert.match(lastReply('123456:TEST'), /Slow down/);
+
+  await send(textUpdate(USER, '/start nope01'), clone.bot);
+  assert.match(lastReply(cloneToken(706)), /File not found/);
+});
+
+test('post approvals of a clone go to its owner', async () => {
+  const { api } = setup();
+  const clone = await addClone(api, ADMIN_ID, 707);
+  await clone.db.settings.create({ key: 'post_channels', value: [{ chatId: '-100500', title: 'Releases', mode: 'approval' }] });
+
+  await send(documentUpdate(USER, { fileUniqueId: 'clone-post' }), clone.bot);
+
+  const post = await clone.db.posts.findOne({});
+  const request = api.callsOf('sendMessage', ADMIN_ID).find(call => /Post to Releases/.test(call.payload.text));
+  assert.equal(request.token, cloneToken(707));
+  assert.equal(request.payload.reply_markup.inline_keyboard[0][0].callback_data, `post_ok_${post._id}`);
+});
+
+test('clone alerts go to its owner and shared clones never send the main bot\'s file_ids', async () => {
+  const { db, api } = setup();
+  await db.files.create({
+    fileId: 'file-main2', fileType: 'document', fileName: 'main2.zip', shortCode: 'main02', uploadedBy: 1,
+    storageChatId: String(DB_CHANNEL), storageMessageId: 78
+  });
+  const clone = await addClone(api, ADMIN_ID, 708, 'shared');
+  await clone.db.users.create({ userId: USER, premiumUntil: new Date(Date.now() + 86400 * 1000) });
+  const alerts = () => api.callsOf('sendMessage', ADMIN_ID).filter(call => call.token === cloneToken(708)).map(call => call.payload.text);
+
+  api.overrides.copyMessage = () => {
+    throw Object.assign(new Error('400: Bad Request: message to copy not found'), { description: 'Bad Request: message to copy not found' });
+  };
+  await send(textUpdate(USER, '/start main02'), clone.bot);
+
+  assert.equal(api.callsOf('sendDocument', USER).length, 0);
+  assert.match(api.lastMessageTo(USER).text, /Error sending file/);
+  assert.ok(alerts().some(text => /File Could Not Be Sent[\s\S]*main02[\s\S]*message to copy not found/.test(text)));
+
+  // Losing admin rights in a force subscription channel is reported too
+  delete api.overrides.copyMessage;
+  await clone.db.channels.create({ channelId: '-100900', username: '@clonenews', title: 'Clone News' });
+  api.overrides.getChatMember = () => {
+    throw Object.assign(new Error('Bad Request: member list is inaccessible'), {
+      response: { error_code: 400, description: 'Bad Request: member list is inaccessible' }
+    });
+  };
+  await send(textUpdate(USER + 1, '/start'), clone.bot);
+  await clone.db.users.updateOne({ userId: USER + 1 }, { isVerified: true, verifiedAt: new Date() });
+  await send(textUpdate(USER + 1, '/start main02'), clone.bot);
+  assert.ok(alerts().some(text => /Force Subscription Channel Unavailable[\s\S]*Clone News/.test(text)));
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, callbackUpdate } = require('./helpers');
+
+const VIEWER = 400;
+
+const createFile = (db, fields) => db.files.create({
+  fileId: `file-${fields.shortCode}`, fileType: 'document', fileName: `${fields.shortCode}.pdf`, uploadedBy: 1, ...fields
+});
+
+const verifiedUser = (db) => db.users.create({ userId: VIEWER, isVerified: true, verifiedAt: new Date() });
+
+test('files are copied from the storage channel and counted', async () => {
+  const { db, api } = setup();
+  await verifiedUser(db);
+  await createFile(db, { shortCode: 'stored1', caption: 'Stored', storageChatId: '-1002', storageMessageId: 9 });
+
+  await send(textUpdate(VIEWER, '/start stored1'));
+
+  const [copy] = api.callsOf('copyMessage', VIEWER);
+  assert.equal(copy.payload.message_id, 9);
+  assert.equal(copy.payload.caption, 'Stored');
+  assert.equal((await db.files.findOne({ shortCode: 'stored1' })).downloads, 1);
+  assert.equal((await db.users.findOne({ userId: VIEWER })).filesAccessed, 1);
+});
+
+test('delivery falls back to the file id when the storage copy is gone', async () => {
+  const { db, api } = setup();
+  await verifiedUser(db);
+  await createFile(db, { shortCode: 'stored2', storageChatId: '-1002', storageMessageId: 10 });
+  api.overrides.copyMessage = () => {
+    throw Object.assign(new Error('Bad Request: message to copy not found'), {
+      response: { error_code: 400, description: 'Bad Request: message to copy not found' }
+    });
+  };
+
+  await send(textUpdate(VIEWER, '/start stored2'));
+
+  const [sent] = api.callsOf('sendDocument', VIEWER);
+  assert.equal(sent.payload.document, 'file-stored2');
+});
+
+test('aliases deliver the original file and keep their own counters', async () => {
+  const { db, api } = setup();
+  await verifiedUser(db);
+  const original = await createFile(db, { shortCode: 'orig', fileUniqueId: 'u-orig' });
+  await createFile(db, { shortCode: 'alias', aliasOf: original._id, fileId: undefined });
+
+  await send(textUpdate(VIEWER, '/start alias'));
+
+  assert.equal(api.callsOf('sendDocument', VIEWER)[0].payload.document, 'file-orig');
+  assert.equal((await db.files.findOne({ shortCode: 'alias' })).downloads, 1);
+  assert.equal((await db.files.findOne({ shortCode: 'orig' })).downloads, 0);
+});
+
+test('deactivated, expired and exhausted links are refused', async () => {
+  const { db, api } = setup();
+  await verifiedUser(db);
+  await createFile(db, { shortCode: 'gone', isActive: false });
+  await createFile(db, { shortCode: 'old', expiresAt: new Date(Date.now() - 1000) });
+  await createFile(db, { shortCode: 'used', maxDownloads: 2, downloads: 2 });
+
+  await send(textUpdate(VIEWER, '/start gone'));
+  assert.match(api.lastMessageTo(VIEWER).text, /File not found/);
+  await send(textUpdate(VIEWER, '/start old'));
+  assert.match(api.lastMessageTo(VIEWER).text, /Link Expired/);
+  await send(textUpdate(VIEWER, '/start used'));
+  assert.match(api.lastMessageTo(VIEWER).text, /Download Limit Reached/);
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 0);
+});
+
+test('password protected links ask for the password first', async () => {
+  const { db, api } = setup();
+  await verifiedUser(db);
+  const file = await createFile(db, { shortCode: 'secret' });
+
+  // The uploader sets the password through Link Options
+  await send(callbackUpdate(1, `mf_pwd_${file._id}`));
+  await send(textUpdate(1, 'hunter2'));
+  assert.ok((await db.files.findOne({ shortCode: 'secret' })).passwordHash);
+
+  await send(textUpdate(VIEWER, '/start secret'));
+  assert.match(api.lastMessageTo(VIEWER).text, /Password Required/);
+  await send(textUpdate(VIEWER, 'wrong'));
+  assert.match(api.lastMessageTo(VIEWER).text, /Wrong password/);
+  await send(textUpdate(VIEWER, 'hunter2'));
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 1);
+});
+
+test('wrong passwords lock the link even when it is opened again', async () => {
+  const { db, api } = setup();
+  await verifiedUser(db);
+  const file = await createFile(db, { shortCode: 'locked' });
+  await send(callbackUpdate(1, `mf_pwd_${file._id}`));
+  await send(textUpdate(1, 'open sesame'));
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    // Reopening the link must not reset the count
+    await send(textUpdate(VIEWER, '/start locked'));
+    await send(textUpdate(VIEWER, `guess ${attempt}`));
+  }
+  assert.match(api.lastMessageTo(VIEWER).text, /Too many wrong attempts\. Try again in 15m/);
+
+  await send(textUpdate(VIEWER, '/start locked'));
+  assert.match(api.lastMessageTo(VIEWER).text, /Too many wrong attempts/);
+  await send(textUpdate(VIEWER, 'open sesame'));
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 0);
+  assert.equal(await db.events.count({ type: 'failed', reason: 'password' }), 1);
+});
+
+test('batches deliver every file in order and schedule auto-delete', async () => {
+  const { db, api } = setup();
+  await verifiedUser(db);
+  await db.settings.create({ key: 'auto_delete', value: 60 });
+  const first = await createFile(db, { shortCode: 'part1' });
+  const second = await createFile(db, { shortCode: 'part2' });
+  await db.batches.create({ shortCode: 'bundle', createdBy: 1, files: [second._id, first._id] });
+
+  await send(textUpdate(VIEWER, '/start bundle'));
+
+  assert.deepEqual(api.callsOf('sendDocument', VIEWER).map(call => call.payload.document), ['file-part2', 'file-part1']);
+  assert.equal((await db.batches.findOne({ shortCode: 'bundle' })).downloads, 1);
+  const jobs = await db.deleteJobs.find({ chatId: VIEWER });
+  assert.equal(jobs.length, 2);
+  assert.equal(jobs.filter(job => job.shortCode === 'bundle').length, 1);
+});
@@ -0,0 +1,172 @@
+// Shared setup for the bot tests: environment, in-memory storage, a fake
+// Telegram Bot API that records every call, and builders for updates.
+process.env.BOT_TOKEN = '123456:TEST';
+process.env.BOT_USERNAME = 'testbot';
+process.env.OWNER_ID = '1';
+process.env.ADMIN_IDS = '2';
+process.env.LOG_CHANNEL = '-1001';
+process.env.DB_CHANNEL = '-1002';
+
+const http = require('http');
+const { Telegram } = require('telegraf');
+const { bot, useStorage } = require('..');
+const { createMemoryStorage } = require('../storage');
+
+const OWNER_ID = 1;
+const ADMIN_ID = 2;
+const LOG_CHANNEL = -1001;
+const DB_CHANNEL = -1002;
+
+// The test runner reads its reports from stdout, keep the bot's logs off it
+console.log = console.error;
+
+bot.botInfo = { id: 42, is_bot: true, first_name: 'File Store', username: 'testbot' };
+
+// Every Telegram instance, including the per-update ones, goes through here
+let api;
+Telegram.prototype.callApi = function (method, payload = {}) {
+  return api.call(method, payload, this.token);
+};
+
+const createFakeApi = () => {
+  let messageId = 5000;
+  const calls = [];
+  const fake = {
+    calls,
+    // channelId:userId -> chat member status, anyone else has 'left'
+    members: {},
+    // method -> (payload) => result, to simulate specific answers or errors
+    overrides: {},
+    // Calls record the token so clone bots can be told apart
+    call: async (method, payload, token) => {
+      calls.push({ method, payload, token });
+      if (fake.overrides[method]) return fake.overrides[method](payload);
+      if (method === 'getChatMember') {
+        return { status: fake.members[`${payload.chat_id}:${payload.user_id}`] || 'left', user: { id: payload.user_id } };
+      }
+      if (method === 'getChat') return { id: -100500, type: 'channel', title: 'Test Channel' };
+      if (method === 'copyMessage') return { message_id: ++messageId };
+      if (method === 'createChatInviteLink') {
+        return { invite_link: `https://t.me/+invite${++messageId}`, creates_join_request: !!payload.creates_join_request };
+      }
+      if (method.startsWith('send') || method === 'forwardMessage') {
+        return { message_id: ++messageId, date: Math.floor(Date.now() / 1000), chat: { id: payload.chat_id }, text: payload.text };
+      }
+      return true;
+    },
+    // Calls of one method, optionally only those to one chat
+    callsOf: (method, chatId) => calls.filter(call =>
+      call.method === method && (chatId === undefined || String(call.payload.chat_id) === String(chatId))
+    ),
+    // Texts the bot sent to a chat, in order
+    messagesTo: (chatId) => fake.callsOf('sendMessage', chatId).map(call => call.payload.text),
+    lastMessageTo: (chatId) => fake.callsOf('sendMessage', chatId).map(call => call.payload).pop()
+  };
+  return fake;
+};
+
+// Fresh storage and Telegram API for a test
+const setup = () => {
+  const db = createMemoryStorage();
+  useStorage(db);
+  api = createFakeApi();
+  return { db, api };
+};
+
+let nextId = 1;
+
+const userOf = (id) => ({ id, is_bot: false, first_name: `User${id}`, username: `user${id}` });
+
+const messageUpdate = (userId, fields) => ({
+  update_id: nextId++,
+  message: {
+    message_id: nextId++,
+    date: Math.floor(Date.now() / 1000),
+    chat: { id: userId, type: 'private' },
+    from: userOf(userId),
+    ...fields
+  }
+});
+
+const textUpdate = (userId, text) => messageUpdate(userId, {
+  text,
+  entities: text.startsWith('/') ? [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }] : undefined
+});
+
+const documentUpdate = (userId, { fileUniqueId, fileName = 'report.pdf', caption } = {}) => messageUpdate(userId, {
+  document: {
+    file_id: `file-${fileUniqueId}`,
+    file_unique_id: fileUniqueId,
+    file_name: fileName,
+    file_size: 2048
+  },
+  caption
+});
+
+const callbackUpdate = (userId, data) => ({
+  update_id: nextId++,
+  callback_query: {
+    id: String(nextId++),
+    from: userOf(userId),
+    chat_instance: '1',
+    data,
+    message: { message_id: 1, date: Math.floor(Date.now() / 1000), chat: { id: userId, type: 'private' }, text: '...' }
+  }
+});
+
+const inlineQueryUpdate = (userId, query, offset = '') => ({
+  update_id: nextId++,
+  inline_query: { id: String(nextId++), from: userOf(userId), query, offset }
+});
+
+const joinRequestUpdate = (userId, chatId) => ({
+  update_id: nextId++,
+  chat_join_request: {
+    chat: { id: chatId, type: 'channel', title: 'Test Channel' },
+    from: userOf(userId),
+    user_chat_id: userId,
+    date: Math.floor(Date.now() / 1000)
+  }
+});
+
+// Handle an update and let fire-and-forget replies settle. Clone tests pass
+// the clone's Telegraf instance as `target`.
+const send = async (update, target = bot) => {
+  await target.handleUpdate(update);
+  await new Promise(resolve => setImmediate(resolve));
+};
+
+// A local shortener for the `template` provider that records what it shortened
+const startShortener = async () => {
+  const urls = [];
+  const server = http.createServer((req, res) => {
+    urls.push(new URL(req.url, 'http://localhost').searchParams.get('url'));
+    res.end(`https://short.test/${urls.length}`);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    urls,
+    provider: {
+      name: 'local',
+      type: 'template',
+      template: `http://127.0.0.1:${server.address().port}/?url={url}`,
+      enabled: true
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  OWNER_ID,
+  ADMIN_ID,
+  LOG_CHANNEL,
+  DB_CHANNEL,
+  setup,
+  send,
+  textUpdate,
+  documentUpdate,
+  callbackUpdate,
+  inlineQueryUpdate,
+  joinRequestUpdate,
+  startShortener
+};
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, callbackUpdate, ADMIN_ID } = require('./helpers');
+
+const READER = 1000;
+
+// A message from a user whose Telegram app is set to `languageCode`
+const textFrom = (userId, text, languageCode) => {
+  const update = textUpdate(userId, text);
+  update.message.from.language_code = languageCode;
+  return update;
+};
+
+test('the language comes from the Telegram app, with English as fallback', async () => {
+  const { api } = setup();
+
+  await send(textFrom(READER, '/start', 'hi'));
+  assert.match(api.lastMessageTo(READER).text, /स्वागत/);
+
+  await send(textFrom(READER + 1, '/start', 'id-ID'));
+  assert.match(api.lastMessageTo(READER + 1).text, /Selamat datang/);
+
+  await send(textFrom(READER + 2, '/start', 'fr'));
+  assert.match(api.lastMessageTo(READER + 2).text, /Welcome to File Store Bot/);
+});
+
+test('stored legacy defaults leave the catalog alone, /setstart still applies to all', async () => {
+  const { db, api } = setup();
+  // What earlier versions wrote at every boot
+  await db.settings.create({
+    key: 'start_msg',
+    value: '👋 *Welcome to File Store Bot!*\n\n' +
+      '📤 Send me any file and I\'ll give you a shareable link.\n\n' +
+      '💡 Share links with others to distribute your files easily!'
+  });
+  await db.settings.create({
+    key: 'help_msg',
+    value: '📚 *Help Menu*\n\n1️⃣ Send file to bot\n2️⃣ Get shareable link\n3️⃣ Share with others\n' +
+      '4️⃣ First-time users verify\n5️⃣ Direct access after'
+  });
+
+  await send(textFrom(READER, '/start', 'hi'));
+  assert.match(api.lastMessageTo(READER).text, /स्वागत/);
+  await send(textFrom(READER + 1, '/help', 'en'));
+  assert.match(api.lastMessageTo(READER + 1).text, /\/batch/);
+
+  await send(textUpdate(ADMIN_ID, '/setstart Hello from the admins'));
+  await send(textFrom(READER, '/start', 'hi'));
+  assert.equal(api.lastMessageTo(READER).text, 'Hello from the admins');
+});
+
+test('/language overrides the detected language', async () => {
+  const { db, api } = setup();
+
+  await send(textFrom(READER, '/language', 'en'));
+  const buttons = api.lastMessageTo(READER).reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+  assert.deepEqual(buttons, ['lang_en', 'lang_hi', 'lang_id', 'lang_auto']);
+
+  await send(callbackUpdate(READER, 'lang_id'));
+  assert.equal((await db.users.findOne({ userId: READER })).language, 'id');
+  assert.match(api.callsOf('answerCallbackQuery').pop().payload.text, /Bahasa diatur/);
+
+  await send(textFrom(READER, '/start xyz', 'en'));
+  assert.match(api.lastMessageTo(READER).text, /File tidak ditemukan/);
+
+  await send(callbackUpdate(READER, 'lang_auto'));
+  assert.equal((await db.users.findOne({ userId: READER })).language, undefined);
+});
+
+test('admins override any message per language', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(ADMIN_ID, '/setmessage hi file_not_found 🔍 *फ़ाइल गायब है*\nदूसरा लिंक आज़माएँ।'));
+  assert.deepEqual(
+    (await db.settings.findOne({ key: 'messages_hi' })).value,
+    { file_not_found: '🔍 *फ़ाइल गायब है*\nदूसरा लिंक आज़माएँ।' }
+  );
+  assert.equal((await db.auditLogs.findOne({ target: 'messages_hi' })).action, 'setting');
+
+  await send(textFrom(READER, '/start nope', 'hi'));
+  assert.equal(api.lastMessageTo(READER).text, '🔍 *फ़ाइल गायब है*\nदूसरा लिंक आज़माएँ।');
+
+  // Other languages keep the built-in text
+  await send(textFrom(READER + 1, '/start nope', 'en'));
+  assert.match(api.lastMessageTo(READER + 1).text, /File not found/);
+
+  await send(textUpdate(ADMIN_ID, '/resetmessage hi file_not_found'));
+  await send(textFrom(READER, '/start nope', 'hi'));
+  assert.match(api.lastMessageTo(READER).text, /फ़ाइल नहीं मिली/);
+});
+
+test('unknown keys are refused', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(ADMIN_ID, '/setmessage hi no_such_key hello'));
+
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /Unknown language or message key/);
+  assert.equal(await db.settings.findOne({ key: 'messages_hi' }), null);
+});
+
+test('command replies and messages sent outside an update use the user language', async () => {
+  const { api } = setup();
+
+  await send(textFrom(READER, '/batch', 'hi'));
+  assert.match(api.lastMessageTo(READER).text, /बैच मोड शुरू/);
+  await send(textFrom(READER, '/done', 'hi'));
+  assert.match(api.lastMessageTo(READER).text, /बैच खाली है/);
+
+  await send(textFrom(READER + 1, '/search', 'id'));
+  assert.match(api.lastMessageTo(READER + 1).text, /Cari File/);
+
+  // Premium notices go by the language stored at /start
+  await send(textFrom(READER + 2, '/start', 'id'));
+  await send(textUpdate(ADMIN_ID, `/addpremium ${READER + 2} 30d`));
+  assert.match(api.lastMessageTo(READER + 2).text, /Premium Aktif/);
+});
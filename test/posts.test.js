@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, documentUpdate, callbackUpdate, ADMIN_ID, LOG_CHANNEL } = require('./helpers');
+
+const USER = 1300;
+const CHANNEL_ID = '-100500';
+
+const postChannel = (mode, template) => ({ chatId: CHANNEL_ID, title: 'Releases', mode, template });
+
+const uploadWithThumbnail = (userId, fileUniqueId) => {
+  const update = documentUpdate(userId, { fileUniqueId, fileName: 'season_1.zip' });
+  update.message.document.thumbnail = { file_id: `thumb-${fileUniqueId}`, file_unique_id: `t-${fileUniqueId}`, width: 90, height: 90 };
+  return update;
+};
+
+test('uploads are posted to auto channels as a card with a Get File button', async () => {
+  const { db, api } = setup();
+  await db.settings.create({ key: 'post_channels', value: [postChannel('auto')] });
+
+  await send(uploadWithThumbnail(USER, 'post-a'));
+
+  const file = await db.files.findOne({ fileUniqueId: 'post-a' });
+  assert.equal(file.thumbFileId, 'thumb-post-a');
+  const [card] = api.callsOf('sendPhoto', CHANNEL_ID);
+  assert.equal(card.payload.photo, 'thumb-post-a');
+  assert.equal(card.payload.caption, '📄 *season\\_1.zip*\n\n📦 Size: 2 KB');
+  assert.equal(card.payload.reply_markup.inline_keyboard[0][0].url, `https://t.me/testbot?start=${file.shortCode}`);
+
+  const post = await db.posts.findOne({ file: file._id });
+  assert.equal(post.status, 'posted');
+  assert.ok(post.messageId);
+});
+
+test('approval channels wait for staff to approve from the log channel', async () => {
+  const { db, api } = setup();
+  await db.settings.create({ key: 'post_channels', value: [postChannel('approval')] });
+
+  await send(uploadWithThumbnail(USER, 'post-b'));
+  const post = await db.posts.findOne({});
+  assert.equal(post.status, 'pending');
+  assert.equal(api.callsOf('sendPhoto', CHANNEL_ID).length, 0);
+  const [request] = api.callsOf('sendPhoto', LOG_CHANNEL);
+  assert.match(request.payload.caption, /^📮 \*Post to Releases\?\*/);
+  assert.equal(request.payload.reply_markup.inline_keyboard[0][0].callback_data, `post_ok_${post._id}`);
+
+  await send(callbackUpdate(USER, `post_ok_${post._id}`));
+  assert.match(api.callsOf('answerCallbackQuery').pop().payload.text, /permission/);
+  assert.equal((await db.posts.findById(post._id)).status, 'pending');
+
+  await send(callbackUpdate(ADMIN_ID, `post_ok_${post._id}`));
+  assert.equal((await db.posts.findById(post._id)).status, 'posted');
+  assert.equal(api.callsOf('sendPhoto', CHANNEL_ID).length, 1);
+  assert.equal((await db.auditLogs.findOne({ action: 'approvepost' })).target, String(post._id));
+
+  await send(callbackUpdate(ADMIN_ID, `post_no_${post._id}`));
+  assert.match(api.callsOf('answerCallbackQuery').pop().payload.text, /Already posted/);
+});
+
+test('posts can be scheduled, cancelled and use the channel template', async () => {
+  const { db, api } = setup();
+  await db.settings.create({ key: 'post_channels', value: [postChannel('approval')] });
+  await db.files.create({ fileId: 'file-s', fileType: 'document', fileName: 'notes.txt', fileSize: 10, shortCode: 'sched1', uploadedBy: USER });
+
+  await send(textUpdate(ADMIN_ID, '/posttemplate -100500 New: {name} ({size}) {link}'));
+  assert.equal((await db.settings.findOne({ key: 'post_channels' })).value[0].template, 'New: {name} ({size}) {link}');
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /Template saved/);
+
+  await send(textUpdate(ADMIN_ID, '/schedulepost sched1 2h'));
+  const scheduled = await db.posts.findOne({ status: 'scheduled' });
+  assert.ok(scheduled.postAt > new Date(Date.now() + 3600 * 1000));
+  await send(textUpdate(ADMIN_ID, '/postqueue'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, new RegExp(`🕒 \`${scheduled._id}\` notes.txt\\n {3}→ Releases`));
+
+  await send(textUpdate(ADMIN_ID, `/cancelpost ${scheduled._id}`));
+  assert.equal((await db.posts.findById(scheduled._id)).status, 'cancelled');
+
+  await send(textUpdate(ADMIN_ID, '/schedulepost sched1 now'));
+  const [card] = api.callsOf('sendMessage', CHANNEL_ID);
+  assert.equal(card.payload.text, 'New: notes.txt (10 Bytes) https://t.me/testbot?start=sched1');
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /Posted to 1 channel/);
+});
+
+test('post channels need the bot as admin and can be removed', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(ADMIN_ID, '/addpostchannel -100500 approval'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /Make the bot an admin/);
+
+  api.members[`${CHANNEL_ID}:42`] = 'administrator';
+  await send(textUpdate(ADMIN_ID, '/addpostchannel -100500 approval'));
+  assert.deepEqual((await db.settings.findOne({ key: 'post_channels' })).value, [
+    { chatId: CHANNEL_ID, title: 'Test Channel', mode: 'approval' }
+  ]);
+
+  await send(uploadWithThumbnail(USER, 'post-c'));
+  await send(textUpdate(ADMIN_ID, `/removepostchannel ${CHANNEL_ID}`));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /1 queued post\(s\) were cancelled/);
+  assert.equal((await db.posts.findOne({})).status, 'cancelled');
+  assert.equal((await db.settings.findOne({ key: 'post_channels' })).value.length, 0);
+});
+
+test('the uploader gets the link without waiting for channel posts', async () => {
+  const { db, api } = setup();
+  await db.settings.create({ key: 'post_channels', value: [postChannel('auto')] });
+  let release;
+  api.overrides.sendPhoto = () => new Promise(resolve => { release = resolve; });
+
+  await send(uploadWithThumbnail(USER, 'post-d'));
+  assert.match(api.lastMessageTo(USER).text, /File Uploaded Successfully/);
+  assert.equal((await db.posts.findOne({})).status, 'scheduled');
+
+  release({ message_id: 77 });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal((await db.posts.findOne({})).status, 'posted');
+});
+
+test('batch uploads are posted, text posts are not', async () => {
+  const { db, api } = setup();
+  await db.settings.create({ key: 'post_channels', value: [postChannel('auto')] });
+
+  await send(textUpdate(USER, '/batch'));
+  await send(uploadWithThumbnail(USER, 'post-e'));
+  await send(textUpdate(USER, 'Mirror: https://example.com/post-e'));
+  await send(textUpdate(USER, '/done'));
+
+  const file = await db.files.findOne({ fileUniqueId: 'post-e' });
+  const [card] = api.callsOf('sendPhoto', CHANNEL_ID);
+  assert.equal(card.payload.reply_markup.inline_keyboard[0][0].url, `https://t.me/testbot?start=${file.shortCode}`);
+  assert.equal(await db.posts.count({}), 1);
+  assert.equal(api.callsOf('sendMessage', CHANNEL_ID).length, 0);
+});
+
+test('cards use the photo an alias points to and fall back to text', async () => {
+  const { db, api } = setup();
+  await db.settings.create({ key: 'post_channels', value: [postChannel('auto')] });
+  const photo = await db.files.create({ fileId: 'photo-f', fileType: 'photo', fileName: 'Photo', fileSize: 10, shortCode: 'photo1', uploadedBy: USER });
+  await db.files.create({ fileType: 'photo', fileName: 'Photo', fileSize: 10, shortCode: 'alias1', uploadedBy: USER + 1, aliasOf: photo._id });
+  // Received by a shared clone, this bot can't send its file_id
+  await db.files.create({ fileId: 'photo-g', fileType: 'photo', fileName: 'Photo', fileSize: 10, shortCode: 'photo2', uploadedBy: USER, uploadBot: 777 });
+
+  await send(textUpdate(ADMIN_ID, '/schedulepost alias1 now'));
+  assert.equal(api.callsOf('sendPhoto', CHANNEL_ID).pop().payload.photo, 'photo-f');
+
+  await send(textUpdate(ADMIN_ID, '/schedulepost photo2 now'));
+  assert.equal(api.callsOf('sendPhoto', CHANNEL_ID).length, 1);
+  assert.match(api.callsOf('sendMessage', CHANNEL_ID).pop().payload.reply_markup.inline_keyboard[0][0].url, /start=photo2$/);
+
+  api.overrides.sendPhoto = () => {
+    throw Object.assign(new Error('400: Bad Request: wrong file identifier'), { description: 'Bad Request: wrong file identifier' });
+  };
+  await send(textUpdate(ADMIN_ID, '/schedulepost photo1 now'));
+  assert.match(api.callsOf('sendMessage', CHANNEL_ID).pop().payload.reply_markup.inline_keyboard[0][0].url, /start=photo1$/);
+  assert.equal(await db.posts.count({ status: 'posted' }), 3);
+});
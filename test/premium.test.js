@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, ADMIN_ID } = require('./helpers');
+
+const MEMBER = 800;
+const CHANNEL_ID = '-100500';
+
+const seed = async (db) => {
+  await db.files.create({ fileId: 'file-p', fileType: 'document', fileName: 'p.zip', shortCode: 'prem01', uploadedBy: 1 });
+  await db.channels.create({ channelId: CHANNEL_ID, username: '@updates', title: 'Updates' });
+  await db.settings.create({ key: 'protect_content', value: true });
+  await db.settings.create({ key: 'auto_delete', value: 60 });
+};
+
+test('premium users skip verification and channels, with unprotected files', async () => {
+  const { db, api } = setup();
+  await seed(db);
+  await db.users.create({ userId: MEMBER, premiumUntil: new Date(Date.now() + 86400 * 1000) });
+
+  await send(textUpdate(MEMBER, '/start prem01'));
+
+  const [sent] = api.callsOf('sendDocument', MEMBER);
+  assert.ok(sent);
+  assert.equal(sent.payload.protect_content, false);
+  assert.equal((await db.deleteJobs.find({ chatId: MEMBER })).length, 0);
+});
+
+test('without premium perks files stay protected and are auto-deleted', async () => {
+  const { db, api } = setup();
+  await seed(db);
+  await db.settings.create({ key: 'premium_perks', value: false });
+  await db.users.create({ userId: MEMBER, premiumUntil: new Date(Date.now() + 86400 * 1000) });
+
+  await send(textUpdate(MEMBER, '/start prem01'));
+
+  assert.equal(api.callsOf('sendDocument', MEMBER)[0].payload.protect_content, true);
+  assert.equal((await db.deleteJobs.find({ chatId: MEMBER })).length, 1);
+});
+
+test('expired premium no longer skips the checks', async () => {
+  const { db, api } = setup();
+  await seed(db);
+  await db.users.create({ userId: MEMBER, premiumUntil: new Date(Date.now() - 1000) });
+
+  await send(textUpdate(MEMBER, '/start prem01'));
+
+  assert.match(api.lastMessageTo(MEMBER).text, /Access Restricted/);
+  assert.equal(api.callsOf('sendDocument', MEMBER).length, 0);
+});
+
+test('admins grant, extend and remove premium', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(ADMIN_ID, `/addpremium ${MEMBER} 10d`));
+  const granted = (await db.users.findOne({ userId: MEMBER })).premiumUntil;
+  assert.ok(granted - Date.now() > 9 * 86400 * 1000);
+  assert.match(api.messagesTo(MEMBER)[0], /Premium Activated/);
+
+  // A second grant extends the current one
+  await send(textUpdate(ADMIN_ID, `/addpremium ${MEMBER} 1d`));
+  const extended = (await db.users.findOne({ userId: MEMBER })).premiumUntil;
+  assert.equal(extended - granted, 86400 * 1000);
+
+  await send(textUpdate(MEMBER, '/mypremium'));
+  assert.match(api.lastMessageTo(MEMBER).text, /Premium Active/);
+
+  await send(textUpdate(ADMIN_ID, `/removepremium ${MEMBER}`));
+  assert.equal((await db.users.findOne({ userId: MEMBER })).premiumUntil, undefined);
+  assert.equal((await db.auditLogs.find({ action: { $in: ['addpremium', 'removepremium'] } })).length, 3);
+
+  await send(textUpdate(MEMBER, '/mypremium'));
+  assert.match(api.lastMessageTo(MEMBER).text, /don't have premium/);
+});
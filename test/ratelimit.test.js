@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, callbackUpdate, ADMIN_ID } = require('./helpers');
+
+// Counters are kept per process, so every test uses its own users
+test('going over a limit gets one cooldown message', async () => {
+  const { db, api } = setup();
+  const user = 1100;
+  await db.settings.create({ key: 'rate_limits', value: { open: 2 } });
+
+  for (let i = 0; i < 4; i++) await send(textUpdate(user, '/start nope'));
+
+  const replies = api.messagesTo(user);
+  assert.equal(replies.length, 3);
+  assert.match(replies[2], /Slow down! .* Try again in (1m|\d+s)\./);
+  assert.equal((await db.users.findOne({ userId: user })).isBanned, false);
+});
+
+test('repeat offenders are banned with a reason', async () => {
+  const { db, api } = setup();
+  const user = 1101;
+  await db.settings.create({ key: 'rate_limits', value: { open: 1, callback: 1, autoban: 2 } });
+
+  await send(textUpdate(user, '/start nope'));
+  await send(textUpdate(user, '/start nope'));
+  await send(callbackUpdate(user, 'verify_sub'));
+  await send(callbackUpdate(user, 'verify_sub'));
+
+  const banned = await db.users.findOne({ userId: user });
+  assert.equal(banned.isBanned, true);
+  assert.match(banned.banReason, /Rate limit: 2 strikes in 24h \(last: callback\)/);
+  assert.match(api.callsOf('answerCallbackQuery').pop().payload.text, /banned for repeatedly/);
+
+  const entry = await db.auditLogs.findOne({ action: 'ban', target: String(user) });
+  assert.equal(entry.actorName, 'rate limit');
+});
+
+test('staff are never limited', async () => {
+  const { db, api } = setup();
+  await db.settings.create({ key: 'rate_limits', value: { open: 1 } });
+
+  for (let i = 0; i < 3; i++) await send(textUpdate(ADMIN_ID, '/start nope'));
+
+  assert.ok(api.messagesTo(ADMIN_ID).every(text => /File not found/.test(text)));
+});
+
+test('/limits shows and changes the thresholds', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(ADMIN_ID, '/limits'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /Uploads per hour: 30/);
+
+  await send(textUpdate(ADMIN_ID, '/limits upload 5'));
+  await send(textUpdate(ADMIN_ID, '/limits callback 0'));
+  assert.deepEqual((await db.settings.findOne({ key: 'rate_limits' })).value, { upload: 5, callback: 0 });
+
+  await send(textUpdate(ADMIN_ID, '/limits'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /Uploads per hour: 5\n.*\n• `callback` Button presses per minute: off/);
+
+  await send(textUpdate(ADMIN_ID, '/limits speed 5'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /Usage/);
+});
+
+test('bans made by staff can carry a reason', async () => {
+  const { db } = setup();
+
+  await send(textUpdate(ADMIN_ID, '/ban 1102 spamming links'));
+  assert.equal((await db.users.findOne({ userId: 1102 })).banReason, 'spamming links');
+
+  await send(textUpdate(ADMIN_ID, '/unban 1102'));
+  assert.equal((await db.users.findOne({ userId: 1102 })).banReason, undefined);
+});
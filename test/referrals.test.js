@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, ADMIN_ID } = require('./helpers');
+
+const REFERRER = 900;
+const NEWCOMER = 901;
+
+// The newcomer arrives through the referral link, then verifies
+const referAndVerify = async (db) => {
+  await send(textUpdate(NEWCOMER, `/start ref_${REFERRER}`));
+  await db.users.updateOne({ userId: NEWCOMER }, { verifyToken: 'tok123', verifyTokenAt: new Date() });
+  await send(textUpdate(NEWCOMER, '/start verify_tok123'));
+};
+
+test('referrals count once the referred user verifies and reward the referrer', async () => {
+  const { db, api } = setup();
+  await db.users.create({ userId: REFERRER });
+  await db.settings.create({ key: 'referral_reward', value: { type: 'verify', seconds: 3 * 86400 } });
+
+  await send(textUpdate(NEWCOMER, `/start ref_${REFERRER}`));
+  assert.equal((await db.users.findOne({ userId: NEWCOMER })).referredBy, REFERRER);
+
+  await send(textUpdate(REFERRER, '/referrals'));
+  assert.match(api.lastMessageTo(REFERRER).text, /Counted: 0\n⏳ Not counted yet: 1/);
+
+  await db.users.updateOne({ userId: NEWCOMER }, { verifyToken: 'tok123', verifyTokenAt: new Date() });
+  await send(textUpdate(NEWCOMER, '/start verify_tok123'));
+
+  const referrer = await db.users.findOne({ userId: REFERRER });
+  assert.ok(referrer.verifyBypassUntil - Date.now() > 2 * 86400 * 1000);
+  assert.match(api.lastMessageTo(REFERRER).text, /New Referral/);
+
+  await send(textUpdate(REFERRER, '/referrals'));
+  assert.match(api.lastMessageTo(REFERRER).text, /Counted: 1/);
+});
+
+test('premium rewards extend the referrer\'s premium', async () => {
+  const { db } = setup();
+  await db.users.create({ userId: REFERRER });
+  await db.settings.create({ key: 'referral_reward', value: { type: 'premium', seconds: 86400 } });
+
+  await referAndVerify(db);
+
+  const referrer = await db.users.findOne({ userId: REFERRER });
+  assert.ok(referrer.premiumUntil > new Date());
+});
+
+test('referrals count when the referred user gets a file without verifying', async () => {
+  const { db, api } = setup();
+  await db.users.create({ userId: REFERRER });
+  await db.files.create({ fileId: 'file-ref', fileType: 'document', fileName: 'ref.zip', shortCode: 'ref123', uploadedBy: 1 });
+
+  // No shortener works and the failure policy lets users through
+  await db.settings.create({ key: 'shortener_fail_policy', value: 'allow' });
+  await send(textUpdate(NEWCOMER, `/start ref_${REFERRER}`));
+  await send(textUpdate(NEWCOMER, '/start ref123'));
+  assert.equal(api.callsOf('sendDocument', NEWCOMER).length, 1);
+  assert.ok((await db.users.findOne({ userId: NEWCOMER })).referralCountedAt);
+  assert.match(api.lastMessageTo(REFERRER).text, /New Referral/);
+
+  // Premium users skip verification
+  await db.settings.deleteOne({ key: 'shortener_fail_policy' });
+  await send(textUpdate(NEWCOMER + 1, `/start ref_${REFERRER}`));
+  await db.users.updateOne({ userId: NEWCOMER + 1 }, { premiumUntil: new Date(Date.now() + 86400 * 1000) });
+  await send(textUpdate(NEWCOMER + 1, '/start ref123'));
+  assert.equal(api.callsOf('sendDocument', NEWCOMER + 1).length, 1);
+  assert.ok((await db.users.findOne({ userId: NEWCOMER + 1 })).referralCountedAt);
+
+  await send(textUpdate(NEWCOMER + 1, '/start ref123'));
+  assert.equal(api.messagesTo(REFERRER).filter(text => /New Referral/.test(text)).length, 2);
+});
+
+test('self-referrals and existing users are not counted', async () => {
+  const { db } = setup();
+  await db.users.create({ userId: REFERRER });
+
+  await send(textUpdate(NEWCOMER, `/start ref_${NEWCOMER}`));
+  assert.equal((await db.users.findOne({ userId: NEWCOMER })).referredBy, undefined);
+
+  // Already known to the bot by now
+  await send(textUpdate(NEWCOMER, `/start ref_${REFERRER}`));
+  assert.equal((await db.users.findOne({ userId: NEWCOMER })).referredBy, undefined);
+});
+
+test('admins set the reward and see the leaderboard', async () => {
+  const { db, api } = setup();
+  await db.users.create({ userId: REFERRER, firstName: 'Rita' });
+
+  await send(textUpdate(ADMIN_ID, '/referralreward premium 2d'));
+  assert.deepEqual((await db.settings.findOne({ key: 'referral_reward' })).value, { type: 'premium', seconds: 172800 });
+
+  await referAndVerify(db);
+
+  await send(textUpdate(ADMIN_ID, '/referraltop'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /1\. `900` Rita \(🤝 1\)/);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, documentUpdate, OWNER_ID, ADMIN_ID } = require('./helpers');
+
+const STAFF = 500;
+const TARGET = 501;
+
+test('the owner promotes and demotes staff', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(OWNER_ID, `/promote ${STAFF} moderator`));
+  assert.equal((await db.users.findOne({ userId: STAFF })).role, 'moderator');
+  assert.match(api.lastMessageTo(OWNER_ID).text, /Moderator/);
+
+  await send(textUpdate(OWNER_ID, `/demote ${STAFF}`));
+  assert.equal((await db.users.findOne({ userId: STAFF })).role, 'user');
+});
+
+test('only the owner can change roles', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(ADMIN_ID, `/promote ${STAFF} admin`));
+
+  assert.equal(api.lastMessageTo(ADMIN_ID).text, '❌ Owner only command.');
+  assert.equal(await db.users.findOne({ userId: STAFF }), null);
+});
+
+test('moderators can ban but not change settings', async () => {
+  const { db, api } = setup();
+  await db.users.create({ userId: STAFF, role: 'moderator' });
+
+  await send(textUpdate(STAFF, `/ban ${TARGET}`));
+  assert.equal((await db.users.findOne({ userId: TARGET })).isBanned, true);
+
+  await send(textUpdate(STAFF, '/protect on'));
+  assert.match(api.lastMessageTo(STAFF).text, /don't have permission/);
+  assert.equal(await db.settings.findOne({ key: 'protect_content' }), null);
+});
+
+test('demoting an ADMIN_IDS admin overrides the environment', async () => {
+  const { db, api } = setup();
+
+  await send(textUpdate(ADMIN_ID, '/protect on'));
+  assert.equal((await db.settings.findOne({ key: 'protect_content' })).value, true);
+
+  await send(textUpdate(OWNER_ID, `/demote ${ADMIN_ID}`));
+  await send(textUpdate(ADMIN_ID, '/protect off'));
+  assert.match(api.lastMessageTo(ADMIN_ID).text, /don't have permission/);
+});
+
+test('restricted uploads only accept files from uploaders and staff', async () => {
+  const { db, api } = setup();
+  await db.settings.create({ key: 'uploads_restricted', value: true });
+  await db.users.create({ userId: STAFF, role: 'uploader' });
+
+  await send(documentUpdate(TARGET, { fileUniqueId: 'private-1' }));
+  assert.match(api.lastMessageTo(TARGET).text, /Uploads are restricted/);
+  assert.equal(await db.files.count(), 0);
+
+  await send(documentUpdate(STAFF, { fileUniqueId: 'private-1' }));
+  assert.equal(await db.files.count(), 1);
+});
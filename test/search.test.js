@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, callbackUpdate, inlineQueryUpdate } = require('./helpers');
+
+const SEARCHER = 600;
+
+const createFile = (db, fields) => db.files.create({
+  fileId: `file-${fields.shortCode}`, fileType: 'document', uploadedBy: 1, ...fields
+});
+
+const inlineResults = (api) => api.callsOf('answerInlineQuery').pop().payload;
+
+test('inline search matches names and captions of active files only', async () => {
+  const { db, api } = setup();
+  await createFile(db, { shortCode: 'movie1', fileName: 'Holiday.mkv' });
+  await createFile(db, { shortCode: 'movie2', fileName: 'clip.mp4', caption: 'holiday trailer' });
+  await createFile(db, { shortCode: 'gone', fileName: 'holiday-old.mkv', isActive: false });
+  await createFile(db, { shortCode: 'expired', fileName: 'holiday-2020.mkv', expiresAt: new Date(Date.now() - 1000) });
+  await createFile(db, { shortCode: 'other', fileName: 'notes.txt' });
+
+  await send(inlineQueryUpdate(SEARCHER, 'holiday'));
+
+  const { results } = inlineResults(api);
+  assert.equal(results.length, 2);
+  // Unverified users get share cards with the deep link
+  assert.ok(results.every(result => result.type === 'article'));
+  assert.equal(results[0].reply_markup.inline_keyboard[0][0].url.startsWith('https://t.me/testbot?start=movie'), true);
+});
+
+test('verified users get the file itself unless the link has restrictions', async () => {
+  const { db, api } = setup();
+  await db.users.create({ userId: SEARCHER, isVerified: true, verifiedAt: new Date() });
+  await createFile(db, { shortCode: 'open', fileName: 'report-open.pdf' });
+  await createFile(db, { shortCode: 'locked', fileName: 'report-locked.pdf', passwordHash: 'x:y' });
+
+  await send(inlineQueryUpdate(SEARCHER, 'report'));
+
+  const byTitle = Object.fromEntries(inlineResults(api).results.map(result => [result.title, result]));
+  assert.equal(byTitle['report-open.pdf'].type, 'document');
+  assert.equal(byTitle['report-open.pdf'].document_file_id, 'file-open');
+  assert.equal(byTitle['📄 report-locked.pdf'].type, 'article');
+});
+
+test('banned users get no inline results and mine scopes to own uploads', async () => {
+  const { db, api } = setup();
+  await createFile(db, { shortCode: 'theirs', fileName: 'song.mp3' });
+  await createFile(db, { shortCode: 'ours', fileName: 'song-demo.mp3', uploadedBy: SEARCHER });
+
+  await send(inlineQueryUpdate(SEARCHER, 'mine song'));
+  assert.deepEqual(inlineResults(api).results.map(result => result.title), ['📄 song-demo.mp3']);
+
+  await db.users.create({ userId: SEARCHER, isBanned: true });
+  await send(inlineQueryUpdate(SEARCHER, 'song'));
+  assert.equal(inlineResults(api).results.length, 0);
+});
+
+test('/search pages through results', async () => {
+  const { db, api } = setup();
+  for (let i = 0; i < 10; i++) await createFile(db, { shortCode: `part${i}`, fileName: `lecture-${i}.pdf` });
+
+  await send(textUpdate(SEARCHER, '/search lecture'));
+  const reply = api.lastMessageTo(SEARCHER);
+  assert.match(reply.text, /Found: 10 \| Page 1\/2/);
+  assert.equal(reply.reply_markup.inline_keyboard.length, 9);
+  assert.equal(reply.reply_markup.inline_keyboard[8][0].callback_data, 'search_1');
+
+  await send(callbackUpdate(SEARCHER, 'search_1'));
+  const [edit] = api.callsOf('editMessageText');
+  assert.match(edit.payload.text, /Page 2\/2/);
+  assert.equal(edit.payload.reply_markup.inline_keyboard.length, 3);
+});
+
+test('inline results fall back to share cards for file_ids the bot cannot send', async () => {
+  const { db, api } = setup();
+  await db.users.create({ userId: SEARCHER, isVerified: true, verifiedAt: new Date() });
+  await createFile(db, { shortCode: 'track1', fileName: 'track-one.mp3' });
+  // Received by a shared clone
+  await createFile(db, { shortCode: 'track2', fileName: 'track-clone.mp3', uploadBot: 777 });
+
+  await send(inlineQueryUpdate(SEARCHER, 'track'));
+  const byCode = (results) => Object.fromEntries(results.map(result => [
+    result.document_file_id || result.reply_markup.inline_keyboard[0][0].url.split('=')[1], result
+  ]));
+  const results = byCode(inlineResults(api).results);
+  assert.equal(results['file-track1'].type, 'document');
+  assert.equal(results.track2.type, 'article');
+
+  // Telegram refuses a file_id: answer again with share cards only
+  api.overrides.answerInlineQuery = (payload) => {
+    if (payload.results.some(result => result.type !== 'article')) {
+      throw Object.assign(new Error('400: Bad Request: wrong file identifier'), { description: 'Bad Request: wrong file identifier' });
+    }
+    return true;
+  };
+  await send(inlineQueryUpdate(SEARCHER, 'track'));
+  const retry = inlineResults(api).results;
+  assert.equal(retry.length, 2);
+  assert.ok(retry.every(result => result.type === 'article'));
+});
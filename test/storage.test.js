@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage } = require('../storage');
+
+test('create applies schema defaults and validation', async () => {
+  const db = createMemoryStorage();
+  const user = await db.users.create({ userId: 10 });
+
+  assert.equal(user.isVerified, false);
+  assert.equal(user.filesShared, 0);
+  assert.ok(user.joinedAt instanceof Date);
+  await assert.rejects(db.users.create({ firstName: 'No id' }), /userId/);
+});
+
+test('unique indexes reject duplicates, honouring partial filters', async () => {
+  const db = createMemoryStorage();
+  await db.files.create({ shortCode: 'abc', uploadedBy: 1, fileUniqueId: 'u1' });
+
+  await assert.rejects(db.files.create({ shortCode: 'abc', uploadedBy: 1 }), err => err.code === 11000);
+  await assert.rejects(db.files.create({ shortCode: 'def', uploadedBy: 1, fileUniqueId: 'u1' }), err => err.code === 11000);
+  // Aliases have no fileUniqueId, any number of them is fine
+  await db.files.create({ shortCode: 'ghi', uploadedBy: 1 });
+  await db.files.create({ shortCode: 'jkl', uploadedBy: 1 });
+  assert.equal(await db.files.count(), 3);
+});
+
+test('filters support operators, null matching and array fields', async () => {
+  const db = createMemoryStorage();
+  const a = await db.files.create({ shortCode: 'a', uploadedBy: 1, fileName: 'Holiday.mp4', downloads: 5 });
+  const b = await db.files.create({ shortCode: 'b', uploadedBy: 2, fileName: 'notes.txt', aliasOf: a._id });
+  await db.files.create({ shortCode: 'c', uploadedBy: 2, caption: 'holiday pics', isActive: false });
+  await db.batches.create({ shortCode: 'batch', createdBy: 1, files: [a._id, b._id] });
+
+  const codes = (files) => files.map(file => file.shortCode).sort();
+  assert.deepEqual(codes(await db.files.find({ aliasOf: null })), ['a', 'c']);
+  assert.deepEqual(codes(await db.files.find({ aliasOf: { $ne: null } })), ['b']);
+  assert.deepEqual(codes(await db.files.find({ _id: { $in: [a._id, String(b._id)] } })), ['a', 'b']);
+  assert.deepEqual(codes(await db.files.find({ $or: [{ fileName: /holiday/i }, { caption: /holiday/i }] })), ['a', 'c']);
+  assert.deepEqual(codes(await db.files.find({ downloads: { $gt: 0 }, isActive: true })), ['a']);
+  assert.equal((await db.batches.find({ files: b._id })).length, 1);
+  assert.equal(await db.files.sum('downloads'), 5);
+});
+
+test('countBy groups documents, most common values first', async () => {
+  const db = createMemoryStorage();
+  for (const code of ['a', 'b', 'a', 'c', 'a', 'b']) await db.events.create({ type: 'delivered', code, day: '2026-01-01' });
+  await db.events.create({ type: 'view', code: 'c', day: '2026-01-01' });
+
+  assert.deepEqual(await db.events.countBy('code', { type: 'delivered' }), [
+    { value: 'a', count: 3 }, { value: 'b', count: 2 }, { value: 'c', count: 1 }
+  ]);
+  assert.deepEqual(await db.events.countBy('provider', {}, { limit: 1 }), [{ value: null, count: 7 }]);
+});
+
+test('find sorts, skips and limits', async () => {
+  const db = createMemoryStorage();
+  for (const userId of [5, 3, 9, 1, 7]) await db.users.create({ userId });
+
+  const users = await db.users.find({ userId: { $gt: 1 } }, { sort: { userId: -1 }, skip: 1, limit: 2 });
+  assert.deepEqual(users.map(user => user.userId), [7, 5]);
+  assert.equal((await db.users.findOne({}, { sort: { userId: 1 } })).userId, 1);
+});
+
+test('updates support operators, upserts and return plain copies', async () => {
+  const db = createMemoryStorage();
+  await db.users.updateOne({ userId: 20 }, { $inc: { filesShared: 1 } }, { upsert: true });
+  await db.users.updateOne({ userId: 20 }, { $inc: { filesShared: 2 }, verifyToken: 'tok' });
+
+  let user = await db.users.findOne({ userId: 20 });
+  assert.equal(user.filesShared, 3);
+  assert.equal(user.verifyToken, 'tok');
+  assert.equal(user.isBanned, false);
+
+  user.isBanned = true;
+  assert.equal((await db.users.findOne({ userId: 20 })).isBanned, false);
+
+  user = await db.users.findOneAndUpdate({ userId: 20 }, { isBanned: true, $unset: { verifyToken: 1 } });
+  assert.equal(user.isBanned, true);
+  assert.equal('verifyToken' in user, false);
+
+  await db.settings.updateOne({ key: 'stats' }, { $inc: { 'value.gp.failure': 1 } }, { upsert: true });
+  await db.settings.updateOne({ key: 'stats' }, { $inc: { 'value.gp.failure': 1 } }, { upsert: true });
+  assert.deepEqual((await db.settings.findOne({ key: 'stats' })).value, { gp: { failure: 2 } });
+
+  assert.equal(await db.users.findOneAndUpdate({ userId: 99 }, { isBanned: true }), null);
+  const { modifiedCount } = await db.users.updateMany({}, { isBlocked: true });
+  assert.equal(modifiedCount, 1);
+});
+
+test('deletes report how many documents were removed', async () => {
+  const db = createMemoryStorage();
+  await db.apiTokens.create({ tokenHash: 'a', userId: 1 });
+  await db.apiTokens.create({ tokenHash: 'b', userId: 1 });
+  await db.apiTokens.create({ tokenHash: 'c', userId: 2 });
+
+  assert.equal((await db.apiTokens.deleteMany({ userId: 1 })).deletedCount, 2);
+  assert.equal((await db.apiTokens.deleteOne({ userId: 1 })).deletedCount, 0);
+  assert.equal(await db.apiTokens.count(), 1);
+});
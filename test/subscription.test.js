@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, joinRequestUpdate, ADMIN_ID, LOG_CHANNEL } = require('./helpers');
+
+const VIEWER = 800;
+const PRIVATE_ID = -100500;
+
+const seed = async (db) => {
+  await db.files.create({ fileId: 'file-sub', fileType: 'document', fileName: 'sub.zip', shortCode: 'sub123', uploadedBy: 1 });
+  await db.users.create({ userId: VIEWER, isVerified: true, verifiedAt: new Date() });
+};
+
+test('private channels get an invite link and join requests count in request mode', async () => {
+  const { db, api } = setup();
+  await seed(db);
+
+  await send(textUpdate(ADMIN_ID, `/addchannel ${PRIVATE_ID} request`));
+  const channel = await db.channels.findOne({ channelId: String(PRIVATE_ID) });
+  assert.equal(channel.mode, 'request');
+  assert.equal(api.callsOf('createChatInviteLink')[0].payload.creates_join_request, true);
+
+  await send(textUpdate(VIEWER, '/start sub123'));
+  const prompt = api.lastMessageTo(VIEWER);
+  assert.match(prompt.text, /Access Restricted/);
+  assert.equal(prompt.reply_markup.inline_keyboard[0][0].url, channel.inviteLink);
+
+  await send(joinRequestUpdate(VIEWER, PRIVATE_ID));
+  await send(textUpdate(VIEWER, '/start sub123'));
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 1);
+});
+
+test('confirmed membership is cached and optional channels are suggested, not enforced', async () => {
+  const { db, api } = setup();
+  await seed(db);
+  await db.channels.create({ channelId: '-100601', username: '@news', title: 'News' });
+  await db.channels.create({ channelId: '-100602', username: '@extras', title: 'Extras', mode: 'optional' });
+  api.members[`-100601:${VIEWER}`] = 'member';
+
+  await send(textUpdate(VIEWER, '/start sub123'));
+  await send(textUpdate(VIEWER, '/start sub123'));
+
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 2);
+  assert.equal(api.callsOf('getChatMember', '-100601').length, 1);
+
+  // Suggested once, not on every download
+  const hints = api.callsOf('sendMessage', VIEWER).filter(call => /Recommended Channels/.test(call.payload.text));
+  assert.equal(hints.length, 1);
+  assert.equal(hints[0].payload.reply_markup.inline_keyboard[0][0].url, 'https://t.me/extras');
+  assert.equal(hints[0].payload.reply_markup.inline_keyboard.length, 1);
+});
+
+test('losing admin rights alerts the log channel once instead of blocking users', async () => {
+  const { db, api } = setup();
+  await seed(db);
+  await db.channels.create({ channelId: '-100700', username: '@broken', title: 'Broken' });
+  api.overrides.getChatMember = () => {
+    throw Object.assign(new Error('Bad Request: member list is inaccessible'), {
+      response: { error_code: 400, description: 'Bad Request: member list is inaccessible' }
+    });
+  };
+
+  await send(textUpdate(VIEWER, '/start sub123'));
+  await send(textUpdate(VIEWER, '/start sub123'));
+
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 2);
+  const alerts = api.messagesTo(LOG_CHANNEL).filter(text => /Channel Unavailable/.test(text));
+  assert.equal(alerts.length, 1);
+  assert.ok((await db.channels.findOne({ channelId: '-100700' })).lostAccessAt);
+});
+
+test('other membership check errors do not let users through', async () => {
+  const { db, api } = setup();
+  await seed(db);
+  await db.channels.create({ channelId: '-100800', username: '@flaky', title: 'Flaky' });
+  api.overrides.getChatMember = () => {
+    throw Object.assign(new Error('Internal Server Error'), { response: { error_code: 500, description: 'Internal Server Error' } });
+  };
+
+  await send(textUpdate(VIEWER, '/start sub123'));
+
+  assert.match(api.lastMessageTo(VIEWER).text, /Couldn't check/);
+  assert.equal(api.callsOf('sendDocument', VIEWER).length, 0);
+});
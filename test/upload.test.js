@@ -0,0 +1,161 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, documentUpdate, callbackUpdate, ADMIN_ID, DB_CHANNEL, LOG_CHANNEL } = require('./helpers');
+
+const UPLOADER = 100;
+
+test('uploading a file stores it and replies with a share link', async () => {
+  const { db, api } = setup();
+  await send(documentUpdate(UPLOADER, { fileUniqueId: 'doc-1', caption: 'Quarterly report' }));
+
+  const file = await db.files.findOne({ fileUniqueId: 'doc-1' });
+  assert.ok(file);
+  assert.equal(file.fileType, 'document');
+  assert.equal(file.fileName, 'report.pdf');
+  assert.equal(file.caption, 'Quarterly report');
+  assert.equal(file.uploadedBy, UPLOADER);
+
+  // Backed by a copy in the storage channel
+  const [copy] = api.callsOf('copyMessage', DB_CHANNEL);
+  assert.ok(copy);
+  assert.equal(file.storageChatId, String(DB_CHANNEL));
+  assert.ok(file.storageMessageId);
+
+  const reply = api.lastMessageTo(UPLOADER);
+  assert.match(reply.text, /File Uploaded Successfully/);
+  assert.ok(reply.text.includes(`https://t.me/testbot?start=${file.shortCode}`));
+  assert.equal((await db.users.findOne({ userId: UPLOADER })).filesShared, 1);
+  assert.equal(api.callsOf('forwardMessage', LOG_CHANNEL).length, 1);
+});
+
+test('re-uploading the same file returns the existing link', async () => {
+  const { db, api } = setup();
+  await send(documentUpdate(UPLOADER, { fileUniqueId: 'doc-2' }));
+  await send(documentUpdate(UPLOADER + 1, { fileUniqueId: 'doc-2' }));
+
+  const files = await db.files.find({});
+  assert.equal(files.length, 1);
+  assert.equal(files[0].duplicates, 1);
+  assert.match(api.lastMessageTo(UPLOADER + 1).text, /File Already Stored/);
+  assert.ok(api.lastMessageTo(UPLOADER + 1).text.includes(files[0].shortCode));
+});
+
+test('re-uploads get their own alias link when enabled', async () => {
+  const { db } = setup();
+  await db.settings.create({ key: 'dedupe_alias', value: true });
+  await send(documentUpdate(UPLOADER, { fileUniqueId: 'doc-3' }));
+  await send(documentUpdate(UPLOADER + 1, { fileUniqueId: 'doc-3' }));
+
+  const original = await db.files.findOne({ fileUniqueId: 'doc-3' });
+  const alias = await db.files.findOne({ aliasOf: original._id });
+  assert.equal(alias.uploadedBy, UPLOADER + 1);
+  assert.notEqual(alias.shortCode, original.shortCode);
+});
+
+test('text posts are stored after /text or inside a batch, commands are not', async () => {
+  const { db } = setup();
+  await send(textUpdate(UPLOADER, '/text'));
+  await send(textUpdate(UPLOADER, 'Download mirror: https://example.com/file'));
+  await send(textUpdate(UPLOADER, '/batch'));
+  await send(textUpdate(UPLOADER, 'Second mirror: https://example.com/other'));
+  await send(textUpdate(UPLOADER, '/help'));
+  await send(textUpdate(UPLOADER, '/cancel'));
+
+  const files = await db.files.find({});
+  assert.equal(files.length, 2);
+  assert.ok(files.every(file => file.fileType === 'text'));
+  assert.equal(files[0].caption, 'Download mirror: https://example.com/file');
+});
+
+test('plain chat messages and group messages are not stored', async () => {
+  const { db, api } = setup();
+  await send(textUpdate(UPLOADER, 'hello there'));
+
+  const inGroup = textUpdate(UPLOADER, 'https://example.com/group-link');
+  inGroup.message.chat = { id: -1001, type: 'group', title: 'Chat' };
+  await send(textUpdate(UPLOADER, '/batch'));
+  await send(inGroup);
+  await send(textUpdate(UPLOADER, '/cancel'));
+
+  assert.equal(await db.files.count({}), 0);
+  assert.equal(api.callsOf('forwardMessage', LOG_CHANNEL).length, 0);
+});
+
+test('a batch collects uploads under one link', async () => {
+  const { db, api } = setup();
+  await send(textUpdate(UPLOADER, '/batch'));
+  await send(documentUpdate(UPLOADER, { fileUniqueId: 'batch-1' }));
+  await send(documentUpdate(UPLOADER, { fileUniqueId: 'batch-2' }));
+  await send(textUpdate(UPLOADER, '/done'));
+
+  const batch = await db.batches.findOne({ createdBy: UPLOADER });
+  assert.equal(batch.files.length, 2);
+  assert.match(api.lastMessageTo(UPLOADER).text, /Batch Created Successfully/);
+});
+
+test('a file deactivated by its uploader can be stored again, staff removals stay', async () => {
+  const { db, api } = setup();
+  await send(documentUpdate(UPLOADER, { fileUniqueId: 'doc-4' }));
+  const file = await db.files.findOne({ fileUniqueId: 'doc-4' });
+
+  await send(callbackUpdate(UPLOADER, `mf_delok_${file._id}_0`));
+  assert.equal((await db.files.findById(file._id)).deactivatedBy, UPLOADER);
+
+  // The uploader brings it back under a new link
+  await send(documentUpdate(UPLOADER, { fileUniqueId: 'doc-4' }));
+  const restored = await db.files.findById(file._id);
+  assert.equal(restored.isActive, true);
+  assert.notEqual(restored.shortCode, file.shortCode);
+  assert.match(api.lastMessageTo(UPLOADER).text, /File Uploaded Successfully/);
+
+  // Anyone else gets a record of their own
+  await send(callbackUpdate(UPLOADER, `mf_delok_${file._id}_0`));
+  await send(documentUpdate(UPLOADER + 1, { fileUniqueId: 'doc-4' }));
+  const fresh = await db.files.findOne({ fileUniqueId: 'doc-4' });
+  assert.notEqual(String(fresh._id), String(file._id));
+  assert.equal(fresh.uploadedBy, UPLOADER + 1);
+  assert.equal(fresh.isActive, true);
+  assert.equal((await db.files.findById(file._id)).isActive, false);
+  assert.match(api.lastMessageTo(UPLOADER + 1).text, /File Uploaded Successfully/);
+  assert.ok(api.lastMessageTo(UPLOADER + 1).text.includes(fresh.shortCode));
+
+  await send(textUpdate(ADMIN_ID, `/deletefile ${fresh.shortCode}`));
+  await send(documentUpdate(UPLOADER + 1, { fileUniqueId: 'doc-4' }));
+  assert.match(api.lastMessageTo(UPLOADER + 1).text, /removed by an admin/);
+  await send(documentUpdate(UPLOADER + 2, { fileUniqueId: 'doc-4' }));
+  assert.match(api.lastMessageTo(UPLOADER + 2).text, /removed by an admin/);
+});
+
+test('a file stored by a concurrent upload is treated as a duplicate', async () => {
+  const { db, api } = setup();
+  // The other upload is saved while this one is copied to the storage channel
+  api.overrides.copyMessage = async () => {
+    await db.files.create({ fileId: 'other', fileUniqueId: 'doc-5', fileType: 'document', shortCode: 'race01', uploadedBy: UPLOADER });
+    return { message_id: 501 };
+  };
+
+  await send(documentUpdate(UPLOADER + 1, { fileUniqueId: 'doc-5' }));
+
+  assert.equal(await db.files.count({ fileUniqueId: 'doc-5' }), 1);
+  assert.equal((await db.files.findOne({ shortCode: 'race01' })).duplicates, 1);
+  assert.match(api.lastMessageTo(UPLOADER + 1).text, /File Already Stored/);
+  assert.equal(api.callsOf('deleteMessage', DB_CHANNEL).length, 1);
+});
+
+test('uploads are stored by file_id when the storage channel copy fails', async () => {
+  const { db, api } = setup();
+  api.overrides.copyMessage = () => {
+    throw Object.assign(new Error('400: Bad Request: chat not found'), { description: 'Bad Request: chat not found' });
+  };
+
+  await send(documentUpdate(UPLOADER, { fileUniqueId: 'doc-6' }));
+  await send(documentUpdate(UPLOADER, { fileUniqueId: 'doc-7' }));
+
+  const files = await db.files.find({ fileUniqueId: { $in: ['doc-6', 'doc-7'] } });
+  assert.equal(files.length, 2);
+  assert.ok(files.every(file => file.fileId && !file.storageChatId && !file.storageMessageId));
+  assert.match(api.lastMessageTo(UPLOADER).text, /File Uploaded Successfully/);
+  const alerts = api.messagesTo(LOG_CHANNEL).filter(text => /Storage Channel Copy Failed/.test(text));
+  assert.equal(alerts.length, 1);
+  assert.match(alerts[0], /chat not found/);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, send, textUpdate, startShortener } = require('./helpers');
+
+const VIEWER = 200;
+
+// A stored file and a user who has started the bot but isn't verified
+const seed = async (db) => {
+  const file = await db.files.create({
+    fileId: 'file-abc', fileType: 'document', fileName: 'movie.mkv', caption: 'Movie',
+    shortCode: 'abc123', uploadedBy: 1, storageChatId: '-1002', storageMessageId: 77
+  });
+  await db.users.create({ userId: VIEWER });
+  return file;
+};
+
+const tokenFrom = (url) => new URL(url).searchParams.get('start').replace('verify_', '');
+
+test('unverified users get a shortened verification link', async (t) => {
+  const { db, api } = setup();
+  const shortener = await startShortener();
+  t.after(shortener.close);
+  await db.settings.create({ key: 'shorteners', value: [shortener.provider] });
+  await seed(db);
+
+  await send(textUpdate(VIEWER, '/start abc123'));
+
+  const reply = api.lastMessageTo(VIEWER);
+  assert.match(reply.text, /Verification Required/);
+  assert.equal(reply.reply_markup.inline_keyboard[0][0].url, 'https://short.test/1');
+  assert.equal(api.callsOf('copyMessage', VIEWER).length, 0);
+
+  const user = await db.users.findOne({ userId: VIEWER });
+  assert.equal(shortener.urls[0], `https://t.me/testbot?start=verify_${user.verifyToken}`);
+  assert.equal(user.pendingCode, 'abc123');
+  assert.equal((await db.files.findOne({ shortCode: 'abc123' })).views, 1);
+});
+
+test('the verification token verifies once and delivers the pending file', async (t) => {
+  const { db, api } = setup();
+  const shortener = await startShortener();
+  t.after(shortener.close);
+  await db.settings.create({ key: 'shorteners', value: [shortener.provider] });
+  await seed(db);
+
+  await send(textUpdate(VIEWER, '/start abc123'));
+  const token = tokenFrom(shortener.urls[0]);
+  await send(textUpdate(VIEWER, `/start verify_${token}`));
+
+  const user = await db.users.findOne({ userId: VIEWER });
+  assert.equal(user.isVerified, true);
+  assert.equal(user.verifyToken, undefined);
+  assert.ok(api.messagesTo(VIEWER).some(text => /Congratulations/.test(text)));
+  const [copy] = api.callsOf('copyMessage', VIEWER);
+  assert.equal(copy.payload.from_chat_id, '-1002');
+  assert.equal(copy.payload.message_id, 77);
+
+  await send(textUpdate(VIEWER, `/start verify_${token}`));
+  assert.match(api.lastMessageTo(VIEWER).text, /Invalid or Used Verification Link/);
+});
+
+test('expired verification asks the user to verify again', async (t) => {
+  const { db, api } = setup();
+  const shortener = await startShortener();
+  t.after(shortener.close);
+  await db.settings.create({ key: 'shorteners', value: [shortener.provider] });
+  await db.settings.create({ key: 'verify_expiry', value: 3600 });
+  await seed(db);
+  await db.users.updateOne({ userId: VIEWER }, { isVerified: true, verifiedAt: new Date(Date.now() - 7200 * 1000) });
+
+  await send(textUpdate(VIEWER, '/start abc123'));
+
+  assert.match(api.lastMessageTo(VIEWER).text, /Verification Expired/);
+  assert.equal(api.callsOf('copyMessage', VIEWER).length, 0);
+});
+
+test('the failure policy decides when no shortener works', async () => {
+  const { db, api } = setup();
+  await seed(db);
+
+  await send(textUpdate(VIEWER, '/start abc123'));
+  assert.match(api.lastMessageTo(VIEWER).text, /Verification Unavailable/);
+  assert.equal(api.callsOf('copyMessage', VIEWER).length, 0);
+
+  await db.settings.create({ key: 'shortener_fail_policy', value: 'allow' });
+  await send(textUpdate(VIEWER, '/start abc123'));
+  assert.equal(api.callsOf('copyMessage', VIEWER).length, 1);
+});
+
+test('verification tokens older than a day are refused and replaced', async (t) => {
+  const { db, api } = setup();
+  const shortener = await startShortener();
+  t.after(shortener.close);
+  await db.settings.create({ key: 'shorteners', value: [shortener.provider] });
+  await seed(db);
+  await db.users.updateOne({ userId: VIEWER }, { verifyToken: 'old-token', verifyTokenAt: new Date(Date.now() - 25 * 3600 * 1000) });
+
+  await send(textUpdate(VIEWER, '/start verify_old-token'));
+  assert.match(api.lastMessageTo(VIEWER).text, /Invalid or Used Verification Link/);
+  assert.equal((await db.users.findOne({ userId: VIEWER })).isVerified, false);
+
+  // Opening the link again hands out a new token
+  await send(textUpdate(VIEWER, '/start abc123'));
+  const token = tokenFrom(shortener.urls[0]);
+  assert.notEqual(token, 'old-token');
+  await send(textUpdate(VIEWER, `/start verify_${token}`));
+  assert.equal((await db.users.findOne({ userId: VIEWER })).isVerified, true);
+});